@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+// bin/imagen-printer.js
+// Línea de comandos para generar el PDF de un póster sin abrir la interfaz
+import { readFile, writeFile } from "node:fs/promises";
+import { basename, extname } from "node:path";
+import { parseArgs } from "node:util";
+import { createPosterPdf } from "../src/node/createPosterPdf.js";
+import { getAllPatterns } from "../src/utils/patternRegistry.js";
+import { getAllPaperSizes } from "../src/utils/paperRegistry.js";
+import {
+  DEFAULT_SETTINGS,
+  DEFAULT_ROLL,
+  ROLL_SIZES,
+  EXPORT_STEPS,
+} from "../src/utils/constants.js";
+
+const ROLL_KEYS = Object.keys(ROLL_SIZES).join(", ");
+
+const USAGE = `Uso: imagen-printer <imagen> [opciones]
+
+Divide una imagen en hojas y genera el PDF para imprimirla como póster.
+
+Modo (por defecto, el patrón ${DEFAULT_SETTINGS.divisionPattern}):
+  -p, --pattern <clave>      Patrón predefinido (ver --list-patterns)
+      --width <valor>        Ancho final del póster
+      --height <valor>       Alto final del póster
+      --unit <mm|cm|in>      Unidad del tamaño final (cm)
+      --paper <clave>        Papel para el tamaño final (${DEFAULT_SETTINGS.paperSize}, ver --list-papers)
+      --orientation <modo>   auto, portrait o landscape (auto)
+      --roll <clave>         Imprime en rollo con el tamaño final (${ROLL_KEYS})
+      --direction <sentido>  Tiras vertical u horizontal (${DEFAULT_ROLL.direction})
+
+Impresión:
+  -d, --dpi <valor>          Resolución de salida (${DEFAULT_SETTINGS.dpi})
+  -m, --margin <mm>          Margen de cada hoja (${DEFAULT_SETTINGS.margin})
+      --overlap <mm>         Solapamiento entre hojas (${DEFAULT_SETTINGS.overlap})
+      --format <formato>     auto, png o jpeg (${DEFAULT_SETTINGS.outputFormat})
+      --quality <0-1>        Calidad JPEG (${DEFAULT_SETTINGS.quality})
+      --tiles                Incrusta cada hoja por separado en vez de la imagen compartida
+      --cover                Agrega el mapa de montaje como primera página
+
+  -o, --output <archivo>     PDF de salida (<imagen>_divided.pdf)
+      --list-patterns        Muestra los patrones disponibles
+      --list-papers          Muestra los papeles disponibles
+  -h, --help                 Muestra esta ayuda`;
+
+const OPTIONS = {
+  pattern: { type: "string", short: "p" },
+  width: { type: "string" },
+  height: { type: "string" },
+  unit: { type: "string", default: "cm" },
+  paper: { type: "string" },
+  orientation: { type: "string", default: "auto" },
+  roll: { type: "string" },
+  direction: { type: "string", default: DEFAULT_ROLL.direction },
+  dpi: { type: "string", short: "d", default: String(DEFAULT_SETTINGS.dpi) },
+  margin: {
+    type: "string",
+    short: "m",
+    default: String(DEFAULT_SETTINGS.margin),
+  },
+  overlap: { type: "string", default: String(DEFAULT_SETTINGS.overlap) },
+  format: { type: "string", default: DEFAULT_SETTINGS.outputFormat },
+  quality: { type: "string", default: String(DEFAULT_SETTINGS.quality) },
+  tiles: { type: "boolean", default: false },
+  cover: { type: "boolean", default: false },
+  output: { type: "string", short: "o" },
+  "list-patterns": { type: "boolean", default: false },
+  "list-papers": { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Convierte una opción numérica
+ * @param {string} value - Texto de la opción
+ * @param {string} name - Nombre de la opción para el mensaje de error
+ * @returns {number}
+ */
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`--${name} debe ser un número`);
+  }
+  return number;
+};
+
+/**
+ * Arma las opciones de createPosterPdf a partir de los argumentos
+ * @param {Object} values - Opciones leídas por parseArgs
+ * @returns {Object}
+ */
+const createOptions = (values) => {
+  if (values.width && values.height) {
+    throw new Error(
+      "Indica solo --width o --height; el otro lado sale de la imagen"
+    );
+  }
+  const size = values.width || values.height;
+  if (values.pattern && size) {
+    throw new Error("Usa --pattern o un tamaño final, no los dos");
+  }
+  if (values.roll && !size) {
+    throw new Error("--roll necesita el tamaño final con --width o --height");
+  }
+  // El patrón ya define su papel y el rollo imprime en su propio ancho
+  if (values.paper && (!size || values.roll)) {
+    throw new Error(
+      "--paper solo se usa con el tamaño final en hojas, no con un patrón ni con --roll"
+    );
+  }
+
+  const target = size
+    ? {
+        dimension: values.width ? "width" : "height",
+        value: parseNumber(size, values.width ? "width" : "height"),
+        unit: values.unit,
+        paperSize: values.paper || DEFAULT_SETTINGS.paperSize,
+        orientation: values.orientation,
+      }
+    : null;
+
+  return {
+    pattern: values.pattern || DEFAULT_SETTINGS.divisionPattern,
+    target,
+    roll: values.roll
+      ? { rollSize: values.roll, direction: values.direction }
+      : null,
+    dpi: parseNumber(values.dpi, "dpi"),
+    margin: parseNumber(values.margin, "margin"),
+    overlap: parseNumber(values.overlap, "overlap"),
+    encoding: {
+      format: values.format,
+      quality: parseNumber(values.quality, "quality"),
+    },
+    embedMode: values.tiles ? "tiles" : "shared",
+    coverPage: values.cover,
+  };
+};
+
+/**
+ * Escribe una lista de claves con su nombre
+ * @param {Object} entries - Objetos con name por clave
+ */
+const printList = (entries) => {
+  Object.entries(entries).forEach(([key, { name }]) => {
+    console.log(`${key.padEnd(24)} ${name}`);
+  });
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (values["list-patterns"]) {
+    printList(getAllPatterns());
+    return;
+  }
+  if (values["list-papers"]) {
+    printList(getAllPaperSizes());
+    return;
+  }
+  if (positionals.length !== 1) {
+    throw new Error("Indica una imagen de entrada (ver --help)");
+  }
+
+  const [input] = positionals;
+  const output =
+    values.output || `${basename(input, extname(input))}_divided.pdf`;
+  const options = createOptions(values);
+
+  let image;
+  try {
+    image = await readFile(input);
+  } catch (error) {
+    throw new Error(`No se pudo leer ${input}: ${error.code || error.message}`);
+  }
+
+  const { bytes, layout } = await createPosterPdf(image, {
+    ...options,
+    onProgress: ({ step, current, total }) => {
+      const message =
+        step === "page"
+          ? `${EXPORT_STEPS.page} ${current} de ${total}`
+          : `${EXPORT_STEPS[step]}...`;
+      process.stderr.write(`\r${message.padEnd(40)}`);
+    },
+  });
+  await writeFile(output, bytes);
+
+  process.stderr.write("\n");
+  console.log(layout.description);
+  console.log(`PDF guardado en ${output}`);
+};
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -1,31 +1,289 @@
 import FileUploader from "./modules/fileUploader.js";
 import ImageProcessor from "./modules/imageProcessor.js";
+import PdfExporter from "./modules/pdfExporter.js";
+import TransformEditor from "./modules/transformEditor.js";
+import BatchQueue from "./modules/batchQueue.js";
+import BatchExporter from "./modules/batchExporter.js";
+import PhotoSheetExporter from "./modules/photoSheetExporter.js";
 import PDFGenerator from "./modules/pdfGenerator.js";
-import { DIVISION_PATTERNS, DPI_OPTIONS } from "./utils/constants.js";
+import LayoutPreview from "./modules/layoutPreview.js";
+import LayoutSuggestions from "./modules/layoutSuggestions.js";
+import {
+  PAPER_GROUPS,
+  DPI_OPTIONS,
+  DEFAULT_SETTINGS,
+  MARK_DEFAULTS,
+  OUTPUT_FORMATS,
+  EXPORT_STEPS,
+  MAX_PDF_SIZE,
+  MAX_BATCH_FILES,
+  BATCH_OUTPUTS,
+  PHOTO_SIZES,
+  PHOTO_FIT_MODES,
+  DEFAULT_PHOTO_SHEET,
+  MIN_EFFECTIVE_DPI,
+  TARGET_ORIENTATIONS,
+  OPTIMIZER_GOALS,
+  OPTIMIZER_SORTS,
+  DEFAULT_PRINTER_PROFILE,
+  ROLL_SIZES,
+  ROLL_DIRECTIONS,
+  DEFAULT_ROLL,
+  formatFileSize,
+} from "./utils/constants.js";
+import {
+  getAllPaperSizes,
+  createCustomPaper,
+  registerPaperSize,
+  loadCustomPapers,
+} from "./utils/paperRegistry.js";
+import {
+  createPrinterProfile,
+  getPrinterProfile,
+  getAllPrinterProfiles,
+  getMinimumMargin,
+  registerPrinterProfile,
+  removePrinterProfile,
+  loadPrinterProfiles,
+} from "./utils/printerProfiles.js";
+import {
+  getPattern,
+  getAllPatterns,
+  createCustomPattern,
+  registerPattern,
+} from "./utils/patternRegistry.js";
+import {
+  calculateTargetLayout,
+  calculatePatternLayout,
+  calculateRollLayout,
+  getPatternFrameAspect,
+  getLayoutMargin,
+  getTileId,
+} from "./utils/posterLayout.js";
+import { optimizeLayouts } from "./utils/layoutOptimizer.js";
+import {
+  calculatePhotoSheetLayout,
+  distributePhotos,
+} from "./utils/photoSheet.js";
+import {
+  analyzeLayoutQuality,
+  suggestPatterns,
+  getQualityLevel,
+} from "./utils/qualityAnalysis.js";
+
+// Clave del patrón que se edita en vivo desde el editor personalizado
+const CUSTOM_PATTERN_KEY = "CUSTOM";
+// Clave del tamaño de foto que se escribe a mano
+const CUSTOM_PHOTO_SIZE = "custom";
+// Hojas de fotos que se muestran en la vista previa
+const MAX_PHOTO_PREVIEWS = 4;
+// Columnas máximas de la grilla de hojas sueltas
+const MAX_PREVIEW_COLUMNS = 4;
+// Lado mayor de la imagen de la vista del póster completo, para el zoom
+const LAYOUT_PREVIEW_SIZE = 2048;
 
 class App {
   constructor() {
     // Inicializar propiedades
     this.imageProcessor = new ImageProcessor();
+    this.pdfExporter = new PdfExporter(this.imageProcessor);
+    this.photoSheetExporter = new PhotoSheetExporter(this.imageProcessor);
+    // Controlador de la exportación en curso; evita exportaciones duplicadas
+    this.exportController = null;
     this.currentFile = null;
-    this.currentPattern = "A4_2x2";
+    this.currentPattern = DEFAULT_SETTINGS.divisionPattern;
     this.currentDpi = 300;
+    this.currentMode = "pattern";
+    this.targetSize = {
+      dimension: "width",
+      value: 100,
+      unit: "cm",
+      paperSize: "A4",
+      orientation: "auto",
+    };
+    this.currentMargin = DEFAULT_SETTINGS.margin;
+    // Perfil de impresora para exportar; vacío si no está calibrada
+    this.printerProfileKey = "";
+    this.currentOverlap = DEFAULT_SETTINGS.overlap;
+    this.currentLayout = null;
+    this.qualityAnalysis = null;
+    // partNumber de las partes sin contenido del layout actual
+    this.blankParts = new Set();
+    // Hojas que el usuario quitó de la impresión, por identificador (ej. "B2")
+    this.excludedTiles = new Set();
+    this.previews = [];
+    // Hoja de fotos: muchas fotos de tamaño fijo en una hoja (modo "photos")
+    const photoPreset = PHOTO_SIZES[DEFAULT_PHOTO_SHEET.photoSize];
+    this.photoOptions = {
+      ...DEFAULT_PHOTO_SHEET,
+      width: photoPreset.width,
+      height: photoPreset.height,
+      paperSize: DEFAULT_SETTINGS.paperSize,
+      useQueue: false,
+    };
+    this.photoLayout = null;
+    // Rollo de plotter: tiras del ancho del rollo (modo "roll")
+    this.rollOptions = { ...DEFAULT_ROLL };
+    this.outputEncoding = {
+      format: DEFAULT_SETTINGS.outputFormat,
+      quality: DEFAULT_SETTINGS.quality,
+    };
+    this.markOptions = {};
+    Object.entries(MARK_DEFAULTS).forEach(([type, defaults]) => {
+      this.markOptions[type] = { ...defaults };
+    });
+    // Configuración de las imágenes de la cola sin configuración propia
+    this.sharedSettings = this.getSettings();
 
     // Referencias DOM
     this.elements = {
       fileInfo: document.getElementById("file-info"),
       fileDetails: document.getElementById("file-details"),
+      modeSelect: document.getElementById("division-mode"),
+      patternOptions: document.getElementById("pattern-options"),
       patternSelect: document.getElementById("division-pattern"),
+      customEditor: document.getElementById("custom-pattern-editor"),
+      customRows: document.getElementById("custom-rows"),
+      customCols: document.getElementById("custom-cols"),
+      customPaper: document.getElementById("custom-paper"),
+      customOrientation: document.getElementById("custom-orientation"),
+      saveCustomPattern: document.getElementById("save-custom-pattern"),
+      customPaperName: document.getElementById("custom-paper-name"),
+      customPaperWidth: document.getElementById("custom-paper-width"),
+      customPaperHeight: document.getElementById("custom-paper-height"),
+      customPaperUnit: document.getElementById("custom-paper-unit"),
+      saveCustomPaper: document.getElementById("save-custom-paper"),
+      marksOptions: document.getElementById("marks-options"),
+      targetOptions: document.getElementById("target-size-options"),
+      targetDimension: document.getElementById("target-dimension"),
+      targetValue: document.getElementById("target-value"),
+      targetUnit: document.getElementById("target-unit"),
+      targetPaper: document.getElementById("target-paper"),
+      targetPaperField: document.getElementById("target-paper-field"),
+      targetOrientation: document.getElementById("target-orientation"),
+      targetOrientationField: document.getElementById(
+        "target-orientation-field"
+      ),
+      layoutOptimizer: document.getElementById("layout-optimizer"),
+      optimizerGoal: document.getElementById("optimizer-goal"),
+      optimizerDpi: document.getElementById("optimizer-dpi"),
+      optimizerMaxPaper: document.getElementById("optimizer-max-paper"),
+      optimizerSort: document.getElementById("optimizer-sort"),
+      runOptimizer: document.getElementById("run-optimizer"),
+      rollOptions: document.getElementById("roll-options"),
+      rollSize: document.getElementById("roll-size"),
+      rollDirection: document.getElementById("roll-direction"),
+      photoOptions: document.getElementById("photo-options"),
+      photoSize: document.getElementById("photo-size"),
+      photoWidth: document.getElementById("photo-width"),
+      photoHeight: document.getElementById("photo-height"),
+      photoPaper: document.getElementById("photo-paper"),
+      photoSpacing: document.getElementById("photo-spacing"),
+      photoCopies: document.getElementById("photo-copies"),
+      photoFit: document.getElementById("photo-fit"),
+      photoRotate: document.getElementById("photo-rotate"),
+      photoCutLines: document.getElementById("photo-cut-lines"),
+      photoUseQueue: document.getElementById("photo-use-queue"),
       dpiSelect: document.getElementById("dpi-selection"),
+      marginSelect: document.getElementById("margin-selection"),
+      overlapValue: document.getElementById("overlap-value"),
+      overlapPerEdge: document.getElementById("overlap-per-edge"),
+      overlapEdges: document.getElementById("overlap-edges"),
       patternDescription: document.getElementById("pattern-description"),
       previewContainer: document.getElementById("preview-container"),
       exportButton: document.getElementById("export-pdf"),
+      embedMode: document.getElementById("embed-mode"),
+      compareSizes: document.getElementById("compare-sizes"),
+      outputFormat: document.getElementById("output-format"),
+      jpegQuality: document.getElementById("jpeg-quality"),
+      jpegQualityValue: document.getElementById("jpeg-quality-value"),
+      jpegQualityField: document.getElementById("jpeg-quality-field"),
+      sizeEstimate: document.getElementById("size-estimate"),
+      exportInfo: document.getElementById("export-info"),
+      exportProgress: document.getElementById("export-progress"),
+      exportProgressBar: document.getElementById("export-progress-bar"),
+      exportProgressLabel: document.getElementById("export-progress-label"),
+      cancelExport: document.getElementById("cancel-export"),
+      includeCover: document.getElementById("include-cover"),
+      includeNeighborLabels: document.getElementById("include-neighbor-labels"),
+      includeMiniMap: document.getElementById("include-mini-map"),
+      skipBlankTiles: document.getElementById("skip-blank-tiles"),
+      printerProfile: document.getElementById("printer-profile"),
+      printerProfileInfo: document.getElementById("printer-profile-info"),
+      downloadCalibration: document.getElementById("download-calibration"),
+      calibrationName: document.getElementById("calibration-name"),
+      calibrationWidth: document.getElementById("calibration-width"),
+      calibrationHeight: document.getElementById("calibration-height"),
+      calibrationMargins: document.querySelectorAll("[data-calibration-margin]"),
+      savePrinterProfile: document.getElementById("save-printer-profile"),
+      removePrinterProfile: document.getElementById("remove-printer-profile"),
+      batchOptions: document.getElementById("batch-options"),
+      batchOutput: document.getElementById("batch-output"),
+      exportBatch: document.getElementById("export-batch"),
       errorToast: document.getElementById("error-toast"),
       errorMessage: document.getElementById("error-message"),
     };
 
-    // Inicializar uploader
+    // Poblar selectores desde los registros de patrones y papeles
+    loadCustomPapers();
+    loadPrinterProfiles();
+    this.renderPrinterOptions();
+    this.renderPatternOptions();
+    this.renderAllPaperOptions();
+    this.renderMarkOptions();
+    this.renderOutputOptions();
+    this.renderOptimizerOptions();
+    this.renderPhotoOptions();
+    this.renderRollOptions();
+    Object.entries(BATCH_OUTPUTS).forEach(([key, label]) => {
+      this.elements.batchOutput.appendChild(new Option(label, key));
+    });
+
+    // Inicializar uploader, cola de imágenes y editor de la imagen
     this.initFileUploader();
+    this.batchQueue = new BatchQueue("batch-queue", {
+      onSelect: (item) => {
+        // La exportación en curso usa la imagen abierta
+        if (!this.exportController) {
+          this.selectQueueItem(item);
+        }
+      },
+      onToggleSettings: (item, own) => this.toggleItemSettings(item, own),
+      describe: (item) => this.describeSettings(item),
+    });
+    this.batchExporter = new BatchExporter({
+      createJob: (processor, item) =>
+        // La selección de hojas es de la imagen abierta; el lote las
+        // imprime todas
+        this.createExportJob(
+          processor,
+          this.calculateLayout(processor, item.settings || this.sharedSettings),
+          (item.settings || this.sharedSettings).dpi,
+          this.elements.embedMode.value
+        ),
+    });
+    this.transformEditor = new TransformEditor("transform-editor", {
+      onChange: (transform) => {
+        try {
+          const item = this.batchQueue.getActive();
+          const applied = this.imageProcessor.setTransform(transform);
+          if (item) {
+            item.transform = applied;
+          }
+          this.updateLayout();
+        } catch (error) {
+          this.showError(error.message);
+        }
+      },
+    });
+
+    this.layoutPreview = new LayoutPreview("layout-preview", {
+      onTileClick: (tileId) => this.toggleTileSelection(tileId),
+    });
+    this.layoutSuggestions = new LayoutSuggestions("optimizer-results", {
+      onSelect: (suggestion, result) =>
+        this.applyLayoutSuggestion(suggestion, result),
+    });
 
     // Configurar event listeners
     this.setupEventListeners();
@@ -33,18 +291,11 @@ class App {
 
   initFileUploader() {
     this.fileUploader = new FileUploader("file-upload-container", {
-      onFileLoad: async (fileInfo) => {
-        try {
-          this.currentFile = fileInfo;
-          await this.handleNewImage(fileInfo.file);
-          this.showFileInfo(fileInfo);
-          this.elements.exportButton.disabled = false;
-        } catch (error) {
-          this.showError(error.message);
-        }
-      },
-      onFileRemove: () => {
-        this.resetUI();
+      allowMultiple: true,
+      maxFiles: MAX_BATCH_FILES,
+      onFileLoad: (fileInfo) => this.addToQueue(fileInfo),
+      onFileRemove: (file) => {
+        this.removeFromQueue(file.id);
       },
       onError: (error) => {
         this.showError(error);
@@ -53,18 +304,146 @@ class App {
   }
 
   setupEventListeners() {
+    // Cambio de modo de división
+    this.elements.modeSelect.addEventListener("change", (e) => {
+      this.currentMode = e.target.value;
+      this.showModeOptions(this.currentMode);
+      this.updateLayout();
+    });
+
+    // Opciones de la hoja de fotos
+    this.elements.photoSize.addEventListener("change", (e) => {
+      const preset = PHOTO_SIZES[e.target.value];
+      if (preset) {
+        this.elements.photoWidth.value = preset.width;
+        this.elements.photoHeight.value = preset.height;
+      }
+      this.updatePhotoOptions();
+    });
+    [this.elements.photoWidth, this.elements.photoHeight].forEach((input) => {
+      input.addEventListener("change", () => {
+        this.elements.photoSize.value = CUSTOM_PHOTO_SIZE;
+        this.updatePhotoOptions();
+      });
+    });
+    [
+      this.elements.photoPaper,
+      this.elements.photoSpacing,
+      this.elements.photoCopies,
+      this.elements.photoFit,
+      this.elements.photoRotate,
+      this.elements.photoCutLines,
+      this.elements.photoUseQueue,
+    ].forEach((input) => {
+      input.addEventListener("change", () => this.updatePhotoOptions());
+    });
+
+    // Cambios en el tamaño final
+    [
+      ["targetDimension", "dimension"],
+      ["targetValue", "value"],
+      ["targetUnit", "unit"],
+      ["targetPaper", "paperSize"],
+      ["targetOrientation", "orientation"],
+    ].forEach(([element, key]) => {
+      this.elements[element].addEventListener("change", (e) => {
+        this.targetSize[key] = e.target.value;
+        this.updateLayout();
+      });
+    });
+
+    // Cambios en el rollo
+    [
+      ["rollSize", "rollSize"],
+      ["rollDirection", "direction"],
+    ].forEach(([element, key]) => {
+      this.elements[element].addEventListener("change", (e) => {
+        this.rollOptions[key] = e.target.value;
+        this.updateLayout();
+      });
+    });
+
     // Cambio de patrón
     this.elements.patternSelect.addEventListener("change", (e) => {
-      this.currentPattern = e.target.value;
-      this.updatePatternDescription();
-      if (this.currentFile) {
-        this.generatePreview();
+      const isCustom = e.target.value === CUSTOM_PATTERN_KEY;
+      this.elements.customEditor.classList.toggle("hidden", !isCustom);
+
+      if (isCustom) {
+        this.updateCustomPattern();
+        return;
       }
+
+      this.currentPattern = e.target.value;
+      this.updateLayout();
+    });
+
+    // Cambios en el editor de patrón personalizado
+    [
+      this.elements.customRows,
+      this.elements.customCols,
+      this.elements.customPaper,
+      this.elements.customOrientation,
+    ].forEach((input) => {
+      input.addEventListener("change", () => this.updateCustomPattern());
+    });
+
+    this.elements.saveCustomPattern.addEventListener("click", () => {
+      this.saveCustomPattern();
+    });
+
+    // Papel personalizado
+    this.elements.saveCustomPaper.addEventListener("click", () => {
+      this.saveCustomPaper();
+    });
+
+    // Buscador de layouts
+    this.elements.optimizerGoal.addEventListener("change", (e) => {
+      this.elements.optimizerDpi.disabled = e.target.value !== "dpi";
+    });
+    this.elements.runOptimizer.addEventListener("click", () => {
+      this.runLayoutOptimizer();
+    });
+
+    // Perfil de impresora y calibración
+    this.elements.printerProfile.addEventListener("change", (e) => {
+      this.printerProfileKey = e.target.value;
+      this.updateLayout();
+    });
+    this.elements.downloadCalibration.addEventListener("click", () => {
+      this.downloadCalibrationPage();
+    });
+    this.elements.savePrinterProfile.addEventListener("click", () => {
+      this.savePrinterProfile();
+    });
+    this.elements.removePrinterProfile.addEventListener("click", () => {
+      this.deletePrinterProfile();
     });
 
+    // Cambio de margen
+    this.elements.marginSelect.addEventListener("change", (e) => {
+      this.currentMargin = parseFloat(e.target.value);
+      this.updateLayout();
+    });
+
+    // Cambios de solapamiento (global o por borde)
+    this.elements.overlapPerEdge.addEventListener("change", (e) => {
+      this.elements.overlapEdges.classList.toggle("hidden", !e.target.checked);
+      this.elements.overlapValue.disabled = e.target.checked;
+      this.updateOverlap();
+    });
+    this.elements.overlapValue.addEventListener("change", () => {
+      this.updateOverlap();
+    });
+    this.elements.overlapEdges
+      .querySelectorAll("input[data-edge]")
+      .forEach((input) => {
+        input.addEventListener("change", () => this.updateOverlap());
+      });
+
     // Cambio de DPI
     this.elements.dpiSelect.addEventListener("change", (e) => {
       this.currentDpi = parseInt(e.target.value);
+      this.saveSettings();
       if (this.currentFile) {
         this.generatePreview();
       }
@@ -74,36 +453,1065 @@ class App {
     this.elements.exportButton.addEventListener("click", () => {
       this.exportPDF();
     });
+    this.elements.compareSizes.addEventListener("click", () => {
+      this.compareExportSizes();
+    });
+    this.elements.exportBatch.addEventListener("click", () => {
+      this.exportBatch();
+    });
+    this.elements.cancelExport.addEventListener("click", () => {
+      if (this.exportController) {
+        this.exportController.abort();
+      }
+    });
+
+    // Codificación de salida y opciones que cambian el tamaño del PDF
+    this.elements.outputFormat.addEventListener("change", (e) => {
+      this.outputEncoding.format = e.target.value;
+      this.elements.jpegQualityField.classList.toggle(
+        "hidden",
+        e.target.value === "png"
+      );
+      this.updateSizeEstimate();
+    });
+    this.elements.jpegQuality.addEventListener("input", (e) => {
+      this.elements.jpegQualityValue.textContent = `${e.target.value}%`;
+    });
+    this.elements.jpegQuality.addEventListener("change", (e) => {
+      this.outputEncoding.quality = parseInt(e.target.value) / 100;
+      this.updateSizeEstimate();
+    });
+    [this.elements.embedMode, this.elements.includeCover].forEach((input) => {
+      input.addEventListener("change", () => this.updateSizeEstimate());
+    });
+    this.elements.skipBlankTiles.addEventListener("change", () => {
+      if (this.currentFile) {
+        this.generatePreview();
+      }
+    });
   }
 
-  async handleNewImage(file) {
+  async handleNewImage(file, transform = null) {
     try {
-      await this.imageProcessor.loadImage(file);
-      this.generatePreview();
+      const image = await this.imageProcessor.loadImage(file);
+      // La selección de hojas es de cada imagen
+      this.excludedTiles = new Set();
+      this.layoutSuggestions.hide();
+      if (transform) {
+        this.imageProcessor.setTransform(transform);
+      }
+      this.transformEditor.setImage(image, this.imageProcessor.getTransform());
+      this.updateLayout();
     } catch (error) {
       throw new Error("Error al procesar la imagen: " + error.message);
     }
   }
 
+  /**
+   * Agrega una imagen a la cola y la abre si no hay otra en edición
+   * @param {Object} fileInfo - Información del archivo de FileUploader
+   */
+  async addToQueue(fileInfo) {
+    const item = this.batchQueue.add(fileInfo);
+    this.updateBatchControls();
+
+    if (!this.batchQueue.getActive()) {
+      await this.selectQueueItem(item);
+    }
+  }
+
+  /**
+   * Abre una imagen de la cola con su transformación y su configuración
+   * @param {Object} item - Elemento de BatchQueue
+   */
+  async selectQueueItem(item) {
+    this.batchQueue.setActive(item.id);
+    this.applySettings(item.settings || this.sharedSettings);
+    this.currentFile = item.fileInfo;
+
+    try {
+      await this.handleNewImage(item.fileInfo.file, item.transform);
+      this.showFileInfo(item.fileInfo);
+      this.elements.exportButton.disabled = false;
+    } catch (error) {
+      this.batchQueue.setStatus(item, "error", error.message);
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Quita una imagen de la cola; si era la abierta pasa a la siguiente
+   * @param {string} id - Identificador del archivo en FileUploader
+   */
+  removeFromQueue(id) {
+    const wasActive = this.batchQueue.activeId === id;
+    this.batchQueue.remove(id);
+    this.updateBatchControls();
+    if (!wasActive) return;
+
+    const [next] = this.batchQueue.items;
+    if (!next) {
+      this.resetUI();
+      return;
+    }
+    if (this.exportController) {
+      this.exportController.abort();
+    }
+    this.selectQueueItem(next);
+  }
+
+  /**
+   * Activa o quita la configuración propia de una imagen de la cola. Al
+   * activarla parte de una copia de la compartida
+   * @param {Object} item - Elemento de BatchQueue
+   * @param {boolean} own - Usar configuración propia
+   */
+  toggleItemSettings(item, own) {
+    item.settings = own ? structuredClone(this.sharedSettings) : null;
+
+    if (!own && item === this.batchQueue.getActive()) {
+      this.applySettings(this.sharedSettings);
+      this.updateLayout();
+      return;
+    }
+    this.batchQueue.render();
+  }
+
+  /**
+   * Muestra las opciones del lote cuando hay más de una imagen
+   */
+  updateBatchControls() {
+    const count = this.batchQueue.items.length;
+    this.elements.batchOptions.classList.toggle("hidden", count < 2);
+    this.elements.exportBatch.disabled = count < 2;
+  }
+
+  /**
+   * Copia la configuración de impresión actual
+   * @returns {Object} {mode, pattern, targetSize, roll, dpi, margin, overlap}
+   */
+  getSettings() {
+    return structuredClone({
+      mode: this.currentMode,
+      pattern: this.currentPattern,
+      targetSize: this.targetSize,
+      roll: this.rollOptions,
+      dpi: this.currentDpi,
+      margin: this.currentMargin,
+      overlap: this.currentOverlap,
+    });
+  }
+
+  /**
+   * Carga una configuración de impresión en el estado y en los controles
+   * @param {Object} settings - Resultado de getSettings
+   */
+  applySettings(settings) {
+    const {
+      mode,
+      pattern,
+      targetSize,
+      roll = DEFAULT_ROLL,
+      dpi,
+      margin,
+      overlap,
+    } = structuredClone(settings);
+    this.currentMode = mode;
+    this.currentPattern = pattern;
+    this.targetSize = targetSize;
+    this.rollOptions = roll;
+    this.currentDpi = dpi;
+    this.currentMargin = margin;
+    this.currentOverlap = overlap;
+
+    this.elements.modeSelect.value = mode;
+    this.showModeOptions(mode);
+    this.elements.targetDimension.value = targetSize.dimension;
+    this.elements.targetValue.value = targetSize.value;
+    this.elements.targetUnit.value = targetSize.unit;
+    this.elements.targetPaper.value = targetSize.paperSize;
+    this.elements.targetOrientation.value = targetSize.orientation || "auto";
+    this.elements.rollSize.value = roll.rollSize;
+    this.elements.rollDirection.value = roll.direction;
+    this.elements.patternSelect.value = pattern;
+    this.elements.customEditor.classList.toggle(
+      "hidden",
+      pattern !== CUSTOM_PATTERN_KEY
+    );
+    this.elements.dpiSelect.value = dpi;
+    this.elements.marginSelect.value = margin;
+
+    const perEdge = typeof overlap === "object";
+    this.elements.overlapPerEdge.checked = perEdge;
+    this.elements.overlapEdges.classList.toggle("hidden", !perEdge);
+    this.elements.overlapValue.disabled = perEdge;
+    if (perEdge) {
+      this.elements.overlapEdges
+        .querySelectorAll("input[data-edge]")
+        .forEach((input) => {
+          input.value = overlap[input.dataset.edge] || 0;
+        });
+    } else {
+      this.elements.overlapValue.value = overlap;
+    }
+  }
+
+  /**
+   * Muestra solo las opciones del modo de división elegido
+   * @param {string} mode - 'pattern', 'target', 'roll' o 'photos'
+   */
+  showModeOptions(mode) {
+    // El rollo usa el tamaño final, pero el papel lo define el rollo
+    const usesTarget = mode === "target" || mode === "roll";
+    this.elements.patternOptions.classList.toggle("hidden", mode !== "pattern");
+    this.elements.targetOptions.classList.toggle("hidden", !usesTarget);
+    [
+      this.elements.targetPaperField,
+      this.elements.targetOrientationField,
+      this.elements.layoutOptimizer,
+    ].forEach((field) => field.classList.toggle("hidden", mode === "roll"));
+    this.elements.rollOptions.classList.toggle("hidden", mode !== "roll");
+    this.elements.photoOptions.classList.toggle("hidden", mode !== "photos");
+  }
+
+  /**
+   * Guarda la configuración actual en la imagen abierta si tiene
+   * configuración propia, o en la compartida
+   */
+  saveSettings() {
+    const item = this.batchQueue.getActive();
+    if (item && item.settings) {
+      item.settings = this.getSettings();
+    } else {
+      this.sharedSettings = this.getSettings();
+    }
+    this.batchQueue.render();
+  }
+
+  /**
+   * Resume la configuración de una imagen de la cola
+   * @param {Object} item - Elemento de BatchQueue
+   * @returns {string}
+   */
+  describeSettings(item) {
+    const settings = item.settings || this.sharedSettings;
+    const { dimension, value, unit, paperSize } = settings.targetSize;
+    const pattern = getPattern(settings.pattern);
+    const layout =
+      settings.mode === "photos"
+        ? "Hoja de fotos"
+        : settings.mode === "target"
+        ? `${dimension === "width" ? "Ancho" : "Alto"} ${value} ${unit} en ${paperSize}`
+        : settings.mode === "roll"
+        ? `${dimension === "width" ? "Ancho" : "Alto"} ${value} ${unit} en ${
+            ROLL_SIZES[settings.roll.rollSize].name
+          }`
+        : pattern
+        ? pattern.name
+        : settings.pattern;
+
+    return `${item.settings ? "" : "Compartida: "}${layout} · ${settings.dpi} DPI`;
+  }
+
+  /**
+   * Llena el selector de patrones desde el registro, agrupando por papel
+   */
+  renderPatternOptions() {
+    const select = this.elements.patternSelect;
+    const groups = new Map();
+
+    Object.entries(getAllPatterns()).forEach(([key, pattern]) => {
+      if (key === CUSTOM_PATTERN_KEY) return;
+
+      const label = pattern.custom
+        ? "Personalizados"
+        : `Tamaño ${pattern.paperSize}`;
+      if (!groups.has(label)) {
+        groups.set(label, []);
+      }
+      groups.get(label).push([key, pattern]);
+    });
+
+    select.innerHTML = "";
+    groups.forEach((patterns, label) => {
+      const group = document.createElement("optgroup");
+      group.label = label;
+      patterns.forEach(([key, pattern]) => {
+        group.appendChild(new Option(pattern.name, key));
+      });
+      select.appendChild(group);
+    });
+
+    select.appendChild(new Option("Personalizado...", CUSTOM_PATTERN_KEY));
+    select.value = this.currentPattern;
+  }
+
+  /**
+   * Llena un selector con los tamaños de papel disponibles, agrupados
+   * @param {HTMLSelectElement} select - Selector a llenar
+   */
+  renderPaperOptions(select) {
+    const current = select.value || DEFAULT_SETTINGS.paperSize;
+    const groups = {};
+
+    Object.entries(getAllPaperSizes()).forEach(([key, paper]) => {
+      if (!groups[paper.group]) {
+        groups[paper.group] = document.createElement("optgroup");
+        groups[paper.group].label = PAPER_GROUPS[paper.group];
+      }
+      groups[paper.group].appendChild(
+        new Option(
+          `${paper.name} (${+paper.width.toFixed(1)} × ${+paper.height.toFixed(
+            1
+          )} mm)`,
+          key
+        )
+      );
+    });
+
+    select.innerHTML = "";
+    Object.keys(PAPER_GROUPS)
+      .filter((group) => groups[group])
+      .forEach((group) => select.appendChild(groups[group]));
+    select.value = current;
+  }
+
+  /**
+   * Crea los controles para activar y dar estilo a cada tipo de marca
+   */
+  renderMarkOptions() {
+    const container = this.elements.marksOptions;
+    container.innerHTML = "";
+
+    Object.entries(this.markOptions).forEach(([type, options]) => {
+      const row = document.createElement("div");
+      row.className = "flex flex-wrap items-center gap-3 text-sm text-gray-600";
+
+      const enabled = document.createElement("input");
+      enabled.type = "checkbox";
+      enabled.checked = options.enabled;
+      enabled.addEventListener("change", (e) => {
+        this.markOptions[type].enabled = e.target.checked;
+      });
+
+      const label = document.createElement("label");
+      label.className = "flex items-center gap-2 flex-1 min-w-48";
+      label.append(enabled, options.label);
+
+      const color = document.createElement("input");
+      color.type = "color";
+      color.value = options.color;
+      color.title = "Color";
+      color.addEventListener("change", (e) => {
+        this.markOptions[type].color = e.target.value;
+      });
+
+      const thickness = document.createElement("input");
+      thickness.type = "number";
+      thickness.min = "0.1";
+      thickness.step = "0.1";
+      thickness.value = options.thickness;
+      thickness.title = "Grosor (pt)";
+      thickness.className = "w-20 p-1 border border-gray-300 rounded";
+      thickness.addEventListener("change", (e) => {
+        this.markOptions[type].thickness =
+          parseFloat(e.target.value) || MARK_DEFAULTS[type].thickness;
+      });
+
+      row.append(label, color, thickness);
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * Llena el selector de codificación y la calidad JPEG por defecto
+   */
+  renderOutputOptions() {
+    Object.entries(OUTPUT_FORMATS).forEach(([key, label]) => {
+      this.elements.outputFormat.appendChild(new Option(label, key));
+    });
+    this.elements.outputFormat.value = this.outputEncoding.format;
+
+    const quality = Math.round(this.outputEncoding.quality * 100);
+    this.elements.jpegQuality.value = quality;
+    this.elements.jpegQualityValue.textContent = `${quality}%`;
+  }
+
+  /**
+   * Muestra el tamaño estimado del PDF y avisa si supera el límite de subida
+   */
+  updateSizeEstimate() {
+    const element = this.elements.sizeEstimate;
+    element.textContent = "";
+    if (!this.currentLayout) return;
+
+    try {
+      const { bytes, format } = this.imageProcessor.estimateExportSize(
+        this.currentLayout,
+        this.currentDpi,
+        {
+          embedMode: this.elements.embedMode.value,
+          encoding: this.outputEncoding,
+          coverPage: this.elements.includeCover.checked,
+          omitted: new Set(
+            this.getOmittedParts(
+              this.previews,
+              this.blankParts,
+              this.excludedTiles
+            ).keys()
+          ),
+        }
+      );
+      const tooLarge = bytes > MAX_PDF_SIZE;
+
+      element.className = `mt-2 ${tooLarge ? "text-red-600" : "text-gray-600"}`;
+      element.textContent = `Tamaño estimado del PDF: ~${formatFileSize(
+        bytes
+      )} (${format.toUpperCase()})${
+        tooLarge
+          ? ` — supera el límite de ${formatFileSize(
+              MAX_PDF_SIZE
+            )}; usa JPEG, baja la calidad o los DPI`
+          : ""
+      }`;
+    } catch (error) {
+      console.error("No se pudo estimar el tamaño del PDF:", error);
+    }
+  }
+
+  /**
+   * Llena el selector de impresoras con los perfiles guardados
+   */
+  renderPrinterOptions() {
+    const select = this.elements.printerProfile;
+    select.innerHTML = "";
+    select.appendChild(new Option(DEFAULT_PRINTER_PROFILE.name, ""));
+    Object.entries(getAllPrinterProfiles()).forEach(([key, profile]) => {
+      select.appendChild(new Option(profile.name, key));
+    });
+
+    // El perfil elegido pudo haberse eliminado
+    if (!getAllPrinterProfiles()[this.printerProfileKey]) {
+      this.printerProfileKey = "";
+    }
+    select.value = this.printerProfileKey;
+    this.renderPrinterInfo();
+  }
+
+  /**
+   * Resume la corrección del perfil elegido y avisa si obliga a usar un
+   * margen mayor
+   */
+  renderPrinterInfo() {
+    const profile = getPrinterProfile(this.printerProfileKey);
+    const { top, right, bottom, left } = profile.margins;
+    const minimum = getMinimumMargin(profile);
+
+    this.elements.removePrinterProfile.disabled = !this.printerProfileKey;
+    this.elements.printerProfileInfo.textContent = this.printerProfileKey
+      ? `Zona no imprimible: ${top} / ${right} / ${bottom} / ${left} mm (sup., der., inf., izq.) · Escala X ${(
+          profile.scale.x * 100
+        ).toFixed(1)} % · Y ${(profile.scale.y * 100).toFixed(1)} %${
+          minimum > this.currentMargin
+            ? ` · Se usará un margen de ${minimum} mm`
+            : ""
+        }`
+      : "Sin corrección: el PDF se imprime tal cual";
+  }
+
+  /**
+   * Descarga la página de prueba para calibrar la impresora
+   */
+  async downloadCalibrationPage() {
+    try {
+      const pdfBytes = await new PDFGenerator().generateCalibrationPDF();
+      this.downloadPDF(pdfBytes, "calibracion_impresora.pdf", "");
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Guarda un perfil de impresora con lo medido en la página de prueba
+   */
+  savePrinterProfile() {
+    try {
+      const margins = {};
+      this.elements.calibrationMargins.forEach((input) => {
+        margins[input.dataset.calibrationMargin] = parseFloat(input.value);
+      });
+      const profile = createPrinterProfile({
+        name: this.elements.calibrationName.value,
+        measured: {
+          width: parseFloat(this.elements.calibrationWidth.value),
+          height: parseFloat(this.elements.calibrationHeight.value),
+        },
+        margins,
+      });
+
+      this.printerProfileKey = registerPrinterProfile(profile);
+      this.elements.calibrationName.value = "";
+      this.renderPrinterOptions();
+      this.updateLayout();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Elimina el perfil de impresora elegido
+   */
+  deletePrinterProfile() {
+    if (!this.printerProfileKey) return;
+
+    removePrinterProfile(this.printerProfileKey);
+    this.renderPrinterOptions();
+    this.updateLayout();
+  }
+
+  /**
+   * Actualiza todos los selectores de papel
+   */
+  renderAllPaperOptions() {
+    this.renderPaperOptions(this.elements.customPaper);
+    this.renderPaperOptions(this.elements.targetPaper);
+    this.renderPaperOptions(this.elements.photoPaper);
+
+    // El buscador también admite cualquier papel
+    const maxPaper = this.elements.optimizerMaxPaper;
+    const current = maxPaper.value;
+    this.renderPaperOptions(maxPaper);
+    maxPaper.prepend(new Option("Cualquier tamaño", ""));
+    maxPaper.value = current;
+  }
+
+  /**
+   * Llena los selectores del buscador de layouts y de la orientación
+   */
+  renderOptimizerOptions() {
+    Object.entries(TARGET_ORIENTATIONS).forEach(([key, label]) => {
+      this.elements.targetOrientation.appendChild(new Option(label, key));
+    });
+    Object.entries(OPTIMIZER_GOALS).forEach(([key, label]) => {
+      this.elements.optimizerGoal.appendChild(new Option(label, key));
+    });
+    Object.entries(OPTIMIZER_SORTS).forEach(([key, label]) => {
+      this.elements.optimizerSort.appendChild(new Option(label, key));
+    });
+    this.elements.targetOrientation.value = this.targetSize.orientation;
+    this.elements.optimizerDpi.value = MIN_EFFECTIVE_DPI;
+    this.elements.optimizerMaxPaper.value = DEFAULT_SETTINGS.paperSize;
+  }
+
+  /**
+   * Busca las combinaciones de papel, orientación y grilla con menos hojas
+   * o menos desperdicio para la imagen abierta
+   */
+  runLayoutOptimizer() {
+    if (!this.currentFile) {
+      this.showError("Sube una imagen para buscar el mejor layout");
+      return;
+    }
+
+    try {
+      const printer = getPrinterProfile(this.printerProfileKey);
+      const result = optimizeLayouts(
+        this.imageProcessor.getImageInfo(),
+        {
+          type: this.elements.optimizerGoal.value,
+          target: this.targetSize,
+          minDpi: parseFloat(this.elements.optimizerDpi.value),
+        },
+        {
+          margin: this.currentMargin,
+          overlap: this.currentOverlap,
+          printer,
+          maxPaperSize: this.elements.optimizerMaxPaper.value || null,
+          sortBy: this.elements.optimizerSort.value,
+        }
+      );
+      this.layoutSuggestions.show(result, {
+        image: this.imageProcessor.createSample(),
+        margin: getLayoutMargin(this.currentMargin, printer),
+      });
+    } catch (error) {
+      this.layoutSuggestions.hide();
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Usa una propuesta del buscador en el modo de tamaño final
+   * @param {Object} suggestion - Propuesta de optimizeLayouts
+   * @param {Object} result - Resultado con el tamaño final buscado
+   */
+  applyLayoutSuggestion(suggestion, result) {
+    this.targetSize = {
+      ...this.targetSize,
+      ...result.target,
+      paperSize: suggestion.paperSize,
+      orientation: suggestion.landscape ? "landscape" : "portrait",
+    };
+    this.applySettings({ ...this.getSettings(), mode: "target" });
+    this.updateLayout();
+  }
+
+  /**
+   * Guarda un papel personalizado desde el formulario
+   */
+  saveCustomPaper() {
+    try {
+      const paper = createCustomPaper({
+        name: this.elements.customPaperName.value,
+        width: this.elements.customPaperWidth.value,
+        height: this.elements.customPaperHeight.value,
+        unit: this.elements.customPaperUnit.value,
+      });
+      const key = registerPaperSize(paper);
+
+      this.renderAllPaperOptions();
+      this.elements.customPaperName.value = "";
+
+      // Seleccionar el nuevo papel en el selector del modo activo
+      if (this.currentMode === "target") {
+        this.elements.targetPaper.value = key;
+        this.targetSize.paperSize = key;
+        this.updateLayout();
+      } else if (this.currentMode === "photos") {
+        this.elements.photoPaper.value = key;
+        this.updatePhotoOptions();
+      } else if (this.currentMode === "pattern") {
+        this.elements.customPaper.value = key;
+        this.elements.patternSelect.value = CUSTOM_PATTERN_KEY;
+        this.elements.customEditor.classList.remove("hidden");
+        this.updateCustomPattern();
+      }
+      // El rollo no usa papeles: el nuevo queda en los selectores de los
+      // demás modos sin cambiar el layout actual
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Crea el patrón personalizado a partir del editor y lo registra
+   * @returns {string|null} Clave registrada
+   */
+  updateCustomPattern() {
+    try {
+      const pattern = createCustomPattern({
+        rows: parseInt(this.elements.customRows.value),
+        cols: parseInt(this.elements.customCols.value),
+        paperSize: this.elements.customPaper.value,
+        landscape: this.elements.customOrientation.value === "landscape",
+      });
+      this.currentPattern = registerPattern(pattern, CUSTOM_PATTERN_KEY);
+      this.updateLayout();
+      return this.currentPattern;
+    } catch (error) {
+      this.showError(error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Guarda el patrón del editor en la lista de patrones
+   */
+  saveCustomPattern() {
+    if (!this.updateCustomPattern()) return;
+
+    this.currentPattern = registerPattern(getPattern(CUSTOM_PATTERN_KEY));
+    this.elements.customEditor.classList.add("hidden");
+    this.renderPatternOptions();
+    this.updateLayout();
+  }
+
+  /**
+   * Lee el solapamiento de la UI: un valor global o uno por borde
+   */
+  updateOverlap() {
+    if (this.elements.overlapPerEdge.checked) {
+      this.currentOverlap = {};
+      this.elements.overlapEdges
+        .querySelectorAll("input[data-edge]")
+        .forEach((input) => {
+          this.currentOverlap[input.dataset.edge] = parseFloat(input.value) || 0;
+        });
+    } else {
+      this.currentOverlap = parseFloat(this.elements.overlapValue.value) || 0;
+    }
+    this.updateLayout();
+  }
+
+  /**
+   * Recalcula el layout físico y refresca descripción y preview
+   */
+  updateLayout() {
+    this.currentLayout = null;
+    this.photoLayout = null;
+    this.saveSettings();
+    this.renderPrinterInfo();
+
+    if (this.currentMode === "photos") {
+      this.updatePhotoSheet();
+      return;
+    }
+
+    if (this.currentFile) {
+      try {
+        this.currentLayout = this.calculateLayout(
+          this.imageProcessor,
+          this.getSettings()
+        );
+      } catch (error) {
+        this.showError(error.message);
+      }
+      this.transformEditor.setFrameAspect(this.imageProcessor.frameAspect);
+    }
+
+    this.updatePatternDescription();
+    this.elements.compareSizes.disabled =
+      !this.currentLayout || Boolean(this.exportController);
+    if (this.currentFile) {
+      this.generatePreview();
+    }
+  }
+
+  /**
+   * Llena los selectores de la hoja de fotos y sus valores iniciales
+   */
+  renderPhotoOptions() {
+    const options = this.photoOptions;
+    Object.entries(PHOTO_SIZES).forEach(([key, size]) => {
+      this.elements.photoSize.appendChild(new Option(size.name, key));
+    });
+    this.elements.photoSize.appendChild(
+      new Option("Personalizado", CUSTOM_PHOTO_SIZE)
+    );
+    Object.entries(PHOTO_FIT_MODES).forEach(([key, label]) => {
+      this.elements.photoFit.appendChild(new Option(label, key));
+    });
+
+    this.elements.photoSize.value = options.photoSize;
+    this.elements.photoWidth.value = options.width;
+    this.elements.photoHeight.value = options.height;
+    this.elements.photoSpacing.value = options.spacing;
+    this.elements.photoCopies.value = options.copies;
+    this.elements.photoFit.value = options.fit;
+    this.elements.photoRotate.checked = options.allowRotate;
+    this.elements.photoCutLines.checked = options.cutLines;
+    this.elements.photoUseQueue.checked = options.useQueue;
+  }
+
+  /**
+   * Llena los selectores del rollo de plotter
+   */
+  renderRollOptions() {
+    Object.entries(ROLL_SIZES).forEach(([key, roll]) => {
+      this.elements.rollSize.appendChild(new Option(roll.name, key));
+    });
+    Object.entries(ROLL_DIRECTIONS).forEach(([key, label]) => {
+      this.elements.rollDirection.appendChild(new Option(label, key));
+    });
+    this.elements.rollSize.value = this.rollOptions.rollSize;
+    this.elements.rollDirection.value = this.rollOptions.direction;
+  }
+
+  /**
+   * Lee las opciones de la hoja de fotos desde la UI
+   */
+  updatePhotoOptions() {
+    this.photoOptions = {
+      photoSize: this.elements.photoSize.value,
+      width: parseFloat(this.elements.photoWidth.value) || 0,
+      height: parseFloat(this.elements.photoHeight.value) || 0,
+      paperSize: this.elements.photoPaper.value,
+      spacing: parseFloat(this.elements.photoSpacing.value) || 0,
+      copies: Math.max(parseInt(this.elements.photoCopies.value) || 0, 0),
+      fit: this.elements.photoFit.value,
+      allowRotate: this.elements.photoRotate.checked,
+      cutLines: this.elements.photoCutLines.checked,
+      useQueue: this.elements.photoUseQueue.checked,
+    };
+    this.updateLayout();
+  }
+
+  /**
+   * Recalcula la hoja de fotos y refresca descripción y vista previa
+   */
+  updatePhotoSheet() {
+    const { paperSize, width, height, spacing, allowRotate } =
+      this.photoOptions;
+
+    try {
+      this.photoLayout = calculatePhotoSheetLayout({
+        paperSize,
+        margin: this.currentMargin,
+        printer: getPrinterProfile(this.printerProfileKey),
+        photoSize: { width, height },
+        spacing,
+        allowRotate,
+      });
+    } catch (error) {
+      this.showError(error.message);
+    }
+
+    this.qualityAnalysis = null;
+    this.elements.compareSizes.disabled = true;
+    this.updateSizeEstimate();
+    this.updatePatternDescription();
+    if (this.currentFile) {
+      // Cada foto se ajusta a su tamaño; la imagen conserva su proporción
+      this.imageProcessor.setFrameAspect(null);
+      this.transformEditor.setFrameAspect(null);
+      this.generatePreview();
+    }
+  }
+
+  /**
+   * Imágenes que van en la hoja de fotos: la abierta o toda la cola
+   * @returns {Array<Object>} Elementos de BatchQueue
+   */
+  getPhotoItems() {
+    const active = this.batchQueue.getActive();
+    if (this.photoOptions.useQueue) {
+      return this.batchQueue.items;
+    }
+    return active ? [active] : [];
+  }
+
+  /**
+   * Muestra las primeras hojas de fotos con la resolución de la imagen abierta
+   */
+  renderPhotoSheetPreview() {
+    const container = this.elements.previewContainer;
+    container.innerHTML = "";
+    if (!this.photoLayout) return;
+
+    const { fit, copies } = this.photoOptions;
+    const items = this.getPhotoItems();
+    const activeIndex = items.indexOf(this.batchQueue.getActive());
+    const sheets = distributePhotos(this.photoLayout.perSheet, items.length, copies);
+    const { effectiveDpi } = this.imageProcessor.getPhotoPlacement(
+      this.photoLayout.photoSize,
+      fit
+    );
+    const isLowQuality = effectiveDpi < MIN_EFFECTIVE_DPI;
+
+    const summary = document.createElement("div");
+    summary.className = `mb-4 p-3 rounded-lg text-sm text-left border ${
+      isLowQuality
+        ? "bg-yellow-50 border-yellow-300 text-yellow-800"
+        : "bg-green-50 border-green-200 text-green-800"
+    }`;
+    summary.textContent = `${sheets.length} ${
+      sheets.length === 1 ? "hoja" : "hojas"
+    } con ${items.length} ${
+      items.length === 1 ? "imagen" : "imágenes"
+    } · Imagen abierta: ${effectiveDpi} DPI efectivos (${
+      getQualityLevel(effectiveDpi).label
+    })`;
+    container.appendChild(summary);
+
+    const grid = document.createElement("div");
+    grid.className = "grid grid-cols-2 gap-4";
+    sheets.slice(0, MAX_PHOTO_PREVIEWS).forEach((sheet, index) => {
+      const card = document.createElement("div");
+      card.className = "preview-card bg-gray-50 p-4 rounded-lg";
+
+      const img = new Image();
+      img.src = this.imageProcessor.generatePhotoSheetPreview(
+        this.photoLayout,
+        sheet,
+        activeIndex,
+        fit
+      );
+      img.className = "max-w-full h-auto mx-auto";
+
+      const info = document.createElement("p");
+      info.className = "text-sm text-gray-600 mt-2 text-center";
+      info.textContent = `Hoja ${index + 1} de ${sheets.length} · ${
+        sheet.length
+      } fotos`;
+
+      card.append(img, info);
+      grid.appendChild(card);
+    });
+    container.appendChild(grid);
+
+    if (sheets.length > MAX_PHOTO_PREVIEWS) {
+      const more = document.createElement("p");
+      more.className = "text-sm text-gray-500 mt-2";
+      more.textContent = `y ${sheets.length - MAX_PHOTO_PREVIEWS} hojas más`;
+      container.appendChild(more);
+    }
+  }
+
+  /**
+   * Calcula el layout de la imagen de un procesador con una configuración
+   * @param {ImageProcessor} processor - Procesador con la imagen cargada
+   * @param {Object} settings - Resultado de getSettings
+   * @returns {Object} Layout físico
+   */
+  calculateLayout(processor, settings) {
+    const { mode, pattern, targetSize, roll } = settings;
+    if (mode === "photos") {
+      throw new Error(
+        "La hoja de fotos se genera con el botón principal y la opción de usar toda la cola"
+      );
+    }
+    const options = {
+      margin: settings.margin,
+      overlap: settings.overlap,
+      printer: getPrinterProfile(this.printerProfileKey),
+    };
+
+    // Con un patrón la imagen puede adaptarse a la proporción de su grilla
+    processor.setFrameAspect(
+      mode === "pattern"
+        ? getPatternFrameAspect(getPattern(pattern), options)
+        : null
+    );
+
+    const imageInfo = processor.getImageInfo();
+    if (mode === "roll") {
+      return calculateRollLayout(imageInfo, targetSize, {
+        ...options,
+        ...roll,
+      });
+    }
+    return mode === "target"
+      ? calculateTargetLayout(imageInfo, targetSize, {
+          ...options,
+          paperSize: targetSize.paperSize,
+        })
+      : calculatePatternLayout(imageInfo, getPattern(pattern), options);
+  }
+
+  /**
+   * Obtiene el patrón activo: el layout calculado o, sin imagen, el patrón
+   * predefinido seleccionado
+   * @returns {Object|null}
+   */
+  getActivePattern() {
+    if (this.currentLayout) {
+      return this.currentLayout;
+    }
+    return this.currentMode === "pattern"
+      ? getPattern(this.currentPattern)
+      : null;
+  }
+
   generatePreview() {
+    if (this.currentMode === "photos") {
+      this.layoutPreview.hide();
+      try {
+        this.renderPhotoSheetPreview();
+      } catch (error) {
+        this.showError(error.message);
+      }
+      return;
+    }
+
     try {
-      const previews = this.imageProcessor.generatePreview(this.currentPattern);
-      this.renderPreviews(previews);
+      if (!this.currentLayout) {
+        this.previews = [];
+        this.layoutPreview.hide();
+        this.elements.previewContainer.innerHTML = "";
+        return;
+      }
+
+      this.previews = this.imageProcessor.generatePreview(this.currentLayout);
+      this.blankParts = this.imageProcessor.findBlankParts(this.currentLayout);
+      // Olvidar las hojas excluidas que ya no existen en el nuevo layout
+      const tileIds = this.previews.map(({ position }) => getTileId(position));
+      this.excludedTiles = new Set(
+        [...this.excludedTiles].filter((id) => tileIds.includes(id))
+      );
+      this.qualityAnalysis = analyzeLayoutQuality(
+        this.currentLayout,
+        this.imageProcessor.getImageInfo()
+      );
+      // Póster completo con los cortes; las hojas sueltas quedan debajo
+      this.layoutPreview.show({
+        image: this.imageProcessor.createSample(LAYOUT_PREVIEW_SIZE),
+        imageSize: this.imageProcessor.getImageInfo(),
+        tiles: this.imageProcessor
+          .getPartsInfo(this.currentLayout, null)
+          .map((part) => ({
+            ...part,
+            ...this.qualityAnalysis.tiles[part.partNumber - 1],
+          })),
+      });
+      this.renderPreviews(this.previews, this.qualityAnalysis);
+      this.updateSizeEstimate();
     } catch (error) {
       this.showError("Error al generar la vista previa");
     }
   }
 
-  renderPreviews(previews) {
+  renderPreviews(previews, analysis) {
     const container = this.elements.previewContainer;
     container.innerHTML = "";
 
+    if (analysis) {
+      container.appendChild(this.renderQualitySummary(analysis));
+    }
+
+    const skipBlank = this.elements.skipBlankTiles.checked;
+    if (this.blankParts.size > 0) {
+      const blankInfo = document.createElement("p");
+      blankInfo.className = "mb-4 text-sm text-gray-600 text-left";
+      blankInfo.textContent = `${this.blankParts.size} ${
+        this.blankParts.size === 1 ? "hoja está" : "hojas están"
+      } en blanco${
+        skipBlank
+          ? " y no se imprimirán; seguirán marcadas en el mapa de montaje."
+          : ". Activa «Omitir hojas en blanco» para ahorrar papel y tinta."
+      }`;
+      container.appendChild(blankInfo);
+    }
+
+    const omittedParts = this.getOmittedParts(
+      previews,
+      this.blankParts,
+      this.excludedTiles
+    );
+    this.layoutPreview.setOmitted(omittedParts);
+    container.appendChild(
+      this.renderSelectionSummary(previews.length, omittedParts)
+    );
+
+    // Las hojas sueltas siguen las columnas del póster
+    const cols = Math.max(...previews.map(({ position }) => position.col)) + 1;
     const grid = document.createElement("div");
-    grid.className = "grid grid-cols-2 gap-4";
+    grid.className = "grid gap-4";
+    grid.style.gridTemplateColumns = `repeat(${Math.min(
+      cols,
+      MAX_PREVIEW_COLUMNS
+    )}, minmax(0, 1fr))`;
 
     previews.forEach((preview, index) => {
+      const isBlank = this.blankParts.has(preview.partNumber);
+      const tileId = getTileId(preview.position);
+      const omitted = omittedParts.get(preview.partNumber);
       const previewCard = document.createElement("div");
-      previewCard.className = "preview-card bg-gray-50 p-4 rounded-lg";
+      previewCard.className = `preview-card p-4 rounded-lg border-2 ${
+        omitted
+          ? "bg-gray-50 border-dashed border-gray-300 opacity-50"
+          : "bg-gray-50 border-blue-400"
+      }`;
+
+      // Las hojas en blanco que se omiten no se pueden volver a incluir
+      if (omitted !== "blank") {
+        previewCard.classList.add("cursor-pointer");
+        previewCard.title = omitted
+          ? "Clic para incluir esta hoja"
+          : "Clic para no imprimir esta hoja";
+        previewCard.addEventListener("click", () =>
+          this.toggleTileSelection(tileId)
+        );
+      }
 
       const img = new Image();
       img.src = preview.dataURL;
@@ -111,23 +1519,198 @@ class App {
 
       const info = document.createElement("p");
       info.className = "text-sm text-gray-600 mt-2 text-center";
-      info.textContent = `Parte ${preview.partNumber} de ${preview.totalParts}`;
+      info.textContent = `Parte ${preview.partNumber} de ${
+        preview.totalParts
+      } · ${tileId}`;
 
       previewCard.appendChild(img);
       previewCard.appendChild(info);
+
+      if (isBlank) {
+        const blankLabel = document.createElement("p");
+        blankLabel.className = "text-xs mt-1 text-center text-gray-500";
+        blankLabel.textContent = skipBlank
+          ? "En blanco · no se imprime"
+          : "En blanco";
+        previewCard.appendChild(blankLabel);
+      } else if (omitted === "excluded") {
+        const excludedLabel = document.createElement("p");
+        excludedLabel.className = "text-xs mt-1 text-center text-gray-500";
+        excludedLabel.textContent = "Excluida · no se imprime";
+        previewCard.appendChild(excludedLabel);
+      }
+
+      const tileQuality = analysis && analysis.tiles[preview.partNumber - 1];
+      if (tileQuality) {
+        const quality = document.createElement("p");
+        quality.className = `text-xs mt-1 text-center ${
+          tileQuality.effectiveDpi < analysis.minDpi
+            ? "text-red-600"
+            : "text-gray-500"
+        }`;
+        quality.textContent = `${tileQuality.effectiveDpi} DPI efectivos · ${tileQuality.quality.label}`;
+        previewCard.appendChild(quality);
+      }
       grid.appendChild(previewCard);
     });
 
     container.appendChild(grid);
   }
 
+  /**
+   * Crea la barra que resume qué hojas se imprimen, con botones para
+   * incluirlas todas o ninguna (para reimprimir solo algunas)
+   * @param {number} totalParts - Cantidad de partes del layout
+   * @param {Map<number, string>} omittedParts - Resultado de getOmittedParts
+   * @returns {HTMLElement}
+   */
+  renderSelectionSummary(totalParts, omittedParts) {
+    const summary = document.createElement("div");
+    summary.className =
+      "mb-4 flex flex-wrap items-center gap-2 text-sm text-gray-600 text-left";
+
+    const text = document.createElement("p");
+    text.className = "flex-1";
+    text.textContent = `Se imprimirán ${
+      totalParts - omittedParts.size
+    } de ${totalParts} hojas. Haz clic en una hoja para incluirla o excluirla; la numeración se mantiene como en el juego completo.`;
+    summary.appendChild(text);
+
+    const tileIds = this.previews.map(({ position }) => getTileId(position));
+    [
+      { label: "Todas", excluded: [] },
+      { label: "Ninguna", excluded: tileIds },
+    ].forEach(({ label, excluded }) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className =
+        "px-3 py-1 rounded border border-gray-300 hover:bg-gray-100";
+      button.textContent = label;
+      button.addEventListener("click", () => {
+        this.excludedTiles = new Set(excluded);
+        this.refreshTileSelection();
+      });
+      summary.appendChild(button);
+    });
+
+    return summary;
+  }
+
+  /**
+   * Incluye o excluye una hoja de la impresión
+   * @param {string} tileId - Identificador de la hoja (ej. "B2")
+   */
+  toggleTileSelection(tileId) {
+    if (this.excludedTiles.has(tileId)) {
+      this.excludedTiles.delete(tileId);
+    } else {
+      this.excludedTiles.add(tileId);
+    }
+    this.refreshTileSelection();
+  }
+
+  /**
+   * Vuelve a dibujar las previews y el tamaño estimado tras cambiar la
+   * selección de hojas, sin recalcular las partes
+   */
+  refreshTileSelection() {
+    this.renderPreviews(this.previews, this.qualityAnalysis);
+    this.updateSizeEstimate();
+  }
+
+  /**
+   * Motivo por el que cada parte no se imprime: en blanco (si se omiten
+   * las hojas en blanco) o excluida por el usuario
+   * @param {Array<Object>} parts - Partes con partNumber y position
+   * @param {Set<number>} blankParts - partNumber de las partes en blanco
+   * @param {Set<string>} excludedTiles - Identificadores de hoja excluidos
+   * @returns {Map<number, string>} partNumber → clave de OMITTED_PART_LABELS
+   */
+  getOmittedParts(parts, blankParts, excludedTiles) {
+    const skipBlank = this.elements.skipBlankTiles.checked;
+    const omitted = new Map();
+    parts.forEach(({ partNumber, position }) => {
+      if (skipBlank && blankParts.has(partNumber)) {
+        omitted.set(partNumber, "blank");
+      } else if (excludedTiles.has(getTileId(position))) {
+        omitted.set(partNumber, "excluded");
+      }
+    });
+    return omitted;
+  }
+
+  /**
+   * Crea el resumen de calidad con el aviso y la sugerencia de layout
+   * cuando la resolución efectiva es insuficiente
+   * @param {Object} analysis - Resultado de analyzeLayoutQuality
+   * @returns {HTMLElement}
+   */
+  renderQualitySummary(analysis) {
+    const summary = document.createElement("div");
+    summary.className = `mb-4 p-3 rounded-lg text-sm text-left border ${
+      analysis.isLowQuality
+        ? "bg-yellow-50 border-yellow-300 text-yellow-800"
+        : "bg-green-50 border-green-200 text-green-800"
+    }`;
+
+    const title = document.createElement("p");
+    title.className = "font-medium";
+    title.textContent = `Calidad global: ${analysis.quality.label} (${analysis.effectiveDpi} DPI efectivos)`;
+    summary.appendChild(title);
+
+    if (analysis.isLowQuality) {
+      const { width, height } = analysis.maxPosterSize;
+      const warning = document.createElement("p");
+      warning.className = "mt-1";
+      warning.textContent = `La imagen no tiene suficientes píxeles para este tamaño y se verá borrosa. Para mantener al menos ${
+        analysis.minDpi
+      } DPI el póster debería medir como máximo ${(width / 10).toFixed(
+        1
+      )} × ${(height / 10).toFixed(1)} cm.`;
+      summary.appendChild(warning);
+
+      const suggestion = this.getSmallerPatternSuggestion();
+      if (suggestion) {
+        const hint = document.createElement("p");
+        hint.className = "mt-1";
+        hint.textContent = `Sugerencia: usa "${suggestion.pattern.name}" (${suggestion.effectiveDpi} DPI efectivos).`;
+        summary.appendChild(hint);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Busca el patrón predefinido más grande que alcanza el umbral de calidad
+   * @returns {Object|null}
+   */
+  getSmallerPatternSuggestion() {
+    const [suggestion] = suggestPatterns(this.imageProcessor.getImageInfo(), {
+      margin: this.currentMargin,
+      overlap: this.currentOverlap,
+      printer: getPrinterProfile(this.printerProfileKey),
+    });
+    return suggestion || null;
+  }
+
   showFileInfo(fileInfo) {
     this.elements.fileInfo.classList.remove("hidden");
     this.elements.fileDetails.textContent = `${fileInfo.name} (${fileInfo.formattedSize})`;
   }
 
   updatePatternDescription() {
-    const pattern = DIVISION_PATTERNS[this.currentPattern];
+    const pattern =
+      this.currentMode === "photos" ? this.photoLayout : this.getActivePattern();
+    if (!pattern) {
+      this.elements.patternDescription.innerHTML = `
+      <p class="text-sm text-gray-600">
+        Sube una imagen e indica el tamaño final para calcular las hojas necesarias.
+      </p>
+    `;
+      return;
+    }
+
     this.elements.patternDescription.innerHTML = `
       <p class="text-sm text-gray-600">
         ${pattern.description}
@@ -135,47 +1718,348 @@ class App {
     `;
   }
 
-  async exportPDF() {
-    try {
-      if (!this.currentFile) {
-        throw new Error("No hay imagen cargada");
-      }
+  /**
+   * Obtiene el layout a exportar o lanza un error si no se puede
+   * @returns {Object}
+   */
+  getExportLayout() {
+    if (!this.currentFile) {
+      throw new Error("No hay imagen cargada");
+    }
+    if (!this.currentLayout) {
+      throw new Error("Revisa la configuración de impresión");
+    }
+    return this.currentLayout;
+  }
 
-      // Obtener las partes de la imagen
-      const imageParts = this.imageProcessor.divideImage(
-        this.currentPattern,
-        this.currentDpi
-      );
+  /**
+   * Genera el PDF del layout actual parte a parte (en un worker si el
+   * navegador lo permite), mostrando el progreso
+   * @param {string} embedMode - 'shared' (una imagen recortada en cada página) o 'tiles'
+   * @returns {Promise<Uint8Array>}
+   */
+  async buildPDF(embedMode) {
+    return this.pdfExporter.export({
+      ...this.createExportJob(
+        this.imageProcessor,
+        this.getExportLayout(),
+        this.currentDpi,
+        embedMode,
+        this.excludedTiles
+      ),
+      onProgress: (progress) => this.updateProgress(progress),
+      signal: this.exportController && this.exportController.signal,
+    });
+  }
 
-      // Crear instancia del generador PDF
-      const pdfGenerator = new PDFGenerator();
+  /**
+   * Obtiene la hoja de fotos a exportar o lanza un error si no se puede
+   * @returns {Object}
+   */
+  getPhotoSheetLayout() {
+    if (!this.currentFile) {
+      throw new Error("No hay imagen cargada");
+    }
+    if (!this.photoLayout) {
+      throw new Error("Revisa la configuración de la hoja de fotos");
+    }
+    return this.photoLayout;
+  }
 
-      // Generar el PDF
-      const pdfBytes = await pdfGenerator.generatePDF(imageParts, {
-        paperSize: DIVISION_PATTERNS[this.currentPattern].paperSize,
-        pattern: DIVISION_PATTERNS[this.currentPattern],
-        margins: 8,
+  /**
+   * Genera la hoja de fotos con la imagen abierta o con toda la cola
+   * @returns {Promise<Uint8Array>}
+   */
+  async buildPhotoSheetPDF() {
+    const { fit, copies, cutLines } = this.photoOptions;
+
+    return this.photoSheetExporter.export({
+      items: this.getPhotoItems(),
+      activeItem: this.batchQueue.getActive(),
+      layout: this.getPhotoSheetLayout(),
+      dpi: this.currentDpi,
+      fit,
+      copies,
+      encoding: this.outputEncoding,
+      pdfOptions: {
+        cutLines,
+        marks: this.markOptions,
+        addPageNumbers: true,
+      },
+      onProgress: (progress) => this.updateProgress(progress),
+      signal: this.exportController && this.exportController.signal,
+    });
+  }
+
+  /**
+   * Prepara el trabajo de PdfExporter para la imagen de un procesador con
+   * las opciones de exportación de la interfaz
+   * @param {ImageProcessor} processor - Procesador con la imagen cargada
+   * @param {Object} pattern - Layout a exportar
+   * @param {number} dpi - Resolución de salida
+   * @param {string} embedMode - 'shared' o 'tiles'
+   * @param {Set<string>} excludedTiles - Hojas que no se imprimen (ej. "B2")
+   * @returns {Object} {parts, encoding, source, pdfOptions}
+   */
+  createExportJob(
+    processor,
+    pattern,
+    dpi,
+    embedMode,
+    excludedTiles = new Set()
+  ) {
+    const includeCover = this.elements.includeCover.checked;
+    const encoding = processor.resolveEncoding(this.outputEncoding);
+    const source =
+      embedMode === "shared" ? processor.getSourceExportSize(pattern, dpi) : null;
+
+    // Las hojas omitidas siguen en el mapa de montaje pero no se imprimen
+    const partsInfo = processor.getPartsInfo(pattern, dpi);
+    const omittedParts = this.getOmittedParts(
+      partsInfo,
+      this.elements.skipBlankTiles.checked
+        ? processor.findBlankParts(pattern)
+        : new Set(),
+      excludedTiles
+    );
+
+    // Con la imagen compartida todas las partes usan su resolución
+    const parts = partsInfo.map((part) => ({
+      ...part,
+      ...(source ? { dpi: source.dpi } : {}),
+      omitted: omittedParts.get(part.partNumber) || null,
+    }));
+
+    return {
+      parts,
+      encoding,
+      source,
+      pdfOptions: {
+        paperSize: pattern.paperSize,
+        pattern,
+        margins: pattern.margin,
         addGuides: true,
+        marks: this.markOptions,
         addPageNumbers: true,
-      });
+        addNeighborLabels: this.elements.includeNeighborLabels.checked,
+        addMiniMap: this.elements.includeMiniMap.checked,
+        printer: getPrinterProfile(this.printerProfileKey),
+        // Con la imagen compartida la portada no necesita miniatura propia
+        coverPage: includeCover
+          ? source
+            ? {}
+            : {
+                thumbnail: processor.generateThumbnail(1200, encoding),
+              }
+          : null,
+      },
+    };
+  }
+
+  /**
+   * Ejecuta una exportación con la barra de progreso en lugar del botón.
+   * Solo puede haber una a la vez; cancelar no se trata como error
+   * @param {Function} task - async () => void
+   * @param {string} errorPrefix - Texto antes del mensaje de error
+   */
+  async runExport(task, errorPrefix) {
+    if (this.exportController) return;
+
+    this.exportController = new AbortController();
+    this.showProgress(true);
+    try {
+      await task();
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        this.showError(errorPrefix + error.message);
+      }
+    } finally {
+      this.exportController = null;
+      this.showProgress(false);
+    }
+  }
 
-      // Crear blob y descargar
-      const blob = new Blob([pdfBytes], { type: "application/pdf" });
-      const url = URL.createObjectURL(blob);
+  /**
+   * Cambia el botón de exportar por la barra de progreso y viceversa
+   * @param {boolean} visible - Mostrar el progreso
+   */
+  showProgress(visible) {
+    this.elements.exportProgress.classList.toggle("hidden", !visible);
+    this.elements.exportButton.classList.toggle("hidden", visible);
+    this.elements.compareSizes.disabled = visible || !this.currentLayout;
+    this.elements.exportBatch.disabled =
+      visible || this.batchQueue.items.length < 2;
+    this.updateProgress({ step: "prepare", current: 0, total: 0 });
+  }
 
-      // Crear link de descarga
-      const link = document.createElement("a");
-      link.href = url;
-      link.download = `${this.currentFile.name.split(".")[0]}_divided.pdf`;
-      document.body.appendChild(link);
-      link.click();
+  /**
+   * Actualiza la barra de progreso con un paso de EXPORT_STEPS
+   * @param {Object} progress - {step, current, total}
+   * @param {Object|null} batch - {index, count} de la imagen en un lote
+   */
+  updateProgress({ step, current, total }, batch = null) {
+    // Cada hoja cuenta al empezar; guardar completa la barra
+    const done = step === "save" ? total : Math.max(current - 1, 0);
+    const fraction = total ? done / total : 0;
+    const percent = Math.round(
+      (batch ? (batch.index + fraction) / batch.count : fraction) * 100
+    );
+    const prefix = batch ? `Imagen ${batch.index + 1} de ${batch.count} · ` : "";
 
-      // Limpiar
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
+    this.elements.exportProgressBar.style.width = `${percent}%`;
+    this.elements.exportProgressLabel.textContent =
+      step === "page"
+        ? `${prefix}${EXPORT_STEPS.page} ${current} de ${total} (${percent} %)`
+        : `${prefix}${EXPORT_STEPS[step]}...`;
+  }
+
+  /**
+   * Genera el PDF en los dos modos de incrustación y muestra tamaño y tiempo
+   */
+  async compareExportSizes() {
+    await this.runExport(async () => {
+      this.getExportLayout();
+      this.elements.exportInfo.textContent = "Comparando...";
+
+      const labels = { shared: "Imagen compartida", tiles: "Una imagen por hoja" };
+      const results = {};
+      try {
+        for (const mode of Object.keys(labels)) {
+          const start = performance.now();
+          const bytes = await this.buildPDF(mode);
+          results[mode] = {
+            size: bytes.length,
+            time: (performance.now() - start) / 1000,
+          };
+        }
+      } catch (error) {
+        this.elements.exportInfo.textContent = "";
+        throw error;
+      }
+
+      const saving = Math.round(
+        (1 - results.shared.size / results.tiles.size) * 100
+      );
+      this.elements.exportInfo.textContent = `${Object.entries(results)
+        .map(
+          ([mode, { size, time }]) =>
+            `${labels[mode]}: ${formatFileSize(size)} (${time.toFixed(1)} s)`
+        )
+        .join(" · ")} · Diferencia: ${saving} %`;
+    }, "Error al comparar tamaños: ");
+  }
+
+  async exportPDF() {
+    // Ignorar clics mientras ya se está generando un PDF
+    if (this.exportController) return;
+
+    const isPhotoSheet = this.currentMode === "photos";
+    try {
+      if (isPhotoSheet) {
+        this.getPhotoSheetLayout();
+      } else {
+        this.getExportLayout();
+      }
     } catch (error) {
       this.showError("Error al generar PDF: " + error.message);
+      return;
     }
+
+    if (
+      !isPhotoSheet &&
+      this.qualityAnalysis &&
+      this.qualityAnalysis.isLowQuality &&
+      !window.confirm(
+        `La resolución efectiva es de solo ${this.qualityAnalysis.effectiveDpi} DPI y la impresión se verá borrosa. ¿Generar el PDF de todas formas?`
+      )
+    ) {
+      return;
+    }
+
+    await this.runExport(async () => {
+      // Generar el PDF
+      const pdfBytes = isPhotoSheet
+        ? await this.buildPhotoSheetPDF()
+        : await this.buildPDF(this.elements.embedMode.value);
+      this.elements.exportInfo.textContent = `PDF generado: ${formatFileSize(
+        pdfBytes.length
+      )}${
+        pdfBytes.length > MAX_PDF_SIZE
+          ? ` (supera el límite de ${formatFileSize(MAX_PDF_SIZE)})`
+          : ""
+      }`;
+
+      this.downloadPDF(pdfBytes, this.currentFile.name);
+    }, "Error al generar PDF: ");
+  }
+
+  /**
+   * Genera los PDF de todas las imágenes de la cola, cada una con su
+   * configuración, en un solo PDF con marcadores o en uno por imagen
+   */
+  async exportBatch() {
+    if (this.exportController) return;
+
+    const items = [...this.batchQueue.items];
+    const combine = this.elements.batchOutput.value === "combined";
+    this.batchQueue.resetStatus();
+
+    await this.runExport(async () => {
+      const pdfBytes = await this.batchExporter.export(items, {
+        combine,
+        onItemStart: (item) => this.batchQueue.setStatus(item, "processing"),
+        onItemDone: (item, bytes) => {
+          this.batchQueue.setStatus(item, "done", formatFileSize(bytes.length));
+          if (!combine) {
+            this.downloadPDF(bytes, item.fileInfo.name);
+          }
+        },
+        onItemError: (item, error) =>
+          this.batchQueue.setStatus(item, "error", error.message),
+        onProgress: (progress, index) =>
+          this.updateProgress(progress, { index, count: items.length }),
+        signal: this.exportController.signal,
+      });
+
+      const failed = items.filter((item) => item.status === "error").length;
+      this.elements.exportInfo.textContent = `${
+        items.length - failed
+      } de ${items.length} imágenes generadas${
+        pdfBytes ? ` en un PDF de ${formatFileSize(pdfBytes.length)}` : ""
+      }`;
+
+      if (pdfBytes) {
+        this.downloadPDF(pdfBytes, "lote");
+      }
+    }, "Error al generar el lote: ");
+
+    // Al cancelar, la imagen a medias vuelve a quedar en cola
+    items
+      .filter((item) => item.status === "processing")
+      .forEach((item) => this.batchQueue.setStatus(item, "pending"));
+  }
+
+  /**
+   * Descarga un PDF generado
+   * @param {Uint8Array} pdfBytes - Contenido del PDF
+   * @param {string} fileName - Nombre de la imagen de origen
+   * @param {string} suffix - Se agrega al nombre sin extensión
+   */
+  downloadPDF(pdfBytes, fileName, suffix = "_divided") {
+    // Crear blob y descargar
+    const blob = new Blob([pdfBytes], { type: "application/pdf" });
+    const url = URL.createObjectURL(blob);
+
+    // Crear link de descarga
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${fileName.split(".")[0]}${suffix}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+
+    // Limpiar
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
   }
 
   showError(message) {
@@ -188,9 +2072,25 @@ class App {
   }
 
   resetUI() {
+    if (this.exportController) {
+      this.exportController.abort();
+    }
     this.currentFile = null;
+    this.currentLayout = null;
+    this.qualityAnalysis = null;
+    this.blankParts = new Set();
+    this.excludedTiles = new Set();
+    this.previews = [];
+    this.batchQueue.setActive(null);
+    this.imageProcessor.cleanup();
+    this.transformEditor.hide();
+    this.layoutPreview.hide();
+    this.layoutSuggestions.hide();
     this.elements.fileInfo.classList.add("hidden");
     this.elements.exportButton.disabled = true;
+    this.elements.compareSizes.disabled = true;
+    this.elements.exportInfo.textContent = "";
+    this.elements.sizeEstimate.textContent = "";
     this.elements.previewContainer.innerHTML = `
       <div class="text-gray-500">
         <svg class="w-16 h-16 mx-auto mb-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
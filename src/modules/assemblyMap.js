@@ -0,0 +1,165 @@
+// src/modules/assemblyMap.js
+import { rgb } from "pdf-lib";
+import { OMITTED_PART_LABELS } from "../utils/constants.js";
+
+class AssemblyMap {
+  /**
+   * @param {Array<Object>} parts - Partes con position, area y overlap (mm)
+   * @param {Object} posterSize - Tamaño del póster {width, height} en mm
+   */
+  constructor(parts, posterSize) {
+    this.parts = parts;
+    this.posterSize = posterSize || this.calculatePosterSize(parts);
+  }
+
+  /**
+   * Calcula el tamaño del póster a partir de las áreas de las partes
+   * @param {Array<Object>} parts - Partes con area
+   * @returns {Object} {width, height} en mm
+   */
+  calculatePosterSize(parts) {
+    return parts.reduce(
+      (size, { area }) => ({
+        width: Math.max(size.width, area.x + area.width),
+        height: Math.max(size.height, area.y + area.height),
+      }),
+      { width: 0, height: 0 }
+    );
+  }
+
+  /**
+   * Obtiene la celda propia de una parte (sin solapamiento) en mm
+   * @param {Object} part - Parte con area y overlap
+   * @returns {Object} {x, y, width, height}
+   */
+  getCell(part) {
+    const { area } = part;
+    const overlap = part.overlap || { top: 0, right: 0, bottom: 0, left: 0 };
+    return {
+      x: area.x + overlap.left,
+      y: area.y + overlap.top,
+      width: area.width - overlap.left - overlap.right,
+      height: area.height - overlap.top - overlap.bottom,
+    };
+  }
+
+  /**
+   * Calcula el rectángulo más grande con la proporción del póster que cabe
+   * en un área de la página, centrado
+   * @param {Object} bounds - Área disponible {x, y, width, height} en puntos
+   * @returns {Object} Rectángulo {x, y, width, height} en puntos
+   */
+  fitInto(bounds) {
+    const scale = Math.min(
+      bounds.width / this.posterSize.width,
+      bounds.height / this.posterSize.height
+    );
+    const width = this.posterSize.width * scale;
+    const height = this.posterSize.height * scale;
+
+    return {
+      x: bounds.x + (bounds.width - width) / 2,
+      y: bounds.y + (bounds.height - height) / 2,
+      width,
+      height,
+    };
+  }
+
+  /**
+   * Dibuja la grilla de partes sobre un rectángulo de la página. Las partes
+   * omitidas se muestran en gris con línea discontinua y, si hay fuente, con
+   * el motivo debajo de su etiqueta
+   * @param {PDFPage} page - Página del PDF
+   * @param {Object} rect - Rectángulo del póster en puntos (de fitInto)
+   * @param {Object} options - {font, label(part) => string, highlight, fill}
+   */
+  draw(page, rect, options = {}) {
+    const {
+      font = null,
+      label = (part) => String(part.partNumber),
+      highlight = null,
+      fill = false,
+      lineColor = rgb(0.1, 0.1, 0.1),
+      lineWidth = 0.75,
+    } = options;
+    const scale = rect.width / this.posterSize.width;
+
+    this.parts.forEach((part) => {
+      const cell = this.getCell(part);
+      const cellRect = {
+        x: rect.x + cell.x * scale,
+        y: rect.y + rect.height - (cell.y + cell.height) * scale,
+        width: cell.width * scale,
+        height: cell.height * scale,
+      };
+      const isHighlighted = highlight && highlight === part.partNumber;
+
+      page.drawRectangle({
+        ...cellRect,
+        color: isHighlighted
+          ? rgb(0.23, 0.51, 0.96)
+          : part.omitted
+          ? rgb(0.82, 0.82, 0.82)
+          : fill
+          ? rgb(0.95, 0.95, 0.95)
+          : undefined,
+        opacity: part.omitted && !fill ? 0.85 : undefined,
+        borderColor: lineColor,
+        borderWidth: lineWidth,
+        borderDashArray: part.omitted ? [2, 2] : undefined,
+      });
+
+      if (!font) return;
+
+      // Número centrado con fondo blanco para que se lea sobre la imagen
+      const text = label(part);
+      const fontSize = Math.min(
+        Math.max(Math.min(cellRect.width, cellRect.height) * 0.3, 4),
+        28
+      );
+      const textWidth = font.widthOfTextAtSize(text, fontSize);
+      const textHeight = font.heightAtSize(fontSize);
+      const centerX = cellRect.x + cellRect.width / 2;
+      const centerY = cellRect.y + cellRect.height / 2;
+
+      if (!fill) {
+        page.drawRectangle({
+          x: centerX - textWidth / 2 - 2,
+          y: centerY - textHeight / 2 - 2,
+          width: textWidth + 4,
+          height: textHeight + 4,
+          color: rgb(1, 1, 1),
+          opacity: 0.8,
+        });
+      }
+
+      page.drawText(text, {
+        x: centerX - textWidth / 2,
+        y: centerY - textHeight / 2 + textHeight * 0.2,
+        size: fontSize,
+        font,
+        color: isHighlighted ? rgb(1, 1, 1) : rgb(0.1, 0.1, 0.1),
+      });
+
+      // Motivo de la omisión, reducido para que quepa en la celda
+      const reason = part.omitted && OMITTED_PART_LABELS[part.omitted];
+      if (reason) {
+        const reasonSize = Math.min(
+          fontSize * 0.45,
+          (cellRect.width * 0.9) / font.widthOfTextAtSize(reason, 1)
+        );
+        if (reasonSize >= 3) {
+          page.drawText(reason, {
+            x: centerX - font.widthOfTextAtSize(reason, reasonSize) / 2,
+            y: centerY - textHeight / 2 - reasonSize * 1.6,
+            size: reasonSize,
+            font,
+            color: rgb(0.3, 0.3, 0.3),
+          });
+        }
+      }
+    });
+  }
+}
+
+export default AssemblyMap;
@@ -0,0 +1,95 @@
+// src/modules/batchExporter.js
+import { PDFDocument } from "pdf-lib";
+import ImageProcessor from "./imageProcessor.js";
+import PdfExporter from "./pdfExporter.js";
+import { appendPdf, addOutline } from "../utils/pdfMerge.js";
+import { throwIfAborted } from "../utils/abort.js";
+
+class BatchExporter {
+  /**
+   * @param {Object} options - {createJob(processor, item) => trabajo de PdfExporter sin onProgress ni signal}
+   */
+  constructor(options = {}) {
+    this.createJob = options.createJob;
+  }
+
+  /**
+   * Genera el PDF de cada imagen de la cola, una a la vez para no tener
+   * más de una imagen en memoria. Un error en una imagen no detiene el lote;
+   * cancelar con signal sí, con un error de nombre AbortError
+   * @param {Array} items - Elementos de BatchQueue
+   * @param {Object} options - {combine, onItemStart(item, index), onItemDone(item, bytes), onItemError(item, error), onProgress(progress, index), signal}
+   * @returns {Promise<Uint8Array|null>} PDF combinado con un marcador por imagen, o null si combine es false
+   */
+  async export(items, options = {}) {
+    const {
+      combine = true,
+      onItemStart = () => {},
+      onItemDone = () => {},
+      onItemError = () => {},
+      onProgress = () => {},
+      signal = null,
+    } = options;
+
+    const combined = combine ? await PDFDocument.create() : null;
+    const outline = [];
+
+    for (const [index, item] of items.entries()) {
+      throwIfAborted(signal);
+      onItemStart(item, index);
+
+      let bytes;
+      try {
+        bytes = await this.exportItem(item, {
+          onProgress: (progress) => onProgress(progress, index),
+          signal,
+        });
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        onItemError(item, error);
+        continue;
+      }
+
+      if (combined) {
+        outline.push({
+          title: item.fileInfo.name,
+          pageIndex: await appendPdf(combined, bytes),
+        });
+      }
+      onItemDone(item, bytes);
+    }
+
+    if (!combined) return null;
+
+    if (outline.length === 0) {
+      throw new Error("No se pudo generar ninguna imagen de la cola");
+    }
+    addOutline(combined, outline);
+    return combined.save();
+  }
+
+  /**
+   * Carga una imagen con su transformación y genera su PDF
+   * @param {Object} item - Elemento de BatchQueue
+   * @param {Object} options - {onProgress, signal}
+   * @returns {Promise<Uint8Array>}
+   */
+  async exportItem(item, { onProgress, signal }) {
+    const processor = new ImageProcessor();
+    try {
+      await processor.loadImage(item.fileInfo.file);
+      processor.setTransform(item.transform);
+      const job = this.createJob(processor, item);
+
+      return await new PdfExporter(processor).export({
+        ...job,
+        onProgress,
+        signal,
+      });
+    } finally {
+      processor.cleanup();
+    }
+  }
+}
+
+export default BatchExporter;
@@ -0,0 +1,200 @@
+// src/modules/batchQueue.js
+import { BATCH_STATUS } from "../utils/constants.js";
+import { createTransform } from "../utils/imageTransform.js";
+
+// Colores de la etiqueta de estado de cada imagen
+const STATUS_STYLES = {
+  pending: "bg-gray-100 text-gray-600",
+  processing: "bg-blue-100 text-blue-700",
+  done: "bg-green-100 text-green-700",
+  error: "bg-red-100 text-red-700",
+};
+
+class BatchQueue {
+  /**
+   * @param {string} containerId - Contenedor con la lista de la cola
+   * @param {Object} options - {onSelect(item), onToggleSettings(item, own), describe(item) => texto de su configuración}
+   */
+  constructor(containerId, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.onSelect = options.onSelect || (() => {});
+    this.onToggleSettings = options.onToggleSettings || (() => {});
+    this.describe = options.describe || (() => "");
+    this.items = [];
+    this.activeId = null;
+
+    this.init();
+  }
+
+  /**
+   * Busca los elementos del contenedor
+   */
+  init() {
+    if (!this.container) {
+      throw new Error("Contenedor no encontrado");
+    }
+
+    this.list = this.container.querySelector('[data-role="list"]');
+    this.summary = this.container.querySelector('[data-role="summary"]');
+  }
+
+  /**
+   * Agrega una imagen al final de la cola
+   * @param {Object} fileInfo - Información del archivo de FileUploader
+   * @returns {Object} Elemento de la cola {id, fileInfo, transform, settings, status, message}
+   */
+  add(fileInfo) {
+    const item = {
+      id: fileInfo.id,
+      fileInfo,
+      transform: createTransform(),
+      // null usa la configuración compartida
+      settings: null,
+      status: "pending",
+      message: "",
+    };
+    this.items.push(item);
+    this.render();
+    return item;
+  }
+
+  /**
+   * Quita una imagen de la cola
+   * @param {string} id - Identificador del elemento
+   * @returns {Object|null} Elemento quitado
+   */
+  remove(id) {
+    const item = this.get(id);
+    if (!item) return null;
+
+    this.items = this.items.filter((other) => other !== item);
+    if (this.activeId === id) {
+      this.activeId = null;
+    }
+    this.render();
+    return item;
+  }
+
+  /**
+   * @param {string} id - Identificador del elemento
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.items.find((item) => item.id === id) || null;
+  }
+
+  /**
+   * @returns {Object|null} Elemento que se está editando
+   */
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  /**
+   * Marca el elemento que se está editando
+   * @param {string|null} id - Identificador del elemento
+   */
+  setActive(id) {
+    this.activeId = id;
+    this.render();
+  }
+
+  /**
+   * Cambia el estado de un elemento
+   * @param {Object} item - Elemento de la cola
+   * @param {string} status - Clave de BATCH_STATUS
+   * @param {string} message - Detalle del estado (progreso o error)
+   */
+  setStatus(item, status, message = "") {
+    item.status = status;
+    item.message = message;
+    this.render();
+  }
+
+  /**
+   * Vuelve todos los elementos al estado inicial
+   */
+  resetStatus() {
+    this.items.forEach((item) => {
+      item.status = "pending";
+      item.message = "";
+    });
+    this.render();
+  }
+
+  /**
+   * Dibuja la lista; solo se muestra con más de una imagen
+   */
+  render() {
+    this.container.classList.toggle("hidden", this.items.length < 2);
+    this.list.innerHTML = "";
+
+    this.items.forEach((item, index) => {
+      const row = document.createElement("li");
+      row.className = `p-3 rounded-lg border cursor-pointer ${
+        item.id === this.activeId
+          ? "border-blue-400 bg-blue-50"
+          : "border-gray-200 hover:bg-gray-50"
+      }`;
+      row.addEventListener("click", () => {
+        if (item.id !== this.activeId) {
+          this.onSelect(item);
+        }
+      });
+
+      const header = document.createElement("div");
+      header.className = "flex items-center gap-2 text-sm";
+
+      const name = document.createElement("span");
+      name.className = "flex-1 font-medium text-gray-800 break-all";
+      name.textContent = `${index + 1}. ${item.fileInfo.name}`;
+
+      const status = document.createElement("span");
+      status.className = `px-2 py-0.5 rounded text-xs ${
+        STATUS_STYLES[item.status]
+      }`;
+      status.textContent = BATCH_STATUS[item.status];
+      header.append(name, status);
+
+      const own = document.createElement("input");
+      own.type = "checkbox";
+      own.checked = Boolean(item.settings);
+      own.addEventListener("click", (e) => e.stopPropagation());
+      own.addEventListener("change", (e) => {
+        this.onToggleSettings(item, e.target.checked);
+      });
+
+      const ownLabel = document.createElement("label");
+      ownLabel.className = "flex items-center gap-2 mt-1 text-xs text-gray-600";
+      ownLabel.addEventListener("click", (e) => e.stopPropagation());
+      ownLabel.append(own, "Configuración propia");
+
+      const details = document.createElement("p");
+      details.className = "text-xs text-gray-500 mt-1";
+      details.textContent = this.describe(item);
+
+      row.append(header, ownLabel, details);
+
+      if (item.message) {
+        const message = document.createElement("p");
+        message.className = `text-xs mt-1 ${
+          item.status === "error" ? "text-red-600" : "text-gray-500"
+        }`;
+        message.textContent = item.message;
+        row.appendChild(message);
+      }
+
+      this.list.appendChild(row);
+    });
+
+    if (this.summary) {
+      const done = this.items.filter((item) => item.status === "done").length;
+      const failed = this.items.filter((item) => item.status === "error").length;
+      this.summary.textContent = `${this.items.length} imágenes · ${done} listas${
+        failed ? ` · ${failed} con error` : ""
+      }`;
+    }
+  }
+}
+
+export default BatchQueue;
@@ -9,6 +9,8 @@ class FileUploader {
     this.onFileLoad = options.onFileLoad || (() => {});
     this.onFileRemove = options.onFileRemove || (() => {});
     this.onError = options.onError || (() => {});
+    this.allowMultiple = options.allowMultiple || false;
+    this.maxFiles = options.maxFiles || null;
     
     this.init();
   }
@@ -42,7 +44,7 @@ class FileUploader {
             </svg>
           </div>
           <div class="upload-text">
-            <p class="upload-main">Arrastra tu imagen aquí</p>
+            <p class="upload-main">${this.allowMultiple ? 'Arrastra tus imágenes aquí' : 'Arrastra tu imagen aquí'}</p>
             <p class="upload-sub">o <span class="upload-browse">busca en tu computadora</span></p>
             <p class="upload-formats">Formatos: JPG, PNG, WEBP, BMP (máx. ${formatFileSize(MAX_FILE_SIZE)})</p>
           </div>
@@ -77,7 +79,8 @@ class FileUploader {
       labelFileTypeNotAllowed: 'Tipo de archivo no permitido',
       
       // Configuración funcional
-      allowMultiple: false,
+      allowMultiple: this.allowMultiple,
+      maxFiles: this.maxFiles,
       allowReplace: true,
       allowRevert: false,
       allowRemove: true,
@@ -140,6 +143,7 @@ class FileUploader {
 
       // Crear objeto de información del archivo
       const fileInfo = {
+        id: file.id,
         file: file.file,
         name: file.file.name,
         size: file.file.size,
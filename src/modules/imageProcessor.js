@@ -1,11 +1,72 @@
 // src/modules/imageProcessor.js
+import { resolvePattern } from '../utils/patternRegistry.js';
+import {
+  resolveLayout,
+  getPartsInfo,
+  getSourceExportSize
+} from '../utils/posterParts.js';
+import { convertMmToPx, BLANK_TILE_TOLERANCE } from '../utils/constants.js';
+import {
+  createTransform,
+  isIdentityTransform,
+  getTransformGeometry,
+  drawTransformed
+} from '../utils/imageTransform.js';
+import {
+  analyzeImageContent,
+  resolveOutputFormat,
+  createEncoding,
+  encodeCanvasToDataURL,
+  getDataURLSize
+} from '../utils/imageEncoding.js';
+import { drawResampled } from '../utils/resample.js';
+import { isBlankRegion, isBlankSource } from '../utils/blankTiles.js';
+
+/**
+ * Crea un canvas del DOM del tamaño indicado
+ * @param {number} width - Ancho en px
+ * @param {number} height - Alto en px
+ * @returns {HTMLCanvasElement}
+ */
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * Ajusta un tamaño dentro de otro manteniendo su proporción
+ * @param {Object} size - {width, height} a ajustar
+ * @param {Object} bounds - {width, height} disponible
+ * @returns {Object} {width, height}
+ */
+const fitInside = (size, bounds) => {
+  const scale = Math.min(bounds.width / size.width, bounds.height / size.height);
+  return { width: size.width * scale, height: size.height * scale };
+};
+
+// Lado mayor de la muestra usada para clasificar la imagen y estimar tamaños
+const SAMPLE_SIZE = 1024;
+// Bytes aproximados que ocupa cada página sin contar la imagen (marcas, textos)
+const PDF_PAGE_OVERHEAD = 3 * 1024;
+const PDF_BASE_OVERHEAD = 10 * 1024;
 
 class ImageProcessor {
   constructor() {
     this.canvas = document.createElement('canvas');
     this.ctx = this.canvas.getContext('2d');
     this.originalImage = null;
+    // Imagen que se divide: la original o el resultado de la transformación
+    this.sourceImage = null;
+    this.transform = createTransform();
+    this.frameAspect = null;
     this.imageParts = [];
+    // Resultados que dependen de la imagen transformada
+    this.contentAnalysis = null;
+    this.bytesPerPixel = new Map();
+    // Copias reducidas por lado mayor, compartidas entre vistas y análisis
+    this.samples = new Map();
   }
 
   /**
@@ -20,6 +81,9 @@ class ImageProcessor {
       
       img.onload = () => {
         this.originalImage = img;
+        this.sourceImage = img;
+        this.transform = createTransform();
+        this.clearEncodingCache();
         URL.revokeObjectURL(url); // Liberar memoria
         resolve(img);
       };
@@ -34,93 +98,498 @@ class ImageProcessor {
   }
 
   /**
-   * Divide la imagen en partes según el patrón especificado
-   * @param {string} pattern - 'A4_2x1', 'A4_1x2', 'A4_2x2', 'A3_SINGLE', 'A3_2x1', 'A3_1x2', 'A3_2x2'
-   * @param {number} dpi - DPI para la exportación (default: 300)
-   * @returns {Array<ImageData>} Array de partes de la imagen
+   * Cambia la transformación (recorte, giro, volteo, zoom, ajuste) y
+   * regenera la imagen que se divide
+   * @param {Object} transform - Valores parciales sobre la transformación actual
+   * @returns {Object} Transformación aplicada
+   */
+  setTransform(transform) {
+    this.transform = createTransform({ ...this.transform, ...transform });
+    this.applyTransform();
+    return this.transform;
+  }
+
+  /**
+   * Obtiene una copia de la transformación actual
+   * @returns {Object}
+   */
+  getTransform() {
+    return createTransform(this.transform);
+  }
+
+  /**
+   * Fija la proporción del póster que usan los modos fit, fill y stretch
+   * @param {number|null} aspect - Ancho/alto del póster; null si no aplica
+   */
+  setFrameAspect(aspect) {
+    const changed = aspect !== this.frameAspect;
+    this.frameAspect = aspect;
+
+    if (changed && this.transform.fitMode !== 'original') {
+      this.applyTransform();
+    }
+  }
+
+  /**
+   * Calcula cómo queda colocada la imagen original en el marco de salida
+   * @returns {Object|null} Geometría de getTransformGeometry
+   */
+  getTransformGeometry() {
+    if (!this.originalImage) return null;
+
+    return getTransformGeometry(
+      { width: this.originalImage.width, height: this.originalImage.height },
+      this.transform,
+      this.frameAspect
+    );
+  }
+
+  /**
+   * Dibuja la imagen original transformada a resolución completa
+   */
+  applyTransform() {
+    if (!this.originalImage) return;
+    this.clearEncodingCache();
+
+    if (isIdentityTransform(this.transform)) {
+      this.sourceImage = this.originalImage;
+      return;
+    }
+
+    const geometry = this.getTransformGeometry();
+    const canvas = document.createElement('canvas');
+    canvas.width = geometry.width;
+    canvas.height = geometry.height;
+    drawTransformed(canvas.getContext('2d'), this.originalImage, geometry);
+
+    this.sourceImage = canvas;
+  }
+
+  /**
+   * Divide la imagen en partes según el patrón especificado. Solo describe
+   * las partes: sus píxeles se dibujan de a una al exportar (renderRegion)
+   * o a tamaño de vista en el preview, nunca todas a resolución completa
+   * @param {string|Object} pattern - Clave del registro de patrones (p. ej. 'A4_2x2'), patrón o layout calculado
+   * @param {number|null} dpi - DPI para la exportación (default: 300); null conserva los píxeles originales
+   * @param {Object} options - {margin, overlap} en mm para patrones sin layout
+   * @returns {Array<Object>} Partes con posición, origen, tamaños y DPI
    */
-  divideImage(pattern = 'A4_2x2', dpi = 300) {
-    if (!this.originalImage) {
+  divideImage(pattern = 'A4_2x2', dpi = 300, options = {}) {
+    if (!this.sourceImage) {
       throw new Error('No hay imagen cargada');
     }
 
-    const { rows, cols, paperSize } = this.getGridDimensions(pattern);
-    const originalWidth = this.originalImage.width;
-    const originalHeight = this.originalImage.height;
-    
-    // Calcular tamaño de cada parte
-    const partWidth = Math.floor(originalWidth / cols);
-    const partHeight = Math.floor(originalHeight / rows);
-    
-    // Configurar canvas para cada parte
-    this.canvas.width = partWidth;
-    this.canvas.height = partHeight;
-    
-    this.imageParts = [];
-    
-    // Dividir la imagen
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        // Limpiar canvas
-        this.ctx.clearRect(0, 0, partWidth, partHeight);
-        
-        // Calcular posición de origen en la imagen original
-        const sourceX = col * partWidth;
-        const sourceY = row * partHeight;
-        
-        // Dibujar la parte de la imagen
-        this.ctx.drawImage(
-          this.originalImage,
-          sourceX, sourceY, partWidth, partHeight,  // Área de origen
-          0, 0, partWidth, partHeight               // Área de destino
-        );
-        
-        // Crear objeto con información de la parte
-        const partInfo = {
-          canvas: this.canvas.cloneNode(),
-          imageData: this.ctx.getImageData(0, 0, partWidth, partHeight),
-          dataURL: this.canvas.toDataURL('image/png'),
-          position: { row, col },
-          dimensions: { width: partWidth, height: partHeight },
-          paperSize: paperSize,
-          dpi: dpi,
-          partNumber: row * cols + col + 1,
-          totalParts: rows * cols
-        };
-        
-        // Clonar el canvas para esta parte
-        const clonedCanvas = document.createElement('canvas');
-        clonedCanvas.width = partWidth;
-        clonedCanvas.height = partHeight;
-        const clonedCtx = clonedCanvas.getContext('2d');
-        clonedCtx.putImageData(partInfo.imageData, 0, 0);
-        partInfo.canvas = clonedCanvas;
-        
-        this.imageParts.push(partInfo);
+    this.imageParts = this.getPartsInfo(pattern, dpi, options);
+    return this.imageParts;
+  }
+
+  /**
+   * Describe las partes de un patrón sin generar sus píxeles
+   * @param {string|Object} pattern - Clave del registro de patrones, patrón o layout calculado
+   * @param {number|null} dpi - DPI para la exportación; null conserva los píxeles originales
+   * @param {Object} options - {margin, overlap} en mm para patrones sin layout
+   * @returns {Array<Object>} Partes con posición, origen, tamaños y DPI
+   */
+  getPartsInfo(pattern = 'A4_2x2', dpi = 300, options = {}) {
+    return getPartsInfo(this.getLayout(pattern, options), dpi);
+  }
+
+  /**
+   * Calcula el tamaño de la imagen completa para incrustarla una sola vez
+   * en el PDF. Solo se reduce cuando tiene más píxeles de los que piden los DPI
+   * @param {string|Object} pattern - Patrón o layout calculado
+   * @param {number} dpi - DPI de exportación
+   * @param {Object} options - {margin, overlap} en mm para patrones sin layout
+   * @returns {Object} {width, height, posterSize, dpi}
+   */
+  getSourceExportSize(pattern = 'A4_2x2', dpi = 300, options = {}) {
+    if (!this.sourceImage) {
+      throw new Error('No hay imagen cargada');
+    }
+
+    return getSourceExportSize(
+      this.getLayout(pattern, options),
+      this.getImageInfo(),
+      dpi
+    );
+  }
+
+  /**
+   * Clasifica la imagen (foto, gráfico, transparencia) sobre una muestra reducida
+   * @returns {Object|null} Resultado de analyzeImageContent
+   */
+  getContentAnalysis() {
+    if (!this.sourceImage) return null;
+
+    if (!this.contentAnalysis) {
+      const sample = this.createSample();
+      this.contentAnalysis = analyzeImageContent(
+        sample.getContext('2d').getImageData(0, 0, sample.width, sample.height)
+      );
+    }
+    return this.contentAnalysis;
+  }
+
+  /**
+   * Resuelve la codificación 'auto' según el contenido de la imagen
+   * @param {Object} encoding - {format, quality}
+   * @returns {Object} {format: 'png'|'jpeg', quality}
+   */
+  resolveEncoding(encoding = {}) {
+    const { format, quality } = createEncoding(encoding);
+    return {
+      format: resolveOutputFormat(format, format === 'auto' ? this.getContentAnalysis() : null),
+      quality
+    };
+  }
+
+  /**
+   * Codifica un canvas como data URL. JPEG no admite transparencia, así
+   * que se compone sobre blanco, el color del papel
+   * @param {HTMLCanvasElement} canvas - Canvas a codificar
+   * @param {Object} encoding - Codificación resuelta {format, quality}
+   * @returns {string}
+   */
+  encodeCanvas(canvas, encoding) {
+    return encodeCanvasToDataURL(canvas, encoding, createCanvas);
+  }
+
+  /**
+   * Estima el tamaño del PDF codificando una muestra reducida de la imagen
+   * y extrapolando sus bytes por píxel a los píxeles que se exportan
+   * @param {string|Object} pattern - Patrón o layout calculado
+   * @param {number} dpi - DPI de exportación
+   * @param {Object} options - {embedMode: 'shared'|'tiles', encoding, coverPage, omitted (Set de partNumber que no se imprimen)}
+   * @returns {Object} {bytes, format} con la codificación resuelta
+   */
+  estimateExportSize(pattern = 'A4_2x2', dpi = 300, options = {}) {
+    const { embedMode = 'shared', coverPage = false, omitted = new Set() } = options;
+    const encoding = this.resolveEncoding(options.encoding);
+    const parts = this.getPartsInfo(pattern, dpi).filter(
+      ({ partNumber }) => !omitted.has(partNumber)
+    );
+
+    let pixels;
+    if (embedMode === 'shared') {
+      const { width, height } = this.getSourceExportSize(pattern, dpi);
+      pixels = width * height;
+    } else {
+      pixels = parts.reduce(
+        (total, { dimensions }) => total + dimensions.width * dimensions.height,
+        0
+      );
+      // La portada lleva su propia miniatura
+      if (coverPage) {
+        const { width, height } = this.calculateAspectRatio(1200, 1200);
+        pixels += width * height;
       }
     }
-    
-    return this.imageParts;
+
+    const pages = parts.length + (coverPage ? 1 : 0);
+    return {
+      bytes: Math.round(
+        pixels * this.getBytesPerPixel(encoding) +
+        pages * PDF_PAGE_OVERHEAD +
+        PDF_BASE_OVERHEAD
+      ),
+      format: encoding.format
+    };
+  }
+
+  /**
+   * Busca las partes sin contenido (transparentes o blancas, también en su
+   * solapamiento). La muestra reducida descarta rápido las partes con
+   * contenido y las que parecen vacías se confirman a resolución completa
+   * @param {string|Object} pattern - Patrón o layout calculado
+   * @param {Object} tolerance - {color, ink} (ver BLANK_TILE_TOLERANCE)
+   * @returns {Set<number>} partNumber de las partes en blanco
+   */
+  findBlankParts(pattern = 'A4_2x2', tolerance = BLANK_TILE_TOLERANCE) {
+    if (!this.sourceImage) return new Set();
+
+    const sample = this.createSample();
+    const scale = sample.width / this.sourceImage.width;
+    const imageData = sample
+      .getContext('2d')
+      .getImageData(0, 0, sample.width, sample.height);
+
+    const blank = this.getPartsInfo(pattern, null).filter(
+      ({ source }) =>
+        isBlankRegion(
+          imageData,
+          {
+            x: source.x * scale,
+            y: source.y * scale,
+            width: source.width * scale,
+            height: source.height * scale
+          },
+          tolerance
+        ) && isBlankSource(source, this.createRowReader(source), tolerance)
+    );
+    return new Set(blank.map(({ partNumber }) => partNumber));
+  }
+
+  /**
+   * Crea un lector de filas de un área de la imagen a resolución completa,
+   * para isBlankSource
+   * @param {Object} source - Área {x, y, width, height} en px
+   * @returns {Function} (y, rows) => ImageData
+   */
+  createRowReader(source) {
+    const canvas = createCanvas(source.width, 1);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    return (y, rows) => {
+      if (canvas.height < rows) canvas.height = rows;
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(
+        this.sourceImage,
+        source.x, source.y + y, source.width, rows,
+        0, 0, source.width, rows
+      );
+      return ctx.getImageData(0, 0, source.width, rows);
+    };
+  }
+
+  /**
+   * Bytes por píxel de la imagen con una codificación, medidos sobre una muestra
+   * @param {Object} encoding - Codificación resuelta {format, quality}
+   * @returns {number}
+   */
+  getBytesPerPixel(encoding) {
+    const key = `${encoding.format}:${encoding.quality}`;
+    if (!this.bytesPerPixel.has(key)) {
+      const sample = this.createSample();
+      const size = getDataURLSize(this.encodeCanvas(sample, encoding));
+      this.bytesPerPixel.set(key, size / (sample.width * sample.height));
+    }
+    return this.bytesPerPixel.get(key);
+  }
+
+  /**
+   * Obtiene una copia reducida de la imagen transformada. Se dibuja una vez
+   * por tamaño y se reutiliza hasta que cambia la imagen, así que quien la
+   * recibe no debe dibujar sobre ella
+   * @param {number} maxSize - Lado mayor de la copia en px
+   * @returns {HTMLCanvasElement}
+   */
+  createSample(maxSize = SAMPLE_SIZE) {
+    if (this.samples.has(maxSize)) return this.samples.get(maxSize);
+
+    const { width, height } = this.calculateAspectRatio(maxSize, maxSize);
+    const sample = document.createElement('canvas');
+    sample.width = Math.max(width, 1);
+    sample.height = Math.max(height, 1);
+
+    const ctx = sample.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(this.sourceImage, 0, 0, sample.width, sample.height);
+    this.samples.set(maxSize, sample);
+    return sample;
+  }
+
+  /**
+   * Descarta las muestras, el análisis y las mediciones de la imagen anterior
+   */
+  clearEncodingCache() {
+    this.contentAnalysis = null;
+    this.bytesPerPixel.clear();
+    this.samples.clear();
+  }
+
+  /**
+   * Dibuja un área de la imagen (ya transformada) en el canvas de trabajo con el
+   * tamaño indicado, reduciendo en pasos sucesivos (ver drawResampled)
+   * @param {Object} source - Área de origen {x, y, width, height} en px de image
+   * @param {number} width - Ancho de destino en px
+   * @param {number} height - Alto de destino en px
+   * @param {CanvasImageSource} image - Imagen de origen; por defecto la transformada a resolución completa
+   */
+  resampleRegion(source, width, height, image = this.sourceImage) {
+    drawResampled(this.canvas, image, source, width, height, createCanvas);
+  }
+
+  /**
+   * Dibuja un área de la imagen con el tamaño indicado y la codifica
+   * @param {Object} source - Área de origen {x, y, width, height} en px de image
+   * @param {number} width - Ancho de destino en px
+   * @param {number} height - Alto de destino en px
+   * @param {Object} encoding - Codificación resuelta {format, quality}
+   * @param {CanvasImageSource} image - Imagen de origen; por defecto la transformada a resolución completa
+   * @returns {string} Data URL
+   */
+  renderRegion(source, width, height, encoding, image = this.sourceImage) {
+    this.resampleRegion(source, width, height, image);
+    return this.encodeCanvas(this.canvas, encoding);
+  }
+
+  /**
+   * Genera una foto de tamaño fijo para la hoja de fotos
+   * @param {Object} photoSize - {width, height} en mm
+   * @param {number} dpi - Resolución de salida
+   * @param {string} fit - Clave de PHOTO_FIT_MODES: 'fill' recorta al centro, 'fit' agrega bordes blancos
+   * @param {Object} encoding - Codificación resuelta {format, quality}
+   * @returns {Object} {dataURL, effectiveDpi}
+   */
+  renderPhoto(photoSize, dpi, fit, encoding) {
+    if (!this.sourceImage) {
+      throw new Error('No hay imagen cargada');
+    }
+
+    const { source, effectiveDpi } = this.getPhotoPlacement(photoSize, fit);
+    const targetWidth = Math.max(Math.round(convertMmToPx(photoSize.width, dpi)), 1);
+    const targetHeight = Math.max(Math.round(convertMmToPx(photoSize.height, dpi)), 1);
+
+    if (fit === 'fill') {
+      return {
+        dataURL: this.renderRegion(source, targetWidth, targetHeight, encoding),
+        effectiveDpi
+      };
+    }
+
+    // Imagen completa centrada sobre blanco
+    const inner = fitInside(source, { width: targetWidth, height: targetHeight });
+    const innerWidth = Math.max(Math.round(inner.width), 1);
+    const innerHeight = Math.max(Math.round(inner.height), 1);
+    this.resampleRegion(source, innerWidth, innerHeight);
+
+    const photo = createCanvas(targetWidth, targetHeight);
+    const ctx = photo.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, targetWidth, targetHeight);
+    ctx.drawImage(
+      this.canvas,
+      Math.round((targetWidth - innerWidth) / 2),
+      Math.round((targetHeight - innerHeight) / 2)
+    );
+
+    return { dataURL: this.encodeCanvas(photo, encoding), effectiveDpi };
+  }
+
+  /**
+   * Calcula qué parte de la imagen se usa en una foto y su resolución
+   * @param {Object} photoSize - {width, height} en mm
+   * @param {string} fit - Clave de PHOTO_FIT_MODES
+   * @returns {Object} {source: {x, y, width, height} en px, effectiveDpi}
+   */
+  getPhotoPlacement(photoSize, fit) {
+    const { width, height } = this.sourceImage;
+
+    if (fit === 'fill') {
+      // Área central de la imagen con la proporción de la foto
+      const photoAspect = photoSize.width / photoSize.height;
+      const source =
+        width / height > photoAspect
+          ? { width: height * photoAspect, height }
+          : { width, height: width / photoAspect };
+      source.x = (width - source.width) / 2;
+      source.y = (height - source.height) / 2;
+
+      return {
+        source,
+        effectiveDpi: Math.round((source.width / photoSize.width) * 25.4)
+      };
+    }
+
+    // La imagen completa ocupa todo el ancho o todo el alto de la foto
+    return {
+      source: { x: 0, y: 0, width, height },
+      effectiveDpi: Math.round(
+        Math.max(width / photoSize.width, height / photoSize.height) * 25.4
+      )
+    };
+  }
+
+  /**
+   * Dibuja una hoja de fotos: las celdas de esta imagen con la foto y las
+   * de otras imágenes de la cola con su número
+   * @param {Object} layout - Resultado de calculatePhotoSheetLayout
+   * @param {Array<number>} sheet - Índice de imagen de cada celda
+   * @param {number} imageIndex - Índice de esta imagen en la cola
+   * @param {string} fit - Clave de PHOTO_FIT_MODES
+   * @param {number} maxSize - Lado mayor de la vista en px
+   * @returns {string} Data URL
+   */
+  generatePhotoSheetPreview(layout, sheet, imageIndex, fit, maxSize = 600) {
+    const { pageSize, photoSize, cells } = layout;
+    const scale = maxSize / Math.max(pageSize.width, pageSize.height);
+    const canvas = createCanvas(
+      Math.round(pageSize.width * scale),
+      Math.round(pageSize.height * scale)
+    );
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = '#d1d5db';
+    ctx.strokeRect(0.5, 0.5, canvas.width - 1, canvas.height - 1);
+
+    // La vista usa la copia reducida de la imagen
+    const sample = this.createSample();
+    const sampleScale = sample.width / this.sourceImage.width;
+    const { source } = this.getPhotoPlacement(photoSize, fit);
+    const photo = { width: photoSize.width * scale, height: photoSize.height * scale };
+    const dest = fit === 'fill' ? photo : fitInside(source, photo);
+
+    sheet.forEach((index, cellIndex) => {
+      const cell = cells[cellIndex];
+      ctx.save();
+      ctx.translate(
+        (cell.x + cell.width / 2) * scale,
+        (cell.y + cell.height / 2) * scale
+      );
+      // Igual que en el PDF, las celdas giradas muestran la foto a 90° antihorario
+      if (cell.rotated) {
+        ctx.rotate(-Math.PI / 2);
+      }
+
+      if (index === imageIndex) {
+        ctx.drawImage(
+          sample,
+          source.x * sampleScale, source.y * sampleScale,
+          source.width * sampleScale, source.height * sampleScale,
+          -dest.width / 2, -dest.height / 2, dest.width, dest.height
+        );
+      } else {
+        ctx.fillStyle = '#e5e7eb';
+        ctx.fillRect(-photo.width / 2, -photo.height / 2, photo.width, photo.height);
+        ctx.fillStyle = '#6b7280';
+        ctx.font = `${Math.max(Math.round(Math.min(photo.width, photo.height) / 3), 8)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(index + 1), 0, 0);
+      }
+      ctx.restore();
+    });
+
+    // Líneas de corte
+    ctx.strokeStyle = '#9ca3af';
+    ctx.setLineDash([4, 3]);
+    sheet.forEach((_, cellIndex) => {
+      const cell = cells[cellIndex];
+      ctx.strokeRect(cell.x * scale, cell.y * scale, cell.width * scale, cell.height * scale);
+    });
+
+    return canvas.toDataURL('image/png');
+  }
+
+  /**
+   * Obtiene el layout físico de un patrón: los layouts ya calculados se
+   * usan tal cual y los patrones predefinidos se calculan para la imagen
+   * @param {string|Object} pattern - Patrón de división o layout
+   * @param {Object} options - {margin, overlap} en mm
+   * @returns {Object} Layout con las partes del póster
+   */
+  getLayout(pattern, options = {}) {
+    return resolveLayout(this.getImageInfo(), pattern, options);
   }
 
   /**
    * Obtiene las dimensiones de la grilla según el patrón
-   * @param {string} pattern - Patrón de división
-   * @returns {Object} {rows, cols, paperSize}
+   * @param {string|Object} pattern - Clave del registro de patrones, patrón o layout
+   * @returns {Object} {rows, cols, paperSize, landscape}
    */
   getGridDimensions(pattern) {
-    // Importar patrones dinámicamente o usar constantes locales
-    const patterns = {
-      'A4_2x1': { rows: 2, cols: 1, paperSize: 'A4' },
-      'A4_1x2': { rows: 1, cols: 2, paperSize: 'A4' },
-      'A4_2x2': { rows: 2, cols: 2, paperSize: 'A4' },
-      'A3_SINGLE': { rows: 1, cols: 1, paperSize: 'A3' },
-      'A3_2x1': { rows: 2, cols: 1, paperSize: 'A3' },
-      'A3_1x2': { rows: 1, cols: 2, paperSize: 'A3' },
-      'A3_2x2': { rows: 2, cols: 2, paperSize: 'A3' }
-    };
-    
-    return patterns[pattern] || patterns['A4_2x2'];
+    return resolvePattern(pattern);
   }
 
   /**
@@ -130,9 +599,9 @@ class ImageProcessor {
    * @returns {Object} Nuevas dimensiones
    */
   calculateAspectRatio(maxWidth, maxHeight) {
-    if (!this.originalImage) return { width: 0, height: 0 };
+    if (!this.sourceImage) return { width: 0, height: 0 };
     
-    const imageRatio = this.originalImage.width / this.originalImage.height;
+    const imageRatio = this.sourceImage.width / this.sourceImage.height;
     const maxRatio = maxWidth / maxHeight;
     
     let newWidth, newHeight;
@@ -149,45 +618,60 @@ class ImageProcessor {
   }
 
   /**
-   * Genera un preview de la imagen dividida
-   * @param {string} pattern - Patrón de división
+   * Genera un preview de la imagen dividida. Cada parte se dibuja a tamaño
+   * de vista desde la copia reducida, así que cambiar la configuración no
+   * recorre la imagen a resolución completa
+   * @param {string|Object} pattern - Patrón de división
    * @param {number} previewSize - Tamaño del preview
    * @returns {Array<Object>} Array con información de preview
    */
   generatePreview(pattern = 'A4_2x2', previewSize = 200) {
-    if (!this.originalImage) return [];
-    
-    const parts = this.divideImage(pattern);
+    if (!this.sourceImage) return [];
+
+    // El preview no necesita reescalar a los DPI de impresión
+    const parts = this.divideImage(pattern, null);
+    const sample = this.createSample();
+    const scaleX = sample.width / this.sourceImage.width;
+    const scaleY = sample.height / this.sourceImage.height;
     const previews = [];
-    
+
     parts.forEach(part => {
-      const previewCanvas = document.createElement('canvas');
-      const previewCtx = previewCanvas.getContext('2d');
-      
+      const { source } = part;
+
       // Calcular dimensiones del preview manteniendo proporción
-      const aspectRatio = part.dimensions.width / part.dimensions.height;
-      let previewWidth, previewHeight;
-      
-      if (aspectRatio > 1) {
-        previewWidth = previewSize;
-        previewHeight = previewSize / aspectRatio;
-      } else {
-        previewHeight = previewSize;
-        previewWidth = previewSize * aspectRatio;
-      }
-      
-      previewCanvas.width = previewWidth;
-      previewCanvas.height = previewHeight;
-      
-      // Dibujar preview
-      previewCtx.drawImage(
-        part.canvas,
-        0, 0, part.dimensions.width, part.dimensions.height,
-        0, 0, previewWidth, previewHeight
+      const { width, height } = fitInside(source, {
+        width: previewSize,
+        height: previewSize
+      });
+      const previewWidth = Math.max(Math.round(width), 1);
+      const previewHeight = Math.max(Math.round(height), 1);
+
+      // Dibujar la parte desde la muestra en el canvas de trabajo
+      this.resampleRegion(
+        {
+          x: source.x * scaleX,
+          y: source.y * scaleY,
+          width: source.width * scaleX,
+          height: source.height * scaleY
+        },
+        previewWidth,
+        previewHeight,
+        sample
       );
-      
+
+      // Sombrear las zonas de solapamiento
+      if (part.overlap) {
+        this.drawOverlapZones(
+          this.ctx,
+          part.overlap,
+          previewWidth / part.printSize.width,
+          previewWidth,
+          previewHeight
+        );
+      }
+
       previews.push({
-        dataURL: previewCanvas.toDataURL('image/png'),
+        dataURL: this.canvas.toDataURL('image/png'),
         partNumber: part.partNumber,
         totalParts: part.totalParts,
         paperSize: part.paperSize,
@@ -200,16 +684,61 @@ class ImageProcessor {
   }
 
   /**
-   * Obtiene información de la imagen original
+   * Dibuja las zonas de solapamiento sobre un preview
+   * @param {CanvasRenderingContext2D} ctx - Contexto del preview
+   * @param {Object} overlap - Solapamiento por borde en mm
+   * @param {number} scale - Píxeles de preview por mm
+   * @param {number} width - Ancho del preview
+   * @param {number} height - Alto del preview
+   */
+  drawOverlapZones(ctx, overlap, scale, width, height) {
+    const zones = [
+      [0, 0, width, overlap.top * scale],
+      [width - overlap.right * scale, 0, overlap.right * scale, height],
+      [0, height - overlap.bottom * scale, width, overlap.bottom * scale],
+      [0, 0, overlap.left * scale, height]
+    ];
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(59, 130, 246, 0.25)';
+    zones
+      .filter(([, , zoneWidth, zoneHeight]) => zoneWidth > 0 && zoneHeight > 0)
+      .forEach(zone => ctx.fillRect(...zone));
+    ctx.restore();
+  }
+
+  /**
+   * Genera una miniatura de la imagen completa
+   * @param {number} maxSize - Lado mayor de la miniatura en px
+   * @param {Object} encoding - {format, quality}; por defecto PNG
+   * @returns {string|null} Data URL
+   */
+  generateThumbnail(maxSize = 1200, encoding = { format: 'png' }) {
+    if (!this.sourceImage) return null;
+
+    const { width, height } = this.calculateAspectRatio(maxSize, maxSize);
+    const thumbnailCanvas = document.createElement('canvas');
+    thumbnailCanvas.width = width;
+    thumbnailCanvas.height = height;
+
+    const thumbnailCtx = thumbnailCanvas.getContext('2d');
+    thumbnailCtx.imageSmoothingQuality = 'high';
+    thumbnailCtx.drawImage(this.sourceImage, 0, 0, width, height);
+
+    return this.encodeCanvas(thumbnailCanvas, this.resolveEncoding(encoding));
+  }
+
+  /**
+   * Obtiene información de la imagen que se divide (con la transformación aplicada)
    * @returns {Object} Información de la imagen
    */
   getImageInfo() {
-    if (!this.originalImage) return null;
+    if (!this.sourceImage) return null;
     
     return {
-      width: this.originalImage.width,
-      height: this.originalImage.height,
-      aspectRatio: this.originalImage.width / this.originalImage.height,
+      width: this.sourceImage.width,
+      height: this.sourceImage.height,
+      aspectRatio: this.sourceImage.width / this.sourceImage.height,
       size: this.originalImage.src.length // Aproximado
     };
   }
@@ -220,6 +749,10 @@ class ImageProcessor {
   cleanup() {
     this.imageParts = [];
     this.originalImage = null;
+    this.sourceImage = null;
+    this.transform = createTransform();
+    this.frameAspect = null;
+    this.clearEncodingCache();
     if (this.canvas) {
       this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
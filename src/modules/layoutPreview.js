@@ -0,0 +1,338 @@
+// src/modules/layoutPreview.js
+import { OMITTED_PART_LABELS } from "../utils/constants.js";
+import { getTileId } from "../utils/posterLayout.js";
+
+// Ancho de la vista sin zoom en px
+const VIEW_WIDTH = 640;
+// Alto máximo de la vista sin zoom, para imágenes verticales
+const VIEW_HEIGHT = 560;
+const ZOOM_LIMITS = { min: 1, max: 6 };
+const ZOOM_STEP = 1.25;
+
+class LayoutPreview {
+  /**
+   * @param {string} containerId - Contenedor con la vista, el zoom y la etiqueta flotante
+   * @param {Object} options - {onTileClick(tileId)} al hacer clic en una hoja que se puede incluir o excluir
+   */
+  constructor(containerId, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.onTileClick = options.onTileClick || (() => {});
+    this.image = null;
+    this.imageSize = null;
+    this.tiles = [];
+    this.omitted = new Map();
+    this.zoom = 1;
+    this.hovered = null;
+
+    this.init();
+  }
+
+  /**
+   * Busca los elementos del contenedor y conecta los eventos
+   */
+  init() {
+    if (!this.container) {
+      throw new Error("Contenedor no encontrado");
+    }
+
+    const find = (selector) => this.container.querySelector(selector);
+    this.viewport = find('[data-role="viewport"]');
+    this.view = find('[data-role="view"]');
+    this.ctx = this.view.getContext("2d");
+    this.tooltip = find('[data-role="tooltip"]');
+    this.zoomOutput = find('[data-output="zoom"]');
+
+    const actions = {
+      "zoom-in": () => this.setZoom(this.zoom * ZOOM_STEP),
+      "zoom-out": () => this.setZoom(this.zoom / ZOOM_STEP),
+      "zoom-reset": () => this.setZoom(1),
+    };
+    this.container.querySelectorAll("[data-action]").forEach((button) => {
+      button.addEventListener("click", () => actions[button.dataset.action]());
+    });
+
+    this.view.addEventListener("pointermove", (e) => this.handleHover(e));
+    this.view.addEventListener("pointerleave", () => this.setHovered(null));
+    this.view.addEventListener("click", (e) => {
+      const tile = this.getTileAt(e);
+      // Las hojas en blanco que se omiten no se pueden volver a incluir
+      if (tile && this.omitted.get(tile.partNumber) !== "blank") {
+        this.onTileClick(getTileId(tile.position));
+      }
+    });
+    // Ctrl + rueda hace zoom; la rueda sola desplaza la vista
+    this.view.addEventListener(
+      "wheel",
+      (e) => {
+        if (!e.ctrlKey) return;
+        e.preventDefault();
+        const step = e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+        this.setZoom(this.zoom * step, e);
+      },
+      { passive: false }
+    );
+  }
+
+  /**
+   * Muestra la imagen completa con las hojas del layout
+   * @param {Object} preview - {image (canvas reducido), imageSize {width, height} de la imagen en px, tiles (getPartsInfo con effectiveDpi y quality), omitted}
+   */
+  show({ image, imageSize, tiles, omitted = new Map() }) {
+    this.image = image;
+    this.imageSize = imageSize;
+    this.tiles = tiles;
+    this.omitted = omitted;
+    this.hovered = null;
+    this.container.classList.remove("hidden");
+    this.render();
+  }
+
+  /**
+   * Cambia las hojas que no se imprimen
+   * @param {Map<number, string>} omitted - partNumber → clave de OMITTED_PART_LABELS
+   */
+  setOmitted(omitted) {
+    this.omitted = omitted;
+    this.render();
+  }
+
+  /**
+   * Oculta la vista y libera la imagen
+   */
+  hide() {
+    this.image = null;
+    this.tiles = [];
+    this.hovered = null;
+    this.tooltip.classList.add("hidden");
+    this.container.classList.add("hidden");
+  }
+
+  /**
+   * Cambia el zoom manteniendo fijo el punto bajo el cursor (o el centro)
+   * @param {number} zoom - Factor sobre el tamaño que cabe en la vista
+   * @param {MouseEvent} anchor - Evento con la posición a mantener
+   */
+  setZoom(zoom, anchor = null) {
+    const next = Math.min(Math.max(zoom, ZOOM_LIMITS.min), ZOOM_LIMITS.max);
+    const { viewport } = this;
+    const rect = viewport.getBoundingClientRect();
+    const offset = anchor
+      ? { x: anchor.clientX - rect.left, y: anchor.clientY - rect.top }
+      : { x: viewport.clientWidth / 2, y: viewport.clientHeight / 2 };
+    const ratio = next / this.zoom;
+
+    this.zoom = next;
+    this.render();
+    viewport.scrollLeft = (viewport.scrollLeft + offset.x) * ratio - offset.x;
+    viewport.scrollTop = (viewport.scrollTop + offset.y) * ratio - offset.y;
+  }
+
+  /**
+   * Escala de la vista: px de la vista por px de la imagen
+   * @returns {number}
+   */
+  getScale() {
+    const { width, height } = this.imageSize;
+    return Math.min(VIEW_WIDTH / width, VIEW_HEIGHT / height) * this.zoom;
+  }
+
+  /**
+   * Rectángulos de una hoja en px de la imagen: el completo y el que no se
+   * repite en las vecinas (las partes sin solapamiento cubren la imagen
+   * sin huecos)
+   * @param {Object} tile - Parte con source, printSize y overlap
+   * @returns {Object} {outer, inner}
+   */
+  getTileRects(tile) {
+    const { source, printSize, overlap } = tile;
+    const pxPerMm = source.width / printSize.width;
+    const edge = (side) => (overlap ? overlap[side] * pxPerMm : 0);
+
+    return {
+      outer: source,
+      inner: {
+        x: source.x + edge("left"),
+        y: source.y + edge("top"),
+        width: source.width - edge("left") - edge("right"),
+        height: source.height - edge("top") - edge("bottom"),
+      },
+    };
+  }
+
+  /**
+   * Dibuja la imagen, las zonas de solapamiento, los cortes y los números
+   */
+  render() {
+    if (!this.image) return;
+
+    const scale = this.getScale();
+    this.view.width = Math.max(Math.round(this.imageSize.width * scale), 1);
+    this.view.height = Math.max(Math.round(this.imageSize.height * scale), 1);
+    this.zoomOutput.textContent = `${Math.round(this.zoom * 100)}%`;
+
+    const { ctx } = this;
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(this.image, 0, 0, this.view.width, this.view.height);
+
+    const toView = ({ x, y, width, height }) => [
+      x * scale,
+      y * scale,
+      width * scale,
+      height * scale,
+    ];
+
+    // Zonas repetidas en la hoja vecina
+    ctx.save();
+    ctx.fillStyle = "rgba(59, 130, 246, 0.25)";
+    this.tiles.forEach((tile) => {
+      const { outer, inner } = this.getTileRects(tile);
+      ctx.beginPath();
+      ctx.rect(...toView(outer));
+      ctx.rect(...toView(inner));
+      ctx.fill("evenodd");
+    });
+    ctx.restore();
+
+    this.tiles.forEach((tile) => {
+      const inner = toView(this.getTileRects(tile).inner);
+      const omitted = this.omitted.get(tile.partNumber);
+
+      // Las hojas que no se imprimen se ven apagadas
+      if (omitted) {
+        ctx.save();
+        ctx.fillStyle = "rgba(229, 231, 235, 0.75)";
+        ctx.fillRect(...inner);
+        ctx.restore();
+      }
+      if (tile === this.hovered) {
+        ctx.save();
+        ctx.fillStyle = "rgba(59, 130, 246, 0.15)";
+        ctx.fillRect(...inner);
+        ctx.restore();
+      }
+
+      // Línea de corte entre hojas
+      ctx.save();
+      ctx.strokeStyle = tile === this.hovered ? "#1d4ed8" : "#ef4444";
+      ctx.lineWidth = tile === this.hovered ? 2 : 1;
+      ctx.setLineDash(omitted ? [4, 4] : []);
+      ctx.strokeRect(...inner);
+      ctx.restore();
+
+      this.drawTileLabel(tile, inner, omitted);
+    });
+  }
+
+  /**
+   * Escribe el identificador y el número de página en el centro de la hoja
+   * @param {Object} tile - Parte
+   * @param {Array<number>} rect - [x, y, width, height] en px de la vista
+   * @param {string|undefined} omitted - Motivo por el que no se imprime
+   */
+  drawTileLabel(tile, [x, y, width, height], omitted) {
+    const size = Math.min(Math.max(Math.min(width, height) / 6, 10), 28);
+    const lines = [
+      getTileId(tile.position),
+      omitted
+        ? OMITTED_PART_LABELS[omitted]
+        : `Parte ${tile.partNumber} de ${tile.totalParts}`,
+    ];
+
+    const { ctx } = this;
+    ctx.save();
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.lineJoin = "round";
+    lines.forEach((line, index) => {
+      const fontSize = index === 0 ? size : size * 0.5;
+      const lineY = y + height / 2 + (index === 0 ? -size * 0.3 : size * 0.55);
+      ctx.font = `${index === 0 ? "bold " : ""}${fontSize}px sans-serif`;
+      ctx.lineWidth = Math.max(fontSize / 5, 2);
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.9)";
+      ctx.fillStyle = "#111827";
+      ctx.strokeText(line, x + width / 2, lineY, width - 4);
+      ctx.fillText(line, x + width / 2, lineY, width - 4);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Busca la hoja bajo el puntero
+   * @param {MouseEvent} e - Evento
+   * @returns {Object|null}
+   */
+  getTileAt(e) {
+    if (!this.image) return null;
+
+    const rect = this.view.getBoundingClientRect();
+    const scale = this.getScale() * (rect.width / this.view.width);
+    const x = (e.clientX - rect.left) / scale;
+    const y = (e.clientY - rect.top) / scale;
+
+    return (
+      this.tiles.find((tile) => {
+        const { inner } = this.getTileRects(tile);
+        return (
+          x >= inner.x &&
+          x < inner.x + inner.width &&
+          y >= inner.y &&
+          y < inner.y + inner.height
+        );
+      }) || null
+    );
+  }
+
+  /**
+   * Resalta la hoja bajo el puntero y muestra sus datos
+   * @param {PointerEvent} e - Evento
+   */
+  handleHover(e) {
+    const tile = this.getTileAt(e);
+    this.setHovered(tile);
+    if (!tile) return;
+
+    const viewport = this.viewport.getBoundingClientRect();
+    this.tooltip.style.left = `${e.clientX - viewport.left + 12}px`;
+    this.tooltip.style.top = `${e.clientY - viewport.top + 12}px`;
+  }
+
+  /**
+   * Cambia la hoja resaltada
+   * @param {Object|null} tile - Parte
+   */
+  setHovered(tile) {
+    this.tooltip.classList.toggle("hidden", !tile);
+    this.view.classList.toggle("cursor-pointer", Boolean(tile));
+    if (tile === this.hovered) return;
+
+    this.hovered = tile;
+    if (tile) {
+      this.tooltip.textContent = this.describeTile(tile);
+    }
+    this.render();
+  }
+
+  /**
+   * Texto de la etiqueta flotante de una hoja
+   * @param {Object} tile - Parte
+   * @returns {string}
+   */
+  describeTile(tile) {
+    const { width, height } = tile.printSize;
+    const omitted = this.omitted.get(tile.partNumber);
+    return [
+      `${getTileId(tile.position)} · Parte ${tile.partNumber} de ${
+        tile.totalParts
+      }`,
+      `Impresión: ${(width / 10).toFixed(1)} × ${(height / 10).toFixed(1)} cm`,
+      tile.effectiveDpi
+        ? `${tile.effectiveDpi} DPI efectivos · ${tile.quality.label}`
+        : null,
+      omitted ? OMITTED_PART_LABELS[omitted] : null,
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+}
+
+export default LayoutPreview;
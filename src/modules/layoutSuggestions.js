@@ -0,0 +1,139 @@
+// src/modules/layoutSuggestions.js
+import { getMediaName } from "../utils/paperRegistry.js";
+
+// Tamaño máximo del dibujo de cada propuesta en px
+const THUMB_SIZE = { width: 220, height: 160 };
+
+class LayoutSuggestions {
+  /**
+   * @param {string} containerId - Contenedor con el resumen y la lista de propuestas
+   * @param {Object} options - {onSelect(suggestion, result)} al elegir una propuesta
+   */
+  constructor(containerId, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.onSelect = options.onSelect || (() => {});
+
+    this.init();
+  }
+
+  /**
+   * Busca los elementos del contenedor
+   */
+  init() {
+    if (!this.container) {
+      throw new Error("Contenedor no encontrado");
+    }
+
+    this.list = this.container.querySelector('[data-role="list"]');
+    this.summary = this.container.querySelector('[data-role="summary"]');
+  }
+
+  /**
+   * Muestra las propuestas ordenadas, cada una con un dibujo de las hojas
+   * sobre la imagen
+   * @param {Object} result - Resultado de optimizeLayouts
+   * @param {Object} options - {image (canvas reducido), margin en mm}
+   */
+  show(result, { image, margin }) {
+    const { posterSize, effectiveDpi, quality, isLowQuality } = result;
+    this.container.classList.remove("hidden");
+    this.summary.textContent = `Póster de ${(posterSize.width / 10).toFixed(
+      1
+    )} × ${(posterSize.height / 10).toFixed(
+      1
+    )} cm a ${effectiveDpi} DPI efectivos (${quality.label}${
+      isLowQuality ? ", puede verse pixelado" : ""
+    }). Haz clic en una propuesta para usarla.`;
+    this.list.innerHTML = "";
+
+    result.suggestions.forEach((suggestion, index) => {
+      const item = document.createElement("li");
+      item.className =
+        "p-2 rounded-lg border border-gray-200 hover:bg-gray-50 cursor-pointer";
+      item.addEventListener("click", () => this.onSelect(suggestion, result));
+
+      const canvas = document.createElement("canvas");
+      canvas.className = "mx-auto mb-2";
+      this.drawSuggestion(canvas, suggestion, { posterSize, image, margin });
+
+      const title = document.createElement("p");
+      title.className = "text-sm font-medium text-gray-800";
+      title.textContent = `${index + 1}. ${suggestion.sheets} ${
+        suggestion.sheets === 1 ? "hoja" : "hojas"
+      } ${getMediaName(suggestion.paperSize)} ${
+        suggestion.landscape ? "horizontal" : "vertical"
+      }`;
+
+      const detail = document.createElement("p");
+      detail.className = "text-xs text-gray-500";
+      detail.textContent = `${suggestion.rows} filas × ${
+        suggestion.cols
+      } columnas · ${Math.round(suggestion.waste * 100)}% de papel sin imagen`;
+
+      item.append(canvas, title, detail);
+      this.list.appendChild(item);
+    });
+  }
+
+  /**
+   * Oculta la lista
+   */
+  hide() {
+    this.list.innerHTML = "";
+    this.container.classList.add("hidden");
+  }
+
+  /**
+   * Dibuja las hojas de una propuesta con la imagen en su lugar: lo que
+   * queda fuera de la imagen es el papel que se desperdicia
+   * @param {HTMLCanvasElement} canvas - Lienzo de destino
+   * @param {Object} suggestion - Propuesta de optimizeLayouts
+   * @param {Object} options - {posterSize, image, margin} en mm
+   */
+  drawSuggestion(canvas, suggestion, { posterSize, image, margin }) {
+    const { rows, cols, step, paperSheet } = suggestion;
+    // Hojas completas, con margen, alrededor de la grilla
+    const sheets = [];
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        sheets.push({
+          x: col * step.width - margin,
+          y: row * step.height - margin,
+        });
+      }
+    }
+    const bounds = {
+      width: (cols - 1) * step.width + paperSheet.width,
+      height: (rows - 1) * step.height + paperSheet.height,
+    };
+    const scale = Math.min(
+      THUMB_SIZE.width / bounds.width,
+      THUMB_SIZE.height / bounds.height
+    );
+    canvas.width = Math.max(Math.round(bounds.width * scale), 1);
+    canvas.height = Math.max(Math.round(bounds.height * scale), 1);
+
+    const ctx = canvas.getContext("2d");
+    const toView = (x, y, width, height) => [
+      (x + margin) * scale,
+      (y + margin) * scale,
+      width * scale,
+      height * scale,
+    ];
+
+    ctx.fillStyle = "#ffffff";
+    sheets.forEach(({ x, y }) => {
+      ctx.fillRect(...toView(x, y, paperSheet.width, paperSheet.height));
+    });
+    if (image) {
+      ctx.drawImage(image, ...toView(0, 0, posterSize.width, posterSize.height));
+    }
+    ctx.strokeStyle = "#6b7280";
+    ctx.lineWidth = 1;
+    sheets.forEach(({ x, y }) => {
+      ctx.strokeRect(...toView(x, y, paperSheet.width, paperSheet.height));
+    });
+  }
+}
+
+export default LayoutSuggestions;
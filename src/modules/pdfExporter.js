@@ -0,0 +1,153 @@
+// src/modules/pdfExporter.js
+import PDFGenerator from "./pdfGenerator.js";
+import { getAllPaperSizes } from "../utils/paperRegistry.js";
+import { createAbortError, throwIfAborted } from "../utils/abort.js";
+
+class PdfExporter {
+  /**
+   * @param {ImageProcessor} imageProcessor - Procesador con la imagen a exportar
+   */
+  constructor(imageProcessor) {
+    this.imageProcessor = imageProcessor;
+  }
+
+  /**
+   * Indica si el navegador puede generar el PDF en un worker
+   * @returns {boolean}
+   */
+  static supportsWorker() {
+    return (
+      typeof Worker !== "undefined" &&
+      typeof OffscreenCanvas !== "undefined" &&
+      typeof OffscreenCanvas.prototype.convertToBlob === "function" &&
+      typeof createImageBitmap === "function"
+    );
+  }
+
+  /**
+   * Genera el PDF procesando las partes de una en una. Al cancelar con
+   * job.signal la promesa se rechaza con un error de nombre AbortError
+   * @param {Object} job - {parts, encoding (resuelta), source (tamaño de la imagen compartida o null), pdfOptions, onProgress({step, current, total}), signal}
+   * @returns {Promise<Uint8Array>}
+   */
+  async export(job) {
+    const { onProgress = () => {}, signal = null } = job;
+    throwIfAborted(signal);
+
+    return PdfExporter.supportsWorker()
+      ? this.exportInWorker({ ...job, onProgress, signal })
+      : this.exportOnMainThread({ ...job, onProgress, signal });
+  }
+
+  /**
+   * Genera el PDF en un worker con OffscreenCanvas
+   * @param {Object} job - Ver export
+   * @returns {Promise<Uint8Array>}
+   */
+  async exportInWorker({ parts, encoding, source, pdfOptions, onProgress, signal }) {
+    const bitmap = await createImageBitmap(this.imageProcessor.sourceImage);
+    if (signal && signal.aborted) {
+      bitmap.close();
+      throw createAbortError();
+    }
+
+    const customPapers = Object.values(getAllPaperSizes()).filter(
+      (paper) => paper.group === "custom"
+    );
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(
+        new URL("../workers/pdfWorker.js", import.meta.url),
+        { type: "module" }
+      );
+
+      // Cancelar detiene el worker en el acto, esté en el paso que esté
+      const abort = () => {
+        finish();
+        reject(createAbortError());
+      };
+      const finish = () => {
+        worker.terminate();
+        if (signal) {
+          signal.removeEventListener("abort", abort);
+        }
+      };
+      if (signal) {
+        signal.addEventListener("abort", abort);
+      }
+
+      worker.onmessage = ({ data }) => {
+        if (data.type === "progress") {
+          onProgress(data);
+        } else if (data.type === "done") {
+          finish();
+          resolve(new Uint8Array(data.buffer));
+        } else if (data.type === "error") {
+          finish();
+          reject(new Error(data.message));
+        }
+      };
+      worker.onerror = (event) => {
+        finish();
+        reject(new Error(event.message || "Error en el proceso de exportación"));
+      };
+
+      worker.postMessage(
+        { bitmap, parts, encoding, source, customPapers, pdfOptions },
+        [bitmap]
+      );
+    });
+  }
+
+  /**
+   * Alternativa sin worker: mismo proceso parte a parte en el hilo principal,
+   * cediendo el control entre partes para que la interfaz se actualice
+   * @param {Object} job - Ver export
+   * @returns {Promise<Uint8Array>}
+   */
+  async exportOnMainThread({ parts, encoding, source, pdfOptions, onProgress, signal }) {
+    const processor = this.imageProcessor;
+    const { width, height } = processor.sourceImage;
+    const total = parts.length;
+    const nextFrame = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    // El paso se informa antes de dibujar la imagen compartida, que es lo
+    // que tarda; el generador no lo repite
+    onProgress({ step: "prepare", current: 0, total });
+    let sharedSource = null;
+    if (source) {
+      await nextFrame();
+      throwIfAborted(signal);
+      sharedSource = {
+        ...source,
+        dataURL: processor.renderRegion(
+          { x: 0, y: 0, width, height },
+          source.width,
+          source.height,
+          encoding
+        ),
+      };
+    }
+
+    return new PDFGenerator().generatePDF(parts, {
+      ...pdfOptions,
+      source: sharedSource,
+      onProgress: (progress) => {
+        if (progress.step !== "prepare") onProgress(progress);
+      },
+      signal,
+      renderPart: async (part) => {
+        await nextFrame();
+        throwIfAborted(signal);
+        return processor.renderRegion(
+          part.source,
+          part.dimensions.width,
+          part.dimensions.height,
+          encoding
+        );
+      },
+    });
+  }
+}
+
+export default PdfExporter;
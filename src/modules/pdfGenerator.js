@@ -1,10 +1,35 @@
-import { PDFDocument, rgb, StandardFonts } from "pdf-lib";
-import { PAPER_SIZES, convertMmToPx } from "../utils/constants.js";
+import {
+  PDFDocument,
+  rgb,
+  degrees,
+  StandardFonts,
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  clip,
+  endPath,
+} from "pdf-lib";
+import {
+  DEFAULT_SETTINGS,
+  DEFAULT_PRINTER_PROFILE,
+  CALIBRATION_PAGE,
+  ROLL_SIZES,
+  OMITTED_PART_LABELS,
+  convertMmToPt,
+} from "../utils/constants.js";
+import { getPaperSize, getMediaName } from "../utils/paperRegistry.js";
+import { resolvePattern } from "../utils/patternRegistry.js";
+import { getTileId, getLayoutMargin } from "../utils/posterLayout.js";
+import PrintMarks from "./printMarks.js";
+import AssemblyMap from "./assemblyMap.js";
+import { throwIfAborted } from "../utils/abort.js";
 
 class PDFGenerator {
   constructor() {
     this.pdfDoc = null;
     this.currentPage = 0;
+    // Corrección de la impresora que se aplica al póster
+    this.printer = DEFAULT_PRINTER_PROFILE;
   }
 
   /**
@@ -22,50 +47,184 @@ class PDFGenerator {
   }
 
   /**
-   * Genera el PDF con las partes de la imagen
+   * Genera el PDF con las partes de la imagen. Con options.source la imagen
+   * completa se incrusta una sola vez y cada página muestra su parte
+   * recortándola; si no, cada parte incrusta su propia imagen: su dataURL
+   * o lo que devuelva options.renderPart, que permite generar las partes
+   * de una en una y liberarlas al escribirlas. Las partes con omitted (clave
+   * de OMITTED_PART_LABELS) no tienen página pero siguen en los mapas; las
+   * excluidas conservan su número de página para que una reimpresión
+   * encaje en el juego completo. options.printer (perfil de
+   * createPrinterProfile) corrige la escala de la imagen y de las marcas y
+   * aleja los textos de los bordes que la impresora no alcanza.
+   * options.onProgress({step, current, total}) informa cada paso de
+   * EXPORT_STEPS y options.signal (AbortSignal) cancela entre páginas
    * @param {Array<Object>} imageParts - Array de partes de imagen
    * @param {Object} options - Opciones de generación
    * @returns {Promise<Uint8Array>}
    */
   async generatePDF(imageParts, options = {}) {
     const {
-      paperSize = "A4",
-      pattern = null,
-      margins = 10,
+      margins = DEFAULT_SETTINGS.margin,
       addGuides = true,
+      marks = {},
       addPageNumbers = true,
+      addNeighborLabels = true,
+      addMiniMap = true,
+      coverPage = null,
+      source = null,
+      printer = DEFAULT_PRINTER_PROFILE,
+      renderPart = (part) => part.dataURL,
+      onProgress = () => {},
+      signal = null,
     } = options;
 
+    this.printer = printer;
+    const printMarks = new PrintMarks(marks, printer);
+
+    // El patrón puede llegar como clave del registro o como layout calculado
+    const pattern = options.pattern ? resolvePattern(options.pattern) : null;
+    const paperSize =
+      options.paperSize || (pattern && pattern.paperSize) || "A4";
+
     try {
       await this.initDocument(paperSize);
       const font = await this.pdfDoc.embedFont(StandardFonts.Helvetica);
+      const hasAreas = imageParts.every((part) => part.area);
+      const miniMap =
+        addMiniMap && hasAreas
+          ? new AssemblyMap(imageParts, pattern && pattern.posterSize)
+          : null;
+
+      // Imagen completa compartida por todas las páginas
+      if (source && !hasAreas) {
+        throw new Error(
+          "La imagen compartida necesita la posición de cada parte en el póster"
+        );
+      }
+      const printedParts = imageParts.filter((part) => !part.omitted);
+      if (printedParts.length === 0) {
+        throw new Error("No hay hojas para imprimir");
+      }
+      const total = printedParts.length;
+      // Numeración del juego completo, sin las hojas que nunca se imprimen
+      const numberedParts = imageParts.filter(
+        (part) => !part.omitted || part.omitted === "excluded"
+      );
+      onProgress({ step: "prepare", current: 0, total });
+      const sharedImage = source
+        ? await this.embedImage(source.image || source.dataURL)
+        : null;
+      const posterSize =
+        source &&
+        (source.posterSize ||
+          new AssemblyMap(imageParts, pattern && pattern.posterSize).posterSize);
+
+      // Mapa de montaje como primera página
+      if (coverPage && hasAreas) {
+        throwIfAborted(signal);
+        onProgress({ step: "cover", current: 0, total });
+        const boldFont = await this.pdfDoc.embedFont(
+          StandardFonts.HelveticaBold
+        );
+        await this.addCoverPage(imageParts, {
+          // La portada reutiliza la imagen compartida en vez de otra miniatura
+          ...(sharedImage ? { thumbnail: sharedImage } : coverPage),
+          pattern,
+          paperSize,
+          font,
+          boldFont,
+        });
+      }
+
+      for (const [index, part] of printedParts.entries()) {
+        throwIfAborted(signal);
+        onProgress({ step: "page", current: index + 1, total });
 
-      for (const [index, part] of imageParts.entries()) {
         // Determinar orientación basada en el patrón
         const isLandscape = pattern && pattern.landscape === true;
 
-        // Crear nueva página con orientación apropiada
-        const pageWidth = isLandscape
-          ? PAPER_SIZES[paperSize].heightPx
-          : PAPER_SIZES[paperSize].widthPx;
-        const pageHeight = isLandscape
-          ? PAPER_SIZES[paperSize].widthPx
-          : PAPER_SIZES[paperSize].heightPx;
+        // Crear nueva página al tamaño real del papel; los layouts
+        // calculados traen el suyo (en rollo cada página mide lo que la tira)
+        const page = this.pdfDoc.addPage(
+          pattern && pattern.pageSize
+            ? [
+                convertMmToPt(pattern.pageSize.width),
+                convertMmToPt(pattern.pageSize.height),
+              ]
+            : this.getPageSize(paperSize, isLandscape)
+        );
 
-        const page = this.pdfDoc.addPage([pageWidth, pageHeight]);
+        // Los layouts calculados definen su propio margen en mm (ya con el
+        // mínimo de la impresora); si no, se aplica aquí
+        const pageMargin =
+          pattern && pattern.margin !== undefined
+            ? pattern.margin
+            : getLayoutMargin(margins, this.printer);
+        // Lugar de la imagen en la hoja; sin él se alinea al margen
+        const placement =
+          part.placement ||
+          (part.printSize && {
+            x: pageMargin,
+            y: pageMargin,
+            ...part.printSize,
+          });
 
         // Agregar imagen
-        const image = await this.embedImage(part.dataURL);
-        await this.addImageToPage(page, image, part.dimensions, margins);
+        let imageRect;
+        if (sharedImage) {
+          imageRect = this.addSharedImageTile(
+            page,
+            sharedImage,
+            part,
+            posterSize,
+            this.getPlacementRect(page, placement)
+          );
+        } else {
+          const image = await this.embedImage(await renderPart(part, index));
+          if (placement) {
+            imageRect = this.getPlacementRect(page, placement);
+            page.drawImage(image, imageRect);
+          } else {
+            imageRect = await this.addImageToPage(
+              page,
+              image,
+              part.dimensions,
+              convertMmToPt(pageMargin)
+            );
+          }
+          // Escribir la imagen ya para liberar sus píxeles decodificados
+          await image.embed();
+        }
 
-        // Agregar guías si está habilitado
+        // Marcar las zonas que se repiten en la hoja vecina
+        if (part.overlap) {
+          this.addOverlapZones(page, imageRect, part.overlap);
+        }
+
+        // Agregar marcas de corte, registro y montaje si está habilitado
         if (addGuides) {
-          this.addCuttingGuides(page, margins);
+          printMarks.draw(page, imageRect, part, font);
+        }
+
+        // Indicar qué hoja se une a cada borde
+        if (addNeighborLabels) {
+          this.addNeighborLabels(page, font, imageRect, part);
+        }
+
+        // Mini-mapa con la hoja actual resaltada
+        if (miniMap) {
+          this.addMiniMap(page, miniMap, imageRect, part);
         }
 
         // Agregar número de página si está habilitado
         if (addPageNumbers) {
-          this.addPageNumber(page, font, index + 1, imageParts.length);
+          this.addPageNumber(
+            page,
+            font,
+            numberedParts.indexOf(part) + 1,
+            numberedParts.length
+          );
         }
 
         // Agregar información de la parte
@@ -73,6 +232,196 @@ class PDFGenerator {
       }
 
       // Generar PDF
+      throwIfAborted(signal);
+      onProgress({ step: "save", current: total, total });
+      return await this.pdfDoc.save();
+    } catch (error) {
+      // La cancelación se propaga tal cual para poder distinguirla
+      if (error.name === "AbortError") throw error;
+      throw new Error(`Error al generar PDF: ${error.message}`);
+    }
+  }
+
+  /**
+   * Genera una hoja de fotos: muchas fotos pequeñas de tamaño fijo por
+   * página. Cada imagen distinta se incrusta una sola vez y se reutiliza en
+   * todas sus copias
+   * @param {Array<Array<number>>} sheets - Por hoja, el índice de imagen de cada celda (ver distributePhotos)
+   * @param {Object} options - {layout (calculatePhotoSheetLayout), images (data URL o {bytes, format}), dpi, cutLines, marks, addPageNumbers, onProgress, signal}
+   * @returns {Promise<Uint8Array>}
+   */
+  async generatePhotoSheetPDF(sheets, options = {}) {
+    const {
+      layout,
+      images,
+      dpi = DEFAULT_SETTINGS.dpi,
+      cutLines = true,
+      marks = {},
+      addPageNumbers = true,
+      onProgress = () => {},
+      signal = null,
+    } = options;
+
+    const printMarks = new PrintMarks(marks);
+
+    try {
+      await this.initDocument(layout.paperSize);
+      const font = await this.pdfDoc.embedFont(StandardFonts.Helvetica);
+      const embedded = new Map();
+      const total = sheets.length;
+      onProgress({ step: "prepare", current: 0, total });
+
+      for (const [index, sheet] of sheets.entries()) {
+        throwIfAborted(signal);
+        onProgress({ step: "page", current: index + 1, total });
+
+        const page = this.pdfDoc.addPage(
+          this.getPageSize(layout.paperSize, layout.landscape)
+        );
+
+        const rects = [];
+        for (const [cellIndex, imageIndex] of sheet.entries()) {
+          if (!embedded.has(imageIndex)) {
+            embedded.set(imageIndex, await this.embedImage(images[imageIndex]));
+          }
+          rects.push(
+            this.addPhoto(
+              page,
+              embedded.get(imageIndex),
+              layout.cells[cellIndex]
+            )
+          );
+        }
+
+        if (cutLines) {
+          printMarks.drawCutLines(page, rects);
+        }
+        if (addPageNumbers) {
+          this.addPageNumber(page, font, index + 1, total);
+        }
+
+        page.drawText(`Hoja de fotos | ${layout.description} | ${dpi} DPI`, {
+          x: 30,
+          y: page.getHeight() - 20,
+          size: 10,
+          font,
+          color: rgb(0.5, 0.5, 0.5),
+        });
+      }
+
+      throwIfAborted(signal);
+      onProgress({ step: "save", current: total, total });
+      return await this.pdfDoc.save();
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      throw new Error(`Error al generar PDF: ${error.message}`);
+    }
+  }
+
+  /**
+   * Genera la página de prueba para calibrar la impresora: reglas que
+   * empiezan en cada borde de la hoja (el primer número visible es el
+   * margen que la impresora no alcanza) y un cuadrado de referencia para
+   * medir el error de escala. Se imprime sin ninguna corrección
+   * @param {string} paperSize - Clave del papel
+   * @returns {Promise<Uint8Array>}
+   */
+  async generateCalibrationPDF(paperSize = CALIBRATION_PAGE.paperSize) {
+    const { squareSize, rulerLength } = CALIBRATION_PAGE;
+
+    try {
+      await this.initDocument(paperSize);
+      this.pdfDoc.setTitle("Página de calibración");
+      const font = await this.pdfDoc.embedFont(StandardFonts.Helvetica);
+      const boldFont = await this.pdfDoc.embedFont(StandardFonts.HelveticaBold);
+      const page = this.pdfDoc.addPage(this.getPageSize(paperSize));
+      const width = page.getWidth();
+      const height = page.getHeight();
+      const color = rgb(0, 0, 0);
+
+      // Reglas perpendiculares a cada borde, a un tercio de la hoja para
+      // no chocar con el cuadrado
+      const rulers = [
+        { side: "top", x: width / 3, y: height, dx: 0, dy: -1 },
+        { side: "bottom", x: width / 3, y: 0, dx: 0, dy: 1 },
+        { side: "left", x: 0, y: height / 3, dx: 1, dy: 0 },
+        { side: "right", x: width, y: height / 3, dx: -1, dy: 0 },
+      ];
+      rulers.forEach(({ x, y, dx, dy }) => {
+        for (let mm = 0; mm <= rulerLength; mm++) {
+          const distance = convertMmToPt(mm);
+          const tick = mm % 5 === 0 ? 10 : 5;
+          const px = x + dx * distance;
+          const py = y + dy * distance;
+          page.drawLine({
+            start: { x: px, y: py },
+            end: dy ? { x: px + tick, y: py } : { x: px, y: py + tick },
+            thickness: 0.3,
+            color,
+          });
+          if (mm > 0 && mm % 5 === 0) {
+            page.drawText(String(mm), {
+              x: dy ? px + tick + 2 : px - 3,
+              y: dy ? py - 2.5 : py + tick + 2,
+              size: 7,
+              font,
+              color,
+            });
+          }
+        }
+      });
+
+      // Cuadrado de referencia centrado
+      const side = convertMmToPt(squareSize);
+      const square = {
+        x: (width - side) / 2,
+        y: (height - side) / 2,
+        width: side,
+        height: side,
+      };
+      page.drawRectangle({
+        ...square,
+        borderColor: color,
+        borderWidth: 0.5,
+      });
+      const label = `${squareSize} mm`;
+      const labelWidth = font.widthOfTextAtSize(label, 9);
+      page.drawText(label, {
+        x: square.x + (side - labelWidth) / 2,
+        y: square.y + side + 4,
+        size: 9,
+        font,
+        color,
+      });
+      page.drawText(label, {
+        x: square.x - 6,
+        y: square.y + (side - labelWidth) / 2,
+        size: 9,
+        font,
+        color,
+        rotate: degrees(90),
+      });
+
+      const instructions = [
+        "1. Imprime esta página al 100 % (sin «Ajustar a la página»).",
+        `2. Mide el ancho y el alto del cuadrado; deberían ser ${squareSize} mm.`,
+        "3. En cada regla, anota el primer número que se ve completo: es el",
+        "   margen que la impresora no alcanza en ese borde (0 si se ven todos).",
+        "4. Guarda las medidas como perfil de impresora y elígelo al exportar.",
+      ];
+      let cursor = square.y - 30;
+      page.drawText("Calibración de la impresora", {
+        x: square.x,
+        y: cursor,
+        size: 14,
+        font: boldFont,
+        color,
+      });
+      instructions.forEach((line) => {
+        cursor -= 14;
+        page.drawText(line, { x: square.x, y: cursor, size: 9, font, color });
+      });
+
       return await this.pdfDoc.save();
     } catch (error) {
       throw new Error(`Error al generar PDF: ${error.message}`);
@@ -80,14 +429,93 @@ class PDFGenerator {
   }
 
   /**
-   * Convierte dataURL a formato compatible con PDF-lib
-   * @param {string} dataURL - Data URL de la imagen
+   * Dibuja una foto en su celda. Las celdas giradas muestran la foto a 90°
+   * para aprovechar mejor la hoja
+   * @param {PDFPage} page - Página del PDF
+   * @param {PDFImage} image - Foto ya incrustada, en su sentido original
+   * @param {Object} cell - Celda {x, y, width, height, rotated} en mm desde la esquina superior izquierda
+   * @returns {Object} Rectángulo ocupado {x, y, width, height} en puntos
+   */
+  addPhoto(page, image, cell) {
+    const rect = {
+      x: convertMmToPt(cell.x),
+      y: page.getHeight() - convertMmToPt(cell.y + cell.height),
+      width: convertMmToPt(cell.width),
+      height: convertMmToPt(cell.height),
+    };
+
+    if (cell.rotated) {
+      // Girada 90° en sentido antihorario sobre su esquina inferior derecha
+      page.drawImage(image, {
+        x: rect.x + rect.width,
+        y: rect.y,
+        width: rect.height,
+        height: rect.width,
+        rotate: degrees(90),
+      });
+    } else {
+      page.drawImage(image, rect);
+    }
+    return rect;
+  }
+
+  /**
+   * Convierte una medida del póster a puntos con la corrección de escala
+   * de la impresora
+   * @param {number} mm - Medida en mm
+   * @param {string} axis - 'x' o 'y'
+   * @returns {number}
+   */
+  toPrinterPt(mm, axis) {
+    return convertMmToPt(mm) * this.printer.scale[axis];
+  }
+
+  /**
+   * Distancia de un texto al borde de la hoja, fuera de la zona que la
+   * impresora no alcanza
+   * @param {string} side - 'top', 'right', 'bottom' o 'left'
+   * @param {number} inset - Distancia deseada en puntos
+   * @returns {number}
+   */
+  getTextInset(side, inset) {
+    return Math.max(inset, convertMmToPt(this.printer.margins[side]) + 4);
+  }
+
+  /**
+   * Obtiene el tamaño de página en puntos PDF (1/72 de pulgada)
+   * @param {string} paperSize - Clave del papel (p. ej. 'A4')
+   * @param {boolean} landscape - Orientación horizontal
+   * @returns {Array<number>} [ancho, alto] en puntos
+   */
+  getPageSize(paperSize, landscape = false) {
+    const paper = getPaperSize(paperSize);
+    if (!paper) {
+      throw new Error(`Tamaño de papel no soportado: ${paperSize}`);
+    }
+    const { width, height } = paper;
+    const size = [convertMmToPt(width), convertMmToPt(height)];
+    return landscape ? size.reverse() : size;
+  }
+
+  /**
+   * Convierte una imagen a formato compatible con PDF-lib. Los JPEG se
+   * incrustan tal cual; los PNG se recomprimen sin pérdida
+   * @param {string|Object} image - Data URL (PNG o JPEG) o {bytes, format: 'png'|'jpeg'}
    * @returns {Promise<PDFImage>}
    */
-  async embedImage(dataURL) {
-    const imageData = dataURL.split(",")[1];
-    const imageBytes = Uint8Array.from(atob(imageData), (c) => c.charCodeAt(0));
-    return await this.pdfDoc.embedPng(imageBytes);
+  async embedImage(image) {
+    let bytes = image.bytes;
+    let format = image.format;
+
+    if (typeof image === "string") {
+      const [header, imageData] = image.split(",");
+      bytes = Uint8Array.from(atob(imageData), (c) => c.charCodeAt(0));
+      format = header.includes("image/jpeg") ? "jpeg" : "png";
+    }
+
+    return format === "jpeg"
+      ? await this.pdfDoc.embedJpg(bytes)
+      : await this.pdfDoc.embedPng(bytes);
   }
 
   /**
@@ -96,12 +524,13 @@ class PDFGenerator {
    * @param {PDFImage} image - Imagen a agregar
    * @param {Object} dimensions - Dimensiones de la imagen
    * @param {number} margins - Márgenes en puntos
+   * @returns {Object} Rectángulo ocupado por la imagen {x, y, width, height}
    */
   async addImageToPage(page, image, dimensions, margins) {
     const pageWidth = page.getWidth();
     const pageHeight = page.getHeight();
-    const maxWidth = pageWidth - margins * 1.2;
-    const maxHeight = pageHeight - margins * 1.2;
+    const maxWidth = pageWidth - margins * 2;
+    const maxHeight = pageHeight - margins * 2;
 
     // Calcular escala manteniendo proporción
     const scale = Math.min(
@@ -109,59 +538,358 @@ class PDFGenerator {
       maxHeight / dimensions.height
     );
 
-    const finalWidth = dimensions.width * scale;
-    const finalHeight = dimensions.height * scale;
+    const finalWidth = dimensions.width * scale * this.printer.scale.x;
+    const finalHeight = dimensions.height * scale * this.printer.scale.y;
 
     // Centrar imagen
     const x = (pageWidth - finalWidth) / 2;
     const y = (pageHeight - finalHeight) / 2;
 
+    const rect = { x, y, width: finalWidth, height: finalHeight };
+    page.drawImage(image, rect);
+    return rect;
+  }
+
+  /**
+   * Convierte el lugar de una parte en la hoja (mm desde la esquina
+   * superior izquierda) a un rectángulo PDF, con origen abajo a la
+   * izquierda. El tamaño lleva la corrección de escala de la impresora
+   * @param {PDFPage} page - Página del PDF
+   * @param {Object} placement - {x, y, width, height} en mm
+   * @returns {Object} Rectángulo de la imagen {x, y, width, height} en puntos
+   */
+  getPlacementRect(page, placement) {
+    const height = this.toPrinterPt(placement.height, "y");
+    return {
+      x: convertMmToPt(placement.x),
+      y: page.getHeight() - convertMmToPt(placement.y) - height,
+      width: this.toPrinterPt(placement.width, "x"),
+      height,
+    };
+  }
+
+  /**
+   * Dibuja la imagen completa del póster desplazada para que la parte
+   * quede en el área imprimible, recortando el resto. La imagen es un
+   * único XObject que todas las páginas reutilizan
+   * @param {PDFPage} page - Página del PDF
+   * @param {PDFImage} image - Imagen completa ya incrustada
+   * @param {Object} part - Parte con area en el póster (mm)
+   * @param {Object} posterSize - Tamaño del póster {width, height} en mm
+   * @param {Object} rect - Rectángulo de la parte en la hoja, en puntos
+   * @returns {Object} Rectángulo visible de la parte {x, y, width, height}
+   */
+  addSharedImageTile(page, image, part, posterSize, rect) {
+    const posterHeight = this.toPrinterPt(posterSize.height, "y");
+
+    page.pushOperators(
+      pushGraphicsState(),
+      rectangle(rect.x, rect.y, rect.width, rect.height),
+      clip(),
+      endPath()
+    );
     page.drawImage(image, {
-      x,
-      y,
-      width: finalWidth,
-      height: finalHeight,
+      x: rect.x - this.toPrinterPt(part.area.x, "x"),
+      y:
+        rect.y +
+        rect.height +
+        this.toPrinterPt(part.area.y, "y") -
+        posterHeight,
+      width: this.toPrinterPt(posterSize.width, "x"),
+      height: posterHeight,
     });
+    page.pushOperators(popGraphicsState());
+
+    return rect;
   }
 
   /**
-   * Agrega guías de corte a la página
+   * Sombrea las zonas de solapamiento, que se repiten en la hoja vecina
    * @param {PDFPage} page - Página del PDF
-   * @param {number} margins - Márgenes en puntos
+   * @param {Object} rect - Rectángulo de la imagen en puntos
+   * @param {Object} overlap - Solapamiento por borde en mm
+   */
+  addOverlapZones(page, rect, overlap) {
+    const top = this.toPrinterPt(overlap.top, "y");
+    const right = this.toPrinterPt(overlap.right, "x");
+    const bottom = this.toPrinterPt(overlap.bottom, "y");
+    const left = this.toPrinterPt(overlap.left, "x");
+
+    // [x, y, ancho, alto]
+    const zones = [
+      [rect.x, rect.y + rect.height - top, rect.width, top],
+      [rect.x + rect.width - right, rect.y, right, rect.height],
+      [rect.x, rect.y, rect.width, bottom],
+      [rect.x, rect.y, left, rect.height],
+    ];
+
+    zones
+      .filter(([, , width, height]) => width > 0 && height > 0)
+      .forEach(([x, y, width, height]) => {
+        page.drawRectangle({
+          x,
+          y,
+          width,
+          height,
+          color: rgb(0.23, 0.51, 0.96),
+          opacity: 0.12,
+        });
+      });
+  }
+
+  /**
+   * Agrega una portada con el mapa de montaje: miniatura de la imagen con
+   * la grilla numerada, tamaño final, número de hojas e instrucciones
+   * @param {Array<Object>} imageParts - Partes con position, area y overlap
+   * @param {Object} options - {thumbnail (dataURL o imagen ya incrustada), pattern, paperSize, font, boldFont}
    */
-  addCuttingGuides(page, margins) {
-    const guideLength = 15; // puntos
+  async addCoverPage(imageParts, options) {
+    const { thumbnail, pattern, paperSize, font, boldFont } = options;
+    const map = new AssemblyMap(imageParts, pattern && pattern.posterSize);
+    const { posterSize } = map;
+    const sheetLandscape = pattern && pattern.landscape === true;
+    const roll = pattern && pattern.roll;
+    const { rows, cols } = imageParts[0].grid || { rows: 1, cols: 1 };
+
+    // Orientar la portada según la proporción del póster; en rollo la
+    // portada va en una hoja normal
+    const page = this.pdfDoc.addPage(
+      this.getPageSize(
+        roll ? DEFAULT_SETTINGS.paperSize : paperSize,
+        posterSize.width > posterSize.height
+      )
+    );
+    const margin = convertMmToPt(15);
     const pageWidth = page.getWidth();
     const pageHeight = page.getHeight();
+    const textColor = rgb(0.2, 0.2, 0.2);
+    let cursor = pageHeight - margin;
 
-    // Color gris claro
-    const guideColor = rgb(0.8, 0.8, 0.8);
+    const writeLine = (text, size = 10, lineFont = font) => {
+      cursor -= size * 1.4;
+      page.drawText(text, {
+        x: margin,
+        y: cursor,
+        size,
+        font: lineFont,
+        color: textColor,
+      });
+    };
 
-    // Esquinas superior izquierda
-    page.drawLine({
-      start: { x: margins, y: margins },
-      end: { x: margins + guideLength, y: margins },
-      color: guideColor,
+    writeLine("Mapa de montaje", 18, boldFont);
+    cursor -= 4;
+    writeLine(
+      `Tamaño final: ${(posterSize.width / 10).toFixed(1)} × ${(
+        posterSize.height / 10
+      ).toFixed(1)} cm`
+    );
+    const printedCount = imageParts.filter((part) => !part.omitted).length;
+    writeLine(
+      roll
+        ? `Tiras: ${printedCount} × ${roll.name}, de ${(
+            roll.stripLength / 10
+          ).toFixed(1)} cm de largo`
+        : `Hojas: ${printedCount} × ${getMediaName(
+            paperSize
+          )} en orientación ${
+            sheetLandscape ? "horizontal" : "vertical"
+          } (${rows} filas × ${cols} columnas)`
+    );
+    Object.entries(OMITTED_PART_LABELS).forEach(([reason, label]) => {
+      const count = imageParts.filter((part) => part.omitted === reason).length;
+      if (count > 0) {
+        writeLine(`${label}: ${count} ${count === 1 ? "hoja" : "hojas"}`);
+      }
     });
-    page.drawLine({
-      start: { x: margins, y: margins },
-      end: { x: margins, y: margins + guideLength },
-      color: guideColor,
+
+    const hasOverlap = imageParts.some(
+      (part) =>
+        part.overlap && Object.values(part.overlap).some((value) => value > 0)
+    );
+
+    const instructions = [
+      "1. Imprime todas las hojas al 100 % (desactiva \"Ajustar a la página\").",
+      "2. Recorta los márgenes blancos siguiendo las marcas de corte.",
+      hasOverlap
+        ? "3. Recorta los bordes marcados con \"CORTAR AQUÍ\" y pega cada hoja sobre la zona \"PEGAR AQUÍ\" de su vecina, alineando las cruces."
+        : "3. Une las hojas borde con borde y fíjalas con cinta por detrás.",
+      roll
+        ? `4. Monta las tiras ${
+            rows > 1 ? "de arriba abajo" : "de izquierda a derecha"
+          }, siguiendo los números del mapa.`
+        : "4. Monta el póster fila por fila, de arriba abajo y de izquierda a derecha, siguiendo los números del mapa.",
+    ];
+
+    // Las instrucciones ocupan la parte inferior de la portada
+    const instructionSize = 9;
+    const lines = instructions.flatMap((text) =>
+      this.wrapText(text, font, instructionSize, pageWidth - margin * 2)
+    );
+    const instructionsTop = margin + lines.length * instructionSize * 1.5 + 16;
+    let instructionY = instructionsTop;
+    page.drawText("Instrucciones", {
+      x: margin,
+      y: instructionY,
+      size: 11,
+      font: boldFont,
+      color: textColor,
+    });
+    lines.forEach((line) => {
+      instructionY -= instructionSize * 1.5;
+      page.drawText(line, {
+        x: margin,
+        y: instructionY,
+        size: instructionSize,
+        font,
+        color: textColor,
+      });
     });
 
-    // Esquina superior derecha
-    page.drawLine({
-      start: { x: pageWidth - margins - guideLength, y: margins },
-      end: { x: pageWidth - margins, y: margins },
-      color: guideColor,
+    // Miniatura con la grilla en el espacio restante
+    const mapRect = map.fitInto({
+      x: margin,
+      y: instructionsTop + 24,
+      width: pageWidth - margin * 2,
+      height: cursor - 16 - (instructionsTop + 24),
     });
-    page.drawLine({
-      start: { x: pageWidth - margins, y: margins },
-      end: { x: pageWidth - margins, y: margins + guideLength },
-      color: guideColor,
+
+    if (thumbnail) {
+      const image =
+        typeof thumbnail === "string"
+          ? await this.embedImage(thumbnail)
+          : thumbnail;
+      page.drawImage(image, mapRect);
+    }
+
+    map.draw(page, mapRect, {
+      font: boldFont,
+      fill: !thumbnail,
+      label: (part) => `${part.partNumber} · ${getTileId(part.position)}`,
     });
+  }
+
+  /**
+   * Escribe en el margen de cada borde compartido el identificador de la
+   * hoja vecina, con una flecha que apunta hacia ella
+   * @param {PDFPage} page - Página del PDF
+   * @param {PDFFont} font - Fuente a usar
+   * @param {Object} rect - Rectángulo de la imagen en puntos
+   * @param {Object} part - Parte con position y grid
+   */
+  addNeighborLabels(page, font, rect, part) {
+    const { row, col } = part.position;
+    const { rows, cols } = part.grid || { rows: 1, cols: 1 };
+    const size = 8;
+    const color = rgb(0.35, 0.35, 0.35);
+    const textHeight = font.heightAtSize(size);
+    const arrowSize = size * 0.6;
+    const right = rect.x + rect.width;
+    const top = rect.y + rect.height;
+
+    // Se colocan fuera del centro del borde, donde van las indicaciones de corte
+    const neighbors = [
+      { side: "top", hasNeighbor: row > 0, position: { row: row - 1, col },
+        x: rect.x + rect.width * 0.65, y: top + textHeight },
+      { side: "bottom", hasNeighbor: row < rows - 1, position: { row: row + 1, col },
+        x: rect.x + rect.width * 0.65, y: rect.y - textHeight },
+      { side: "left", hasNeighbor: col > 0, position: { row, col: col - 1 },
+        x: rect.x - textHeight * 1.5, y: rect.y + rect.height * 0.75 },
+      { side: "right", hasNeighbor: col < cols - 1, position: { row, col: col + 1 },
+        x: right + textHeight * 1.5, y: rect.y + rect.height * 0.75 },
+    ];
+
+    // Flechas como triángulos (la fuente estándar no incluye ← ↑ → ↓)
+    const arrows = {
+      top: "M 0 -3 L -3 3 L 3 3 Z",
+      bottom: "M 0 3 L -3 -3 L 3 -3 Z",
+      left: "M -3 0 L 3 -3 L 3 3 Z",
+      right: "M 3 0 L -3 -3 L -3 3 Z",
+    };
+
+    neighbors
+      .filter((neighbor) => neighbor.hasNeighbor)
+      .forEach(({ side, position, x, y }) => {
+        const text = getTileId(position);
+        const textWidth = font.widthOfTextAtSize(text, size);
+        const vertical = side === "top" || side === "bottom";
 
-    // Esquinas inferiores similares...
+        // Texto centrado en (x, y) con la flecha del lado de la vecina
+        const textX = vertical
+          ? x - textWidth / 2
+          : side === "left"
+          ? x - textWidth / 2 + arrowSize
+          : x - textWidth / 2 - arrowSize;
+        const arrowX = vertical
+          ? x + textWidth / 2 + arrowSize
+          : side === "left"
+          ? textX - arrowSize
+          : textX + textWidth + arrowSize;
+
+        page.drawText(text, {
+          x: textX,
+          y: y - textHeight / 2,
+          size,
+          font,
+          color,
+        });
+        page.drawSvgPath(arrows[side], {
+          x: arrowX,
+          y,
+          scale: arrowSize / 6,
+          color,
+        });
+      });
+  }
+
+  /**
+   * Dibuja un mini-mapa del póster en el margen inferior izquierdo con la
+   * hoja actual resaltada
+   * @param {PDFPage} page - Página del PDF
+   * @param {AssemblyMap} map - Mapa de todas las partes
+   * @param {Object} rect - Rectángulo de la imagen en puntos
+   * @param {Object} part - Parte actual
+   */
+  addMiniMap(page, map, rect, part) {
+    const height = Math.min(rect.y * 0.7, 40);
+    if (height < 8) return;
+
+    const mapRect = map.fitInto({
+      x: rect.x,
+      y: (rect.y - height) / 2,
+      width: Math.min(height * 3, 90),
+      height,
+    });
+    // Alinear a la izquierda en lugar de centrar
+    mapRect.x = rect.x;
+
+    map.draw(page, mapRect, {
+      highlight: part.partNumber,
+      fill: true,
+      lineColor: rgb(0.5, 0.5, 0.5),
+      lineWidth: 0.3,
+    });
+  }
+
+  /**
+   * Divide un texto en líneas que caben en el ancho indicado
+   * @param {string} text - Texto a dividir
+   * @param {PDFFont} font - Fuente a usar
+   * @param {number} size - Tamaño de fuente
+   * @param {number} maxWidth - Ancho máximo en puntos
+   * @returns {Array<string>}
+   */
+  wrapText(text, font, size, maxWidth) {
+    return text.split(" ").reduce((lines, word) => {
+      const current = lines[lines.length - 1];
+      const candidate = current ? `${current} ${word}` : word;
+
+      if (!current || font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+        lines[Math.max(lines.length - 1, 0)] = candidate;
+      } else {
+        lines.push(word);
+      }
+      return lines;
+    }, []);
   }
 
   /**
@@ -177,8 +905,8 @@ class PDFGenerator {
     const textHeight = font.heightAtSize(10);
 
     page.drawText(text, {
-      x: page.getWidth() - textWidth - 30,
-      y: 20,
+      x: page.getWidth() - textWidth - this.getTextInset("right", 30),
+      y: this.getTextInset("bottom", 20),
       size: 10,
       font,
       color: rgb(0.5, 0.5, 0.5),
@@ -192,14 +920,18 @@ class PDFGenerator {
    * @param {Object} part - Información de la parte
    */
   addPartInfo(page, font, part) {
-    const { position, paperSize, dpi } = part;
-    const info = `Posición: Fila ${position.row + 1}, Columna ${
-      position.col + 1
-    } | ${paperSize} | ${dpi} DPI`;
+    const { position, paperSize, dpi, partNumber, totalParts } = part;
+    const info = ROLL_SIZES[paperSize]
+      ? `Tira ${getTileId(position)} (${partNumber} de ${totalParts}) | ${getMediaName(
+          paperSize
+        )} | ${dpi} DPI`
+      : `Hoja ${getTileId(position)} | Fila ${position.row + 1}, Columna ${
+          position.col + 1
+        } | ${getMediaName(paperSize)} | ${dpi} DPI`;
 
     page.drawText(info, {
-      x: 30,
-      y: page.getHeight() - 20,
+      x: this.getTextInset("left", 30),
+      y: page.getHeight() - this.getTextInset("top", 20),
       size: 10,
       font,
       color: rgb(0.5, 0.5, 0.5),
@@ -0,0 +1,95 @@
+// src/modules/photoSheetExporter.js
+import ImageProcessor from "./imageProcessor.js";
+import PDFGenerator from "./pdfGenerator.js";
+import { distributePhotos } from "../utils/photoSheet.js";
+import { throwIfAborted } from "../utils/abort.js";
+
+class PhotoSheetExporter {
+  /**
+   * @param {ImageProcessor} imageProcessor - Procesador con la imagen abierta en el editor
+   */
+  constructor(imageProcessor) {
+    this.imageProcessor = imageProcessor;
+  }
+
+  /**
+   * Genera la hoja de fotos con una o varias imágenes de la cola. Las fotos
+   * son pequeñas, así que se generan en el hilo principal
+   * @param {Object} job - {items, activeItem, layout, dpi, fit, copies, encoding, pdfOptions {cutLines, marks, addPageNumbers}, onProgress, signal}
+   * @returns {Promise<Uint8Array>}
+   */
+  async export(job) {
+    const {
+      items,
+      activeItem,
+      layout,
+      dpi,
+      fit,
+      copies,
+      encoding,
+      pdfOptions = {},
+      onProgress = () => {},
+      signal = null,
+    } = job;
+
+    const sheets = distributePhotos(layout.perSheet, items.length, copies);
+    const nextFrame = () => new Promise((resolve) => setTimeout(resolve, 0));
+    const images = [];
+
+    for (const [index, item] of items.entries()) {
+      onProgress({ step: "prepare", current: index, total: items.length });
+      await nextFrame();
+      throwIfAborted(signal);
+
+      try {
+        images.push(await this.renderItem(item, item === activeItem, {
+          layout,
+          dpi,
+          fit,
+          encoding,
+        }));
+      } catch (error) {
+        throw new Error(`${item.fileInfo.name}: ${error.message}`);
+      }
+    }
+
+    return new PDFGenerator().generatePhotoSheetPDF(sheets, {
+      ...pdfOptions,
+      layout,
+      images,
+      dpi,
+      onProgress,
+      signal,
+    });
+  }
+
+  /**
+   * Genera la foto de una imagen de la cola; la abierta en el editor no se
+   * vuelve a cargar
+   * @param {Object} item - Elemento de BatchQueue
+   * @param {boolean} isActive - Es la imagen abierta en el editor
+   * @param {Object} options - {layout, dpi, fit, encoding}
+   * @returns {Promise<string>} Data URL
+   */
+  async renderItem(item, isActive, { layout, dpi, fit, encoding }) {
+    const processor = isActive ? this.imageProcessor : new ImageProcessor();
+    try {
+      if (!isActive) {
+        await processor.loadImage(item.fileInfo.file);
+        processor.setTransform(item.transform);
+      }
+      return processor.renderPhoto(
+        layout.photoSize,
+        dpi,
+        fit,
+        processor.resolveEncoding(encoding)
+      ).dataURL;
+    } finally {
+      if (!isActive) {
+        processor.cleanup();
+      }
+    }
+  }
+}
+
+export default PhotoSheetExporter;
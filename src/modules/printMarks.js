@@ -0,0 +1,321 @@
+// src/modules/printMarks.js
+import { rgb, degrees } from "pdf-lib";
+import {
+  MARK_DEFAULTS,
+  DEFAULT_PRINTER_PROFILE,
+  convertMmToPt,
+  parseHexColor,
+} from "../utils/constants.js";
+
+// Separación entre el borde de la imagen y las marcas de esquina (mm)
+const CROP_MARK_GAP = 1;
+
+class PrintMarks {
+  /**
+   * @param {Object} options - Configuración por tipo de marca; se combina con MARK_DEFAULTS
+   * @param {Object} printer - Perfil de impresora con márgenes físicos y escala
+   */
+  constructor(options = {}, printer = DEFAULT_PRINTER_PROFILE) {
+    this.printer = printer;
+    this.options = {};
+    Object.entries(MARK_DEFAULTS).forEach(([type, defaults]) => {
+      this.options[type] = { ...defaults, ...(options[type] || {}) };
+    });
+  }
+
+  /**
+   * Dibuja todas las marcas habilitadas alrededor de la imagen de una parte
+   * @param {PDFPage} page - Página del PDF
+   * @param {Object} rect - Rectángulo de la imagen en puntos {x, y, width, height}
+   * @param {Object} part - Parte con position, grid y overlap (mm)
+   * @param {PDFFont} font - Fuente para las indicaciones
+   */
+  draw(page, rect, part, font) {
+    const edges = this.getEdges(rect, part);
+    const { cropMarks, registration, trimLines, assemblyHints } =
+      this.options;
+
+    if (trimLines.enabled) {
+      this.drawTrimLines(page, edges);
+    }
+    if (cropMarks.enabled) {
+      this.drawCropMarks(page, rect);
+    }
+    if (registration.enabled) {
+      this.drawRegistrationMarks(page, rect, edges);
+    }
+    if (assemblyHints.enabled && font) {
+      this.drawAssemblyHints(page, rect, edges, font);
+    }
+  }
+
+  /**
+   * Describe cada borde de la imagen: si tiene vecina, su solapamiento y
+   * dónde se corta. Los bordes izquierdo y superior se recortan por la
+   * línea interior del solapamiento para apoyarse sobre la hoja vecina;
+   * los bordes derecho e inferior conservan el solapamiento para pegar
+   * @param {Object} rect - Rectángulo de la imagen en puntos
+   * @param {Object} part - Parte con position, grid y overlap
+   * @returns {Object} Bordes {top, right, bottom, left}
+   */
+  getEdges(rect, part) {
+    const { row, col } = part.position;
+    const { rows, cols } = part.grid || { rows: 1, cols: 1 };
+    const overlap = part.overlap || { top: 0, right: 0, bottom: 0, left: 0 };
+    const right = rect.x + rect.width;
+    const top = rect.y + rect.height;
+    // El solapamiento se corrige con la misma escala que la imagen
+    const { scale } = this.printer;
+    const size = {
+      top: convertMmToPt(overlap.top) * scale.y,
+      right: convertMmToPt(overlap.right) * scale.x,
+      bottom: convertMmToPt(overlap.bottom) * scale.y,
+      left: convertMmToPt(overlap.left) * scale.x,
+    };
+
+    const edge = (hasNeighbor, overlapSize, imageLine, cutLine) => ({
+      hasNeighbor,
+      overlap: overlapSize,
+      imageLine,
+      cutLine,
+    });
+
+    return {
+      top: edge(row > 0, size.top, top, top - size.top),
+      right: edge(col < cols - 1, size.right, right, right),
+      bottom: edge(row < rows - 1, size.bottom, rect.y, rect.y),
+      left: edge(col > 0, size.left, rect.x, rect.x + size.left),
+    };
+  }
+
+  /**
+   * Convierte la configuración de color de un tipo de marca
+   * @param {string} type - Tipo de marca
+   * @returns {RGB}
+   */
+  getColor(type) {
+    const { r, g, b } = parseHexColor(this.options[type].color);
+    return rgb(r, g, b);
+  }
+
+  /**
+   * Marcas de corte en las cuatro esquinas de la imagen, por fuera de ella
+   * @param {PDFPage} page - Página del PDF
+   * @param {Object} rect - Rectángulo de la imagen en puntos
+   */
+  drawCropMarks(page, rect) {
+    const { thickness, length } = this.options.cropMarks;
+    const color = this.getColor("cropMarks");
+    const gap = convertMmToPt(CROP_MARK_GAP);
+    const right = rect.x + rect.width;
+    const top = rect.y + rect.height;
+
+    // Espacio libre hasta la zona que la impresora no alcanza en cada lado
+    const margin = (side) => convertMmToPt(this.printer.margins[side]);
+    const space = {
+      left: rect.x - gap - margin("left"),
+      right: page.getWidth() - right - gap - margin("right"),
+      bottom: rect.y - gap - margin("bottom"),
+      top: page.getHeight() - top - gap - margin("top"),
+    };
+    const markLength = (side) =>
+      Math.max(Math.min(convertMmToPt(length), space[side]), 0);
+
+    const corners = [
+      { x: rect.x, y: top, h: "left", v: "top" },
+      { x: right, y: top, h: "right", v: "top" },
+      { x: rect.x, y: rect.y, h: "left", v: "bottom" },
+      { x: right, y: rect.y, h: "right", v: "bottom" },
+    ];
+
+    corners.forEach(({ x, y, h, v }) => {
+      const dx = h === "left" ? -1 : 1;
+      const dy = v === "bottom" ? -1 : 1;
+
+      // Línea horizontal alineada con el borde superior/inferior
+      page.drawLine({
+        start: { x: x + dx * gap, y },
+        end: { x: x + dx * (gap + markLength(h)), y },
+        thickness,
+        color,
+      });
+
+      // Línea vertical alineada con el borde izquierdo/derecho
+      page.drawLine({
+        start: { x, y: y + dy * gap },
+        end: { x, y: y + dy * (gap + markLength(v)) },
+        thickness,
+        color,
+      });
+    });
+  }
+
+  /**
+   * Cruces de registro centradas en cada zona de solapamiento
+   * @param {PDFPage} page - Página del PDF
+   * @param {Object} rect - Rectángulo de la imagen en puntos
+   * @param {Object} edges - Bordes calculados con getEdges
+   */
+  drawRegistrationMarks(page, rect, edges) {
+    const { thickness, size } = this.options.registration;
+    const color = this.getColor("registration");
+
+    const centers = [];
+    ["top", "bottom"].forEach((side) => {
+      const { overlap } = edges[side];
+      if (overlap <= 0) return;
+      const y =
+        side === "top"
+          ? rect.y + rect.height - overlap / 2
+          : rect.y + overlap / 2;
+      [0.25, 0.75].forEach((t) =>
+        centers.push({ x: rect.x + rect.width * t, y, overlap })
+      );
+    });
+    ["left", "right"].forEach((side) => {
+      const { overlap } = edges[side];
+      if (overlap <= 0) return;
+      const x =
+        side === "left" ? rect.x + overlap / 2 : rect.x + rect.width - overlap / 2;
+      [0.25, 0.75].forEach((t) =>
+        centers.push({ x, y: rect.y + rect.height * t, overlap })
+      );
+    });
+
+    centers.forEach(({ x, y, overlap }) => {
+      // La cruz no debe salirse de la zona de solapamiento
+      const radius = Math.min(convertMmToPt(size), overlap * 0.8) / 2;
+
+      page.drawCircle({
+        x,
+        y,
+        size: radius,
+        borderColor: color,
+        borderWidth: thickness,
+      });
+      page.drawLine({
+        start: { x: x - radius * 1.4, y },
+        end: { x: x + radius * 1.4, y },
+        thickness,
+        color,
+      });
+      page.drawLine({
+        start: { x, y: y - radius * 1.4 },
+        end: { x, y: y + radius * 1.4 },
+        thickness,
+        color,
+      });
+    });
+  }
+
+  /**
+   * Líneas discontinuas de borde a borde de la hoja por donde se corta
+   * @param {PDFPage} page - Página del PDF
+   * @param {Object} edges - Bordes calculados con getEdges
+   */
+  drawTrimLines(page, edges) {
+    const { thickness, dash } = this.options.trimLines;
+    const color = this.getColor("trimLines");
+    const dashArray = [convertMmToPt(dash), convertMmToPt(dash)];
+
+    ["top", "bottom"].forEach((side) => {
+      const y = edges[side].cutLine;
+      page.drawLine({
+        start: { x: 0, y },
+        end: { x: page.getWidth(), y },
+        thickness,
+        color,
+        dashArray,
+      });
+    });
+    ["left", "right"].forEach((side) => {
+      const x = edges[side].cutLine;
+      page.drawLine({
+        start: { x, y: 0 },
+        end: { x, y: page.getHeight() },
+        thickness,
+        color,
+        dashArray,
+      });
+    });
+  }
+
+  /**
+   * Contorno discontinuo de cada foto de una hoja de fotos, con el estilo
+   * de las líneas de corte
+   * @param {PDFPage} page - Página del PDF
+   * @param {Array<Object>} rects - Rectángulos de las fotos en puntos
+   */
+  drawCutLines(page, rects) {
+    const { thickness, dash } = this.options.trimLines;
+    const color = this.getColor("trimLines");
+    const dashArray = [convertMmToPt(dash), convertMmToPt(dash)];
+
+    rects.forEach(({ x, y, width, height }) => {
+      page.drawRectangle({
+        x,
+        y,
+        width,
+        height,
+        borderColor: color,
+        borderWidth: thickness,
+        borderDashArray: dashArray,
+      });
+    });
+  }
+
+  /**
+   * Indicaciones de "cortar aquí" y "pegar aquí" en los bordes compartidos.
+   * Se imprimen sobre el solapamiento (que se recorta o queda oculto) o en
+   * el margen cuando no hay solapamiento
+   * @param {PDFPage} page - Página del PDF
+   * @param {Object} rect - Rectángulo de la imagen en puntos
+   * @param {Object} edges - Bordes calculados con getEdges
+   * @param {PDFFont} font - Fuente a usar
+   */
+  drawAssemblyHints(page, rect, edges, font) {
+    const { fontSize } = this.options.assemblyHints;
+    const color = this.getColor("assemblyHints");
+    const textHeight = font.heightAtSize(fontSize);
+    const centerX = rect.x + rect.width / 2;
+    const centerY = rect.y + rect.height / 2;
+
+    Object.entries(edges)
+      .filter(([, edge]) => edge.hasNeighbor)
+      .forEach(([side, edge]) => {
+        const keepsOverlap = side === "right" || side === "bottom";
+        const text =
+          keepsOverlap && edge.overlap > 0 ? "PEGAR AQUÍ" : "CORTAR AQUÍ";
+
+        // Centro de la zona de solapamiento o del margen junto al borde
+        const outward = side === "top" || side === "right" ? 1 : -1;
+        const offset =
+          edge.overlap > 0 ? -outward * (edge.overlap / 2) : outward * textHeight;
+        const vertical = side === "left" || side === "right";
+        const textWidth = font.widthOfTextAtSize(text, fontSize);
+
+        if (vertical) {
+          const x = edge.imageLine + offset;
+          page.drawText(text, {
+            x: x + textHeight / 2,
+            y: centerY - textWidth / 2,
+            size: fontSize,
+            font,
+            color,
+            rotate: degrees(90),
+          });
+        } else {
+          const y = edge.imageLine + offset;
+          page.drawText(text, {
+            x: centerX - textWidth / 2,
+            y: y - textHeight / 2,
+            size: fontSize,
+            font,
+            color,
+          });
+        }
+      });
+  }
+}
+
+export default PrintMarks;
@@ -0,0 +1,420 @@
+// src/modules/transformEditor.js
+import { FIT_MODES } from "../utils/constants.js";
+import {
+  createTransform,
+  getCropRect,
+  getTransformGeometry,
+  drawTransformed,
+} from "../utils/imageTransform.js";
+
+// Tamaño máximo de la vista del editor en px
+const VIEW_SIZE = { width: 480, height: 360 };
+// Lado mayor de la copia reducida que se usa para dibujar la vista
+const PREVIEW_IMAGE_SIZE = 1024;
+const ZOOM_STEP = 1.1;
+// Espera antes de aplicar cambios continuos (rueda del ratón) a la imagen completa
+const COMMIT_DELAY = 250;
+
+class TransformEditor {
+  /**
+   * @param {string} containerId - Contenedor con la vista y los controles
+   * @param {Object} options - {onChange(transform)} se llama al confirmar un cambio
+   */
+  constructor(containerId, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.onChange = options.onChange || (() => {});
+    this.image = null;
+    this.imageInfo = null;
+    this.sourceScale = 1;
+    this.transform = createTransform();
+    this.frameAspect = null;
+    this.cropping = false;
+    this.cropDraft = null;
+    this.drag = null;
+    this.commitTimer = null;
+
+    this.init();
+  }
+
+  /**
+   * Busca los controles del contenedor y conecta los eventos
+   */
+  init() {
+    if (!this.container) {
+      throw new Error("Contenedor no encontrado");
+    }
+
+    const find = (selector) => this.container.querySelector(selector);
+    this.view = find('[data-role="view"]');
+    this.ctx = this.view.getContext("2d");
+    this.hint = find('[data-role="hint"]');
+    this.cropButton = find('[data-action="crop"]');
+    this.fields = {
+      fitMode: find('[data-field="fitMode"]'),
+      rotation: find('[data-field="rotation"]'),
+      zoom: find('[data-field="zoom"]'),
+    };
+    this.outputs = {
+      rotation: find('[data-output="rotation"]'),
+      zoom: find('[data-output="zoom"]'),
+    };
+
+    Object.entries(FIT_MODES).forEach(([key, label]) => {
+      this.fields.fitMode.appendChild(new Option(label, key));
+    });
+
+    this.fields.fitMode.addEventListener("change", (e) => {
+      this.update({ fitMode: e.target.value }, true);
+    });
+
+    // Los deslizadores actualizan la vista al moverse y la imagen al soltarlos
+    this.fields.rotation.addEventListener("input", (e) => {
+      this.update({ rotation: parseInt(e.target.value) });
+    });
+    this.fields.zoom.addEventListener("input", (e) => {
+      this.update({ zoom: parseInt(e.target.value) / 100 });
+    });
+    [this.fields.rotation, this.fields.zoom].forEach((field) => {
+      field.addEventListener("change", () => this.commit());
+    });
+
+    const actions = {
+      "rotate-left": () =>
+        this.update({ rotation: this.transform.rotation - 90 }, true),
+      "rotate-right": () =>
+        this.update({ rotation: this.transform.rotation + 90 }, true),
+      "flip-h": () => this.update({ flipH: !this.transform.flipH }, true),
+      "flip-v": () => this.update({ flipV: !this.transform.flipV }, true),
+      crop: () => this.toggleCrop(),
+      "clear-crop": () => {
+        this.setCropping(false);
+        this.update({ crop: null }, true);
+      },
+      reset: () => {
+        this.setCropping(false);
+        this.transform = createTransform();
+        this.update({}, true);
+      },
+    };
+    this.container.querySelectorAll("[data-action]").forEach((button) => {
+      button.addEventListener("click", () => actions[button.dataset.action]());
+    });
+
+    this.view.addEventListener("pointerdown", (e) => this.startDrag(e));
+    this.view.addEventListener("pointermove", (e) => this.moveDrag(e));
+    this.view.addEventListener("pointerup", (e) => this.endDrag(e));
+    this.view.addEventListener("pointercancel", (e) => this.endDrag(e));
+    this.view.addEventListener("wheel", (e) => this.handleWheel(e), {
+      passive: false,
+    });
+  }
+
+  /**
+   * Muestra el editor para una imagen nueva
+   * @param {HTMLImageElement} image - Imagen original
+   * @param {Object} transform - Transformación inicial
+   */
+  setImage(image, transform = {}) {
+    this.imageInfo = { width: image.width, height: image.height };
+
+    // Copia reducida para que arrastrar y girar sea fluido
+    this.sourceScale = Math.min(
+      PREVIEW_IMAGE_SIZE / Math.max(image.width, image.height),
+      1
+    );
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(Math.round(image.width * this.sourceScale), 1);
+    canvas.height = Math.max(Math.round(image.height * this.sourceScale), 1);
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    this.image = canvas;
+
+    this.transform = createTransform(transform);
+    this.setCropping(false);
+    this.container.classList.remove("hidden");
+    this.syncControls();
+    this.render();
+  }
+
+  /**
+   * Fija la proporción del póster para los modos fit, fill y stretch
+   * @param {number|null} aspect - Ancho/alto del póster; null si no aplica
+   */
+  setFrameAspect(aspect) {
+    this.frameAspect = aspect;
+    this.fields.fitMode.disabled = !aspect;
+    this.fields.fitMode.title = aspect
+      ? ""
+      : "Disponible al dividir por patrón; con tamaño final el póster sigue a la imagen";
+    this.render();
+  }
+
+  /**
+   * Oculta el editor y libera la imagen
+   */
+  hide() {
+    clearTimeout(this.commitTimer);
+    this.image = null;
+    this.imageInfo = null;
+    this.container.classList.add("hidden");
+  }
+
+  /**
+   * Cambia la transformación y refresca la vista
+   * @param {Object} changes - Valores a cambiar
+   * @param {boolean} commit - Aplicar también a la imagen completa
+   */
+  update(changes, commit = false) {
+    this.transform = createTransform({ ...this.transform, ...changes });
+    this.syncControls();
+    this.render();
+    if (commit) {
+      this.commit();
+    }
+  }
+
+  /**
+   * Avisa del cambio para regenerar la imagen completa y el layout
+   */
+  commit() {
+    clearTimeout(this.commitTimer);
+    this.onChange(createTransform(this.transform));
+  }
+
+  /**
+   * Refleja la transformación en los controles
+   */
+  syncControls() {
+    const { fitMode, rotation, zoom } = this.transform;
+    this.fields.fitMode.value = fitMode;
+    this.fields.rotation.value = Math.round(rotation);
+    this.fields.zoom.value = Math.round(zoom * 100);
+    this.outputs.rotation.textContent = `${Math.round(rotation)}°`;
+    this.outputs.zoom.textContent = `${Math.round(zoom * 100)}%`;
+  }
+
+  /**
+   * Calcula la escala que hace caber un tamaño en la vista
+   * @param {Object} size - {width, height} en px
+   * @returns {number}
+   */
+  getViewScale({ width, height }) {
+    return Math.min(VIEW_SIZE.width / width, VIEW_SIZE.height / height);
+  }
+
+  /**
+   * Ajusta el canvas de la vista a un tamaño en px de imagen
+   * @param {Object} size - {width, height} en px
+   * @returns {number} Escala de la vista
+   */
+  resizeView(size) {
+    const scale = this.getViewScale(size);
+    this.view.width = Math.max(Math.round(size.width * scale), 1);
+    this.view.height = Math.max(Math.round(size.height * scale), 1);
+    this.ctx.clearRect(0, 0, this.view.width, this.view.height);
+    return scale;
+  }
+
+  /**
+   * Dibuja la vista: el marco del póster o la imagen original al recortar
+   */
+  render() {
+    if (!this.image) return;
+
+    if (this.cropping) {
+      this.renderCrop();
+    } else {
+      this.renderFrame();
+    }
+  }
+
+  /**
+   * Dibuja la imagen transformada tal como se dividirá
+   */
+  renderFrame() {
+    const geometry = getTransformGeometry(
+      this.imageInfo,
+      this.transform,
+      this.frameAspect
+    );
+    const scale = this.resizeView(geometry);
+
+    drawTransformed(this.ctx, this.image, geometry, {
+      scale,
+      sourceScale: this.sourceScale,
+    });
+
+    this.ctx.strokeStyle = "#3b82f6";
+    this.ctx.lineWidth = 2;
+    this.ctx.strokeRect(1, 1, this.view.width - 2, this.view.height - 2);
+  }
+
+  /**
+   * Dibuja la imagen original con el rectángulo de recorte
+   */
+  renderCrop() {
+    const scale = this.resizeView(this.imageInfo);
+    this.viewScale = scale;
+    this.ctx.drawImage(this.image, 0, 0, this.view.width, this.view.height);
+
+    const crop = this.cropDraft || getCropRect(this.imageInfo, this.transform.crop);
+    const rect = [
+      crop.x * scale,
+      crop.y * scale,
+      crop.width * scale,
+      crop.height * scale,
+    ];
+
+    // Oscurecer lo que queda fuera del recorte
+    this.ctx.save();
+    this.ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+    this.ctx.beginPath();
+    this.ctx.rect(0, 0, this.view.width, this.view.height);
+    this.ctx.rect(...rect);
+    this.ctx.fill("evenodd");
+    this.ctx.strokeStyle = "#ffffff";
+    this.ctx.setLineDash([4, 4]);
+    this.ctx.strokeRect(...rect);
+    this.ctx.restore();
+  }
+
+  /**
+   * Entra o sale del modo recorte; al salir aplica el rectángulo dibujado
+   */
+  toggleCrop() {
+    if (!this.cropping) {
+      this.setCropping(true);
+      this.render();
+      return;
+    }
+
+    const crop = this.cropDraft;
+    this.setCropping(false);
+    if (crop) {
+      this.update({ crop }, true);
+    } else {
+      this.render();
+    }
+  }
+
+  /**
+   * Cambia el modo de la vista entre mover y recortar
+   * @param {boolean} cropping - Activar el modo recorte
+   */
+  setCropping(cropping) {
+    this.cropping = cropping;
+    this.cropDraft = null;
+    this.cropButton.textContent = cropping ? "Aplicar recorte" : "Recortar";
+    this.view.classList.toggle("cursor-crosshair", cropping);
+    this.view.classList.toggle("cursor-move", !cropping);
+    this.hint.textContent = cropping
+      ? "Dibuja el área a conservar sobre la imagen original"
+      : "Arrastra para mover la imagen y usa la rueda para hacer zoom";
+  }
+
+  /**
+   * Convierte un evento de puntero a px de la vista
+   * @param {PointerEvent} e - Evento
+   * @returns {Object} {x, y}
+   */
+  getViewPoint(e) {
+    const bounds = this.view.getBoundingClientRect();
+    return {
+      x: ((e.clientX - bounds.left) * this.view.width) / bounds.width,
+      y: ((e.clientY - bounds.top) * this.view.height) / bounds.height,
+    };
+  }
+
+  /**
+   * Empieza a mover la imagen o a dibujar el recorte
+   * @param {PointerEvent} e - Evento
+   */
+  startDrag(e) {
+    if (!this.image) return;
+
+    this.view.setPointerCapture(e.pointerId);
+    this.drag = {
+      start: this.getViewPoint(e),
+      pan: { ...this.transform.pan },
+      moved: false,
+    };
+  }
+
+  /**
+   * Actualiza el desplazamiento o el rectángulo de recorte
+   * @param {PointerEvent} e - Evento
+   */
+  moveDrag(e) {
+    if (!this.drag) return;
+
+    const point = this.getViewPoint(e);
+    const { start } = this.drag;
+    this.drag.moved = true;
+
+    if (this.cropping) {
+      // Rectángulo en px de la imagen original
+      const toImage = (value, max) =>
+        Math.min(Math.max(value / this.viewScale, 0), max);
+      const x1 = toImage(Math.min(start.x, point.x), this.imageInfo.width);
+      const y1 = toImage(Math.min(start.y, point.y), this.imageInfo.height);
+      const x2 = toImage(Math.max(start.x, point.x), this.imageInfo.width);
+      const y2 = toImage(Math.max(start.y, point.y), this.imageInfo.height);
+
+      this.cropDraft =
+        x2 - x1 >= 1 && y2 - y1 >= 1
+          ? getCropRect(this.imageInfo, {
+              x: x1,
+              y: y1,
+              width: x2 - x1,
+              height: y2 - y1,
+            })
+          : null;
+      this.render();
+      return;
+    }
+
+    // El desplazamiento se guarda como fracción del marco
+    this.update({
+      pan: {
+        x: this.drag.pan.x + (point.x - start.x) / this.view.width,
+        y: this.drag.pan.y + (point.y - start.y) / this.view.height,
+      },
+    });
+  }
+
+  /**
+   * Termina el arrastre y aplica el desplazamiento a la imagen completa
+   * @param {PointerEvent} e - Evento
+   */
+  endDrag(e) {
+    if (!this.drag) return;
+
+    const { moved } = this.drag;
+    this.drag = null;
+    if (this.view.hasPointerCapture(e.pointerId)) {
+      this.view.releasePointerCapture(e.pointerId);
+    }
+    if (moved && !this.cropping) {
+      this.commit();
+    }
+  }
+
+  /**
+   * Zoom con la rueda del ratón
+   * @param {WheelEvent} e - Evento
+   */
+  handleWheel(e) {
+    if (!this.image || this.cropping) return;
+    e.preventDefault();
+
+    // createTransform limita el zoom a TRANSFORM_LIMITS
+    const factor = e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+    this.update({ zoom: this.transform.zoom * factor });
+
+    clearTimeout(this.commitTimer);
+    this.commitTimer = setTimeout(() => this.commit(), COMMIT_DELAY);
+  }
+}
+
+export default TransformEditor;
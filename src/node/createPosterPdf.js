@@ -0,0 +1,258 @@
+// src/node/createPosterPdf.js
+// Genera el PDF de un póster sin navegador: la misma matemática de layout y
+// el mismo PDFGenerator que la interfaz, con una implementación de canvas
+// para Node (por defecto @napi-rs/canvas) en lugar del DOM
+import PDFGenerator from "../modules/pdfGenerator.js";
+import {
+  calculateTargetLayout,
+  calculateRollLayout,
+} from "../utils/posterLayout.js";
+import {
+  resolveLayout,
+  getPartsInfo,
+  getSourceExportSize,
+} from "../utils/posterParts.js";
+import {
+  analyzeImageContent,
+  resolveOutputFormat,
+  createEncoding,
+  encodeCanvasToDataURL,
+} from "../utils/imageEncoding.js";
+import { getPattern } from "../utils/patternRegistry.js";
+import { drawResampled } from "../utils/resample.js";
+import {
+  DEFAULT_SETTINGS,
+  LENGTH_UNITS,
+  TARGET_ORIENTATIONS,
+  ROLL_DIRECTIONS,
+} from "../utils/constants.js";
+
+// Lado mayor de la muestra usada para clasificar la imagen
+const SAMPLE_SIZE = 1024;
+// Lado mayor de la miniatura de la portada
+const THUMBNAIL_SIZE = 1200;
+
+/**
+ * Carga la implementación de canvas por defecto
+ * @returns {Promise<Object>} {createCanvas(width, height), loadImage(buffer)}
+ */
+export const loadDefaultCanvas = async () => {
+  try {
+    return await import("@napi-rs/canvas");
+  } catch {
+    throw new Error(
+      "No se encontró @napi-rs/canvas: instálalo o pasa options.canvas con createCanvas y loadImage"
+    );
+  }
+};
+
+/**
+ * Rechaza las opciones que producirían un PDF inservible antes de cargar
+ * la imagen: la interfaz solo ofrece valores válidos, pero aquí llegan
+ * escritos a mano
+ * @param {Object} options - {dpi, margin, target, roll}
+ */
+const validateOptions = ({ dpi, margin, target, roll }) => {
+  if (!(dpi > 0)) {
+    throw new Error("Los DPI deben ser mayores que cero");
+  }
+  if (!(margin >= 0)) {
+    throw new Error("El margen no puede ser negativo");
+  }
+  if (target && !(target.value > 0)) {
+    throw new Error("El tamaño final debe ser mayor que cero");
+  }
+  const unit = target && target.unit;
+  if (unit && !LENGTH_UNITS[unit]) {
+    throw new Error(
+      `Unidad no soportada: ${unit} (${Object.keys(LENGTH_UNITS).join(", ")})`
+    );
+  }
+  const orientation = target && target.orientation;
+  if (orientation && !TARGET_ORIENTATIONS[orientation]) {
+    throw new Error(
+      `Orientación no soportada: ${orientation} (${Object.keys(
+        TARGET_ORIENTATIONS
+      ).join(", ")})`
+    );
+  }
+  const direction = roll && roll.direction;
+  if (direction && !ROLL_DIRECTIONS[direction]) {
+    throw new Error(
+      `Sentido de tiras no soportado: ${direction} (${Object.keys(
+        ROLL_DIRECTIONS
+      ).join(", ")})`
+    );
+  }
+};
+
+/**
+ * Calcula el layout según el modo: tiras de rollo, tamaño final o patrón
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ * @param {Object} options - {pattern, target, roll, margin, overlap, printer}
+ * @returns {Object} Layout físico
+ */
+const calculateLayout = (
+  imageInfo,
+  { pattern, target, roll, margin, overlap, printer }
+) => {
+  if (roll) {
+    if (!target) {
+      throw new Error("El modo rollo necesita el tamaño final (target)");
+    }
+    return calculateRollLayout(imageInfo, target, {
+      ...roll,
+      margin,
+      overlap,
+      printer,
+    });
+  }
+  if (target) {
+    return calculateTargetLayout(imageInfo, target, {
+      paperSize: target.paperSize,
+      margin,
+      overlap,
+      printer,
+    });
+  }
+  // La interfaz solo ofrece patrones registrados; aquí la clave llega escrita
+  if (typeof pattern === "string" && !getPattern(pattern)) {
+    throw new Error(`Patrón no soportado: ${pattern}`);
+  }
+  return resolveLayout(imageInfo, pattern, { margin, overlap, printer });
+};
+
+/**
+ * Reduce la imagen para clasificarla o para la miniatura
+ * @param {Object} image - Imagen cargada por canvas.loadImage
+ * @param {number} maxSize - Lado mayor en px
+ * @param {Function} createCanvas - (width, height) => canvas
+ * @returns {Object} Canvas reducido
+ */
+const createSample = (image, maxSize, createCanvas) => {
+  const scale = Math.min(maxSize / image.width, maxSize / image.height, 1);
+  const sample = createCanvas(
+    Math.max(Math.floor(image.width * scale), 1),
+    Math.max(Math.floor(image.height * scale), 1)
+  );
+  const ctx = sample.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(image, 0, 0, sample.width, sample.height);
+  return sample;
+};
+
+/**
+ * Genera el PDF de un póster a partir de los bytes de una imagen.
+ * La configuración es la misma que guarda la interfaz: options.pattern
+ * (clave del registro de patrones) o options.target {dimension, value,
+ * unit, paperSize, orientation} para el tamaño final, que junto con
+ * options.roll {rollSize, direction} imprime en rollo. options.pdfOptions
+ * pasa al generador (marks, addPageNumbers, addNeighborLabels, addMiniMap,
+ * printer) y options.coverPage agrega el mapa de montaje
+ * @param {Buffer|Uint8Array} imageBuffer - Imagen PNG, JPEG u otro formato que lea el canvas
+ * @param {Object} options - {canvas {createCanvas, loadImage}, pattern, target, roll, dpi, margin, overlap, encoding {format, quality}, embedMode: 'shared'|'tiles', coverPage, pdfOptions, onProgress}
+ * @returns {Promise<Object>} {bytes (Uint8Array), layout, parts}
+ */
+export const createPosterPdf = async (imageBuffer, options = {}) => {
+  const {
+    pattern = DEFAULT_SETTINGS.divisionPattern,
+    target = null,
+    roll = null,
+    dpi = DEFAULT_SETTINGS.dpi,
+    margin = DEFAULT_SETTINGS.margin,
+    overlap = DEFAULT_SETTINGS.overlap,
+    embedMode = "shared",
+    coverPage = false,
+    pdfOptions = {},
+    onProgress = () => {},
+  } = options;
+
+  validateOptions({ dpi, margin, target, roll });
+  const { format, quality } = createEncoding(options.encoding);
+
+  const canvas = options.canvas || (await loadDefaultCanvas());
+  const createCanvas = (width, height) => canvas.createCanvas(width, height);
+
+  let image;
+  try {
+    image = await canvas.loadImage(imageBuffer);
+  } catch (error) {
+    throw new Error(`No se pudo cargar la imagen: ${error.message}`);
+  }
+  const imageInfo = { width: image.width, height: image.height };
+
+  // El perfil de impresora puede exigir un margen mayor que el pedido
+  const layout = calculateLayout(imageInfo, {
+    pattern,
+    target,
+    roll,
+    margin,
+    overlap,
+    printer: pdfOptions.printer,
+  });
+
+  // 'auto' elige JPEG para fotos y PNG para gráficos, como en la interfaz
+  let analysis = null;
+  if (format === "auto") {
+    const sample = createSample(image, SAMPLE_SIZE, createCanvas);
+    analysis = analyzeImageContent(
+      sample.getContext("2d").getImageData(0, 0, sample.width, sample.height)
+    );
+  }
+  const encoding = { format: resolveOutputFormat(format, analysis), quality };
+
+  const renderRegion = (source, width, height) => {
+    const output = createCanvas(width, height);
+    drawResampled(output, image, source, width, height, createCanvas);
+    return encodeCanvasToDataURL(output, encoding, createCanvas);
+  };
+
+  const sourceSize =
+    embedMode === "shared" ? getSourceExportSize(layout, imageInfo, dpi) : null;
+  // Con la imagen compartida todas las partes usan su resolución
+  const parts = getPartsInfo(layout, dpi).map((part) =>
+    sourceSize ? { ...part, dpi: sourceSize.dpi } : part
+  );
+
+  // El paso se informa antes de dibujar la imagen compartida, que es lo
+  // que tarda; el generador no lo repite
+  onProgress({ step: "prepare", current: 0, total: parts.length });
+  let source = null;
+  if (sourceSize) {
+    source = {
+      ...sourceSize,
+      dataURL: renderRegion(
+        { x: 0, y: 0, ...imageInfo },
+        sourceSize.width,
+        sourceSize.height
+      ),
+    };
+  }
+
+  const bytes = await new PDFGenerator().generatePDF(parts, {
+    paperSize: layout.paperSize,
+    pattern: layout,
+    margins: layout.margin,
+    ...pdfOptions,
+    // Con la imagen compartida la portada no necesita miniatura propia
+    coverPage: coverPage
+      ? source
+        ? {}
+        : {
+            thumbnail: encodeCanvasToDataURL(
+              createSample(image, THUMBNAIL_SIZE, createCanvas),
+              encoding,
+              createCanvas
+            ),
+          }
+      : null,
+    source,
+    onProgress: (progress) => {
+      if (progress.step !== "prepare") onProgress(progress);
+    },
+    renderPart: (part) =>
+      renderRegion(part.source, part.dimensions.width, part.dimensions.height),
+  });
+
+  return { bytes, layout, parts };
+};
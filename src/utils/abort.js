@@ -0,0 +1,21 @@
+// src/utils/abort.js
+
+/**
+ * Crea el error que se lanza al cancelar una operación
+ * @returns {Error} Error con name 'AbortError'
+ */
+export const createAbortError = () => {
+  const error = new Error("Exportación cancelada");
+  error.name = "AbortError";
+  return error;
+};
+
+/**
+ * Lanza un AbortError si la señal ya fue cancelada
+ * @param {AbortSignal|null} signal - Señal de cancelación
+ */
+export const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+};
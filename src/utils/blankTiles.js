@@ -0,0 +1,89 @@
+// src/utils/blankTiles.js
+import { BLANK_TILE_TOLERANCE, BLANK_CHECK_PIXELS } from "./constants.js";
+
+/**
+ * Cuenta los píxeles con contenido (ni transparentes ni blancos dentro de la
+ * tolerancia) de un área de una imagen
+ * @param {ImageData|Object} imageData - {width, height, data} RGBA
+ * @param {Object} rect - Área {x, y, width, height} en px de imageData
+ * @param {Object} tolerance - {color, ink} (ver BLANK_TILE_TOLERANCE)
+ * @param {number} limit - Deja de contar al superar este número
+ * @returns {number}
+ */
+export const countInk = (
+  { width, height, data },
+  rect,
+  tolerance = BLANK_TILE_TOLERANCE,
+  limit = Infinity
+) => {
+  const left = Math.max(Math.floor(rect.x), 0);
+  const top = Math.max(Math.floor(rect.y), 0);
+  const right = Math.min(Math.ceil(rect.x + rect.width), width);
+  const bottom = Math.min(Math.ceil(rect.y + rect.height), height);
+  const minValue = 255 - tolerance.color;
+  let ink = 0;
+
+  for (let y = top; y < bottom; y++) {
+    for (let x = left; x < right; x++) {
+      const offset = (y * width + x) * 4;
+      const transparent = data[offset + 3] <= tolerance.color;
+      const white =
+        data[offset] >= minValue &&
+        data[offset + 1] >= minValue &&
+        data[offset + 2] >= minValue;
+
+      if (!transparent && !white && ++ink > limit) {
+        return ink;
+      }
+    }
+  }
+  return ink;
+};
+
+/**
+ * Indica si un área de una imagen está vacía: transparente o blanca dentro
+ * de la tolerancia
+ * @param {ImageData|Object} imageData - {width, height, data} RGBA
+ * @param {Object} rect - Área {x, y, width, height} en px de imageData
+ * @param {Object} tolerance - {color, ink} (ver BLANK_TILE_TOLERANCE)
+ * @returns {boolean}
+ */
+export const isBlankRegion = (
+  imageData,
+  rect,
+  tolerance = BLANK_TILE_TOLERANCE
+) => {
+  return countInk(imageData, rect, tolerance, tolerance.ink) <= tolerance.ink;
+};
+
+/**
+ * Confirma a resolución completa que un área está vacía. En una muestra
+ * reducida una línea fina o una marca chica se promedia con el blanco que
+ * la rodea y desaparece, así que una parte solo se descarta si tampoco
+ * tiene contenido aquí. Se lee por franjas para no reservar la parte
+ * entera de una vez
+ * @param {Object} source - Área {x, y, width, height} en px de la imagen
+ * @param {Function} readRows - (y, rows) => ImageData con rows filas del área desde la fila y
+ * @param {Object} tolerance - {color, ink} (ver BLANK_TILE_TOLERANCE)
+ * @returns {boolean}
+ */
+export const isBlankSource = (
+  source,
+  readRows,
+  tolerance = BLANK_TILE_TOLERANCE
+) => {
+  const band = Math.max(Math.floor(BLANK_CHECK_PIXELS / source.width), 1);
+  let ink = 0;
+
+  for (let y = 0; y < source.height; y += band) {
+    const rows = Math.min(band, source.height - y);
+    ink += countInk(
+      readRows(y, rows),
+      { x: 0, y: 0, width: source.width, height: rows },
+      tolerance,
+      tolerance.ink - ink
+    );
+    if (ink > tolerance.ink) return false;
+  }
+  return true;
+};
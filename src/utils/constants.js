@@ -1,20 +1,72 @@
 // src/utils/constants.js
 
+// Crea un tamaño de papel (medidas en mm, vertical) con su equivalente a 300 DPI
+const paper = (name, width, height, group) => ({
+  name,
+  width, // mm
+  height, // mm
+  widthPx: Math.round((width * 300) / 25.4), // px a 300 DPI
+  heightPx: Math.round((height * 300) / 25.4), // px a 300 DPI
+  group,
+});
+
+export const PAPER_GROUPS = {
+  iso_a: "ISO A",
+  iso_b: "ISO B",
+  ansi: "ANSI / EE. UU.",
+  photo: "Fotografía",
+  custom: "Personalizado",
+};
+
 export const PAPER_SIZES = {
-  A4: {
-    name: "A4",
-    width: 210, // mm
-    height: 297, // mm
-    widthPx: 2480, // px a 300 DPI
-    heightPx: 3508, // px a 300 DPI
-  },
-  A3: {
-    name: "A3",
-    width: 297, // mm
-    height: 420, // mm
-    widthPx: 3508, // px a 300 DPI
-    heightPx: 4961, // px a 300 DPI
-  },
+  A0: paper("A0", 841, 1189, "iso_a"),
+  A1: paper("A1", 594, 841, "iso_a"),
+  A2: paper("A2", 420, 594, "iso_a"),
+  A3: paper("A3", 297, 420, "iso_a"),
+  A4: paper("A4", 210, 297, "iso_a"),
+  A5: paper("A5", 148, 210, "iso_a"),
+  A6: paper("A6", 105, 148, "iso_a"),
+  B0: paper("B0", 1000, 1414, "iso_b"),
+  B1: paper("B1", 707, 1000, "iso_b"),
+  B2: paper("B2", 500, 707, "iso_b"),
+  B3: paper("B3", 353, 500, "iso_b"),
+  B4: paper("B4", 250, 353, "iso_b"),
+  B5: paper("B5", 176, 250, "iso_b"),
+  LETTER: paper("Letter", 215.9, 279.4, "ansi"),
+  LEGAL: paper("Legal", 215.9, 355.6, "ansi"),
+  TABLOID: paper("Tabloid", 279.4, 431.8, "ansi"),
+  ANSI_C: paper("ANSI C", 431.8, 558.8, "ansi"),
+  ANSI_D: paper("ANSI D", 558.8, 863.6, "ansi"),
+  ANSI_E: paper("ANSI E", 863.6, 1117.6, "ansi"),
+  PHOTO_10x15: paper("Foto 10×15 cm (4×6\")", 101.6, 152.4, "photo"),
+  PHOTO_13x18: paper("Foto 13×18 cm (5×7\")", 127, 177.8, "photo"),
+  PHOTO_20x25: paper("Foto 20×25 cm (8×10\")", 203.2, 254, "photo"),
+};
+
+// Rollos de plotter: ancho fijo y largo variable (mm)
+export const ROLL_SIZES = {
+  ROLL_610: { name: 'Rollo 610 mm (24")', width: 610 },
+  ROLL_914: { name: 'Rollo 914 mm (36")', width: 914 },
+};
+
+// Sentido de las tiras al imprimir en rollo
+export const ROLL_DIRECTIONS = {
+  vertical: "Tiras verticales (a lo alto del póster)",
+  horizontal: "Tiras horizontales (a lo ancho del póster)",
+};
+
+export const DEFAULT_ROLL = {
+  rollSize: "ROLL_610",
+  direction: "vertical",
+};
+
+// Lado máximo de una página PDF (200 pulgadas) en mm
+export const MAX_PAGE_LENGTH = 5080;
+
+// Límites para papel personalizado en mm
+export const CUSTOM_PAPER_LIMITS = {
+  min: 50,
+  max: 5000,
 };
 //esto es comentario de prueba
 export const DPI_OPTIONS = [
@@ -23,6 +75,39 @@ export const DPI_OPTIONS = [
   { value: 600, label: "600 DPI - Alta calidad" },
 ];
 
+// Niveles de calidad según los DPI efectivos de la imagen impresa
+export const QUALITY_LEVELS = [
+  { key: "excellent", label: "Excelente", minDpi: 300 },
+  { key: "good", label: "Buena", minDpi: 200 },
+  { key: "acceptable", label: "Aceptable", minDpi: 150 },
+  { key: "low", label: "Baja", minDpi: 0 },
+];
+
+export const MIN_EFFECTIVE_DPI = 150;
+
+// Orientación de las hojas en el modo de tamaño final
+export const TARGET_ORIENTATIONS = {
+  auto: "Automática (menos hojas)",
+  portrait: "Vertical",
+  landscape: "Horizontal",
+};
+
+// Objetivo del buscador de layouts: un tamaño final fijo o el póster más
+// grande que mantiene un DPI mínimo
+export const OPTIMIZER_GOALS = {
+  size: "El tamaño final indicado",
+  dpi: "Lo más grande posible con un DPI mínimo",
+};
+
+// Criterios para ordenar los layouts encontrados
+export const OPTIMIZER_SORTS = {
+  sheets: "Menos hojas",
+  waste: "Menos papel desperdiciado",
+};
+
+// Layouts que muestra el buscador
+export const MAX_LAYOUT_SUGGESTIONS = 6;
+
 export const DIVISION_PATTERNS = {
   A4_2x1: {
     name: "2 Hojas A4 (Vertical)",
@@ -110,9 +195,179 @@ export const DEFAULT_SETTINGS = {
   paperSize: "A4",
   divisionPattern: "A4_2x2",
   margin: 10, // mm
+  overlap: 0, // mm
   quality: 0.9,
+  outputFormat: "auto",
+};
+
+// Codificación de las imágenes dentro del PDF
+export const OUTPUT_FORMATS = {
+  auto: "Automático (JPEG para fotos, PNG para gráficos)",
+  png: "PNG sin pérdida",
+  jpeg: "JPEG",
+};
+
+// Pasos de la generación del PDF que se informan como progreso
+export const EXPORT_STEPS = {
+  prepare: "Preparando imagen",
+  cover: "Creando mapa de montaje",
+  page: "Agregando hoja",
+  save: "Guardando PDF",
+};
+
+// Límite de tamaño del PDF para subirlo a la imprenta
+export const MAX_PDF_SIZE = 25 * 1024 * 1024; // 25MB
+
+// Una hoja se considera en blanco si casi todos sus píxeles son transparentes
+// o blancos: color es la distancia máxima al blanco (o la opacidad máxima) en
+// 0-255 e ink la cantidad de píxeles con contenido que se tolera (motas
+// sueltas). Es un número fijo y no una proporción para que una línea fina en
+// una hoja grande siga contando como contenido
+export const BLANK_TILE_TOLERANCE = { color: 12, ink: 16 };
+
+// Píxeles que se leen por vez al revisar una hoja a resolución completa
+export const BLANK_CHECK_PIXELS = 4 * 1024 * 1024;
+
+// Motivos por los que una parte no se imprime, tal como se indican en el mapa
+export const OMITTED_PART_LABELS = {
+  blank: "En blanco, no se imprime",
+  excluded: "No incluida en esta impresión",
+};
+
+// Tamaños habituales para la hoja de fotos (varias fotos en una hoja), en mm
+export const PHOTO_SIZES = {
+  ID_35x45: { name: "Foto carné 35 × 45 mm", width: 35, height: 45 },
+  PASSPORT_2x2: { name: "Pasaporte EE. UU. 2 × 2 in", width: 50.8, height: 50.8 },
+  STICKER_50: { name: "Sticker 50 × 50 mm", width: 50, height: 50 },
+  PRINT_9x13: { name: "Foto 9 × 13 cm", width: 90, height: 130 },
+  PRINT_10x15: { name: "Foto 10 × 15 cm", width: 100, height: 150 },
+};
+
+// Cómo se adapta cada imagen al tamaño de la foto
+export const PHOTO_FIT_MODES = {
+  fill: "Recortar al centro para llenar la foto",
+  fit: "Imagen completa con bordes blancos",
 };
 
+export const DEFAULT_PHOTO_SHEET = {
+  photoSize: "ID_35x45",
+  spacing: 2, // mm
+  copies: 0, // 0 llena la hoja
+  fit: "fill",
+  allowRotate: true,
+  cutLines: true,
+};
+
+// Imágenes que admite la cola del modo por lotes
+export const MAX_BATCH_FILES = 30;
+
+// Estados de cada imagen de la cola por lotes
+export const BATCH_STATUS = {
+  pending: "En cola",
+  processing: "Procesando",
+  done: "Listo",
+  error: "Error",
+};
+
+// Salidas posibles del modo por lotes
+export const BATCH_OUTPUTS = {
+  combined: "Un solo PDF con un marcador por imagen",
+  separate: "Un PDF por imagen",
+};
+
+// Perfil de impresora sin corrección: sin márgenes físicos ni error de escala
+export const DEFAULT_PRINTER_PROFILE = {
+  name: "Sin calibrar",
+  margins: { top: 0, right: 0, bottom: 0, left: 0 },
+  scale: { x: 1, y: 1 },
+};
+
+// Página de prueba para calibrar la impresora (mm)
+export const CALIBRATION_PAGE = {
+  paperSize: "A4",
+  squareSize: 100,
+  rulerLength: 30,
+};
+
+// Valores aceptados al guardar una calibración
+export const CALIBRATION_LIMITS = {
+  maxMargin: 30, // mm
+  minScale: 0.9,
+  maxScale: 1.1,
+};
+
+export const LENGTH_UNITS = {
+  mm: { label: "mm", mm: 1 },
+  cm: { label: "cm", mm: 10 },
+  in: { label: "pulgadas", mm: 25.4 },
+};
+
+export const MAX_SHEETS = 100;
+export const MAX_GRID_SIZE = 10; // filas o columnas en patrones personalizados
+
+// Marcas de impresión: tamaños en mm, grosor en puntos
+export const MARK_DEFAULTS = {
+  cropMarks: {
+    label: "Marcas de corte en esquinas",
+    enabled: true,
+    color: "#808080",
+    thickness: 0.5,
+    length: 5,
+  },
+  registration: {
+    label: "Cruces de registro en solapamientos",
+    enabled: true,
+    color: "#000000",
+    thickness: 0.5,
+    size: 4,
+  },
+  trimLines: {
+    label: "Líneas de corte discontinuas",
+    enabled: false,
+    color: "#999999",
+    thickness: 0.5,
+    dash: 2,
+  },
+  assemblyHints: {
+    label: "Indicaciones de cortar y pegar",
+    enabled: true,
+    color: "#666666",
+    thickness: 0.5,
+    fontSize: 7,
+  },
+};
+
+// Cómo se adapta la imagen a la proporción del póster
+export const FIT_MODES = {
+  original: "Original (el póster sigue a la imagen)",
+  fit: "Ajustar (imagen completa con bandas)",
+  fill: "Rellenar (recorta lo que sobra)",
+  stretch: "Estirar (deforma la imagen)",
+};
+
+// Transformación inicial de la imagen: recorte en px de la imagen original,
+// rotación en grados, zoom relativo y desplazamiento como fracción del marco
+export const DEFAULT_TRANSFORM = {
+  crop: null,
+  rotation: 0,
+  flipH: false,
+  flipV: false,
+  zoom: 1,
+  pan: { x: 0, y: 0 },
+  fitMode: "original",
+};
+
+// Límites de la transformación: zoom relativo y desplazamiento como fracción
+// del marco (con 0.5 el centro de la imagen llega al borde y nunca sale)
+export const TRANSFORM_LIMITS = {
+  zoom: { min: 0.1, max: 4 },
+  pan: 0.5,
+};
+
+// Límites de los canvas del navegador
+export const MAX_CANVAS_SIZE = 16384; // px por lado
+export const MAX_CANVAS_AREA = 120 * 1024 * 1024; // px totales
+
 export const MARGINS = {
   small: 5, // mm
   medium: 10, // mm
@@ -128,6 +383,23 @@ export const convertPxToMm = (px, dpi = 300) => {
   return (px * 25.4) / dpi;
 };
 
+export const convertMmToPt = (mm) => {
+  return (mm * 72) / 25.4;
+};
+
+export const convertToMm = (value, unit = "cm") => {
+  return value * LENGTH_UNITS[unit].mm;
+};
+
+export const parseHexColor = (hex) => {
+  const value = parseInt(hex.replace("#", ""), 16);
+  return {
+    r: ((value >> 16) & 255) / 255,
+    g: ((value >> 8) & 255) / 255,
+    b: (value & 255) / 255,
+  };
+};
+
 export const formatFileSize = (bytes) => {
   if (bytes === 0) return "0 Bytes";
 
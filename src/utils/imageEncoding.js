@@ -0,0 +1,140 @@
+// src/utils/imageEncoding.js
+import { DEFAULT_SETTINGS, OUTPUT_FORMATS } from "./constants.js";
+
+// Píxeles máximos que se revisan para clasificar la imagen
+const MAX_SAMPLES = 65536;
+// Con menos colores distintos se considera un gráfico o dibujo de líneas
+const LINE_ART_MAX_COLORS = 256;
+// Proporción de píxeles iguales a su vecino a partir de la cual hay zonas planas
+const LINE_ART_FLAT_RATIO = 0.6;
+
+/**
+ * Clasifica el contenido de una imagen para elegir su codificación
+ * @param {ImageData|Object} imageData - {width, height, data} RGBA
+ * @returns {Object} {hasTransparency, colorCount, flatRatio, isPhoto}
+ */
+export const analyzeImageContent = ({ width, height, data }) => {
+  const total = width * height;
+  const step = Math.max(Math.floor(total / MAX_SAMPLES), 1);
+  const colors = new Set();
+  let hasTransparency = false;
+  let flat = 0;
+  let compared = 0;
+
+  for (let index = 0; index < total; index += step) {
+    const offset = index * 4;
+    if (data[offset + 3] < 255) {
+      hasTransparency = true;
+    }
+
+    const color =
+      (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+    if (colors.size <= LINE_ART_MAX_COLORS) {
+      colors.add(color);
+    }
+
+    // Comparar con el píxel de la derecha en la misma fila
+    if ((index + 1) % width !== 0) {
+      compared++;
+      if (
+        data[offset] === data[offset + 4] &&
+        data[offset + 1] === data[offset + 5] &&
+        data[offset + 2] === data[offset + 6]
+      ) {
+        flat++;
+      }
+    }
+  }
+
+  const flatRatio = compared ? flat / compared : 1;
+
+  return {
+    hasTransparency,
+    colorCount: colors.size,
+    flatRatio,
+    isPhoto:
+      colors.size > LINE_ART_MAX_COLORS && flatRatio < LINE_ART_FLAT_RATIO,
+  };
+};
+
+/**
+ * Elige la codificación de salida: PNG conserva transparencias y bordes
+ * nítidos; JPEG reduce mucho el tamaño de las fotos
+ * @param {string} format - Clave de OUTPUT_FORMATS
+ * @param {Object|null} analysis - Resultado de analyzeImageContent
+ * @returns {string} 'png' o 'jpeg'
+ */
+export const resolveOutputFormat = (format, analysis) => {
+  if (format !== "auto") {
+    return format;
+  }
+  return analysis && analysis.isPhoto && !analysis.hasTransparency
+    ? "jpeg"
+    : "png";
+};
+
+/**
+ * Normaliza las opciones de codificación
+ * @param {Object} encoding - {format, quality (0-1)}
+ * @returns {Object} {format, quality}
+ */
+export const createEncoding = (encoding = {}) => {
+  const {
+    format = DEFAULT_SETTINGS.outputFormat,
+    quality = DEFAULT_SETTINGS.quality,
+  } = encoding;
+
+  if (!OUTPUT_FORMATS[format]) {
+    throw new Error(`Formato de salida no soportado: ${format}`);
+  }
+  if (!(quality > 0 && quality <= 1)) {
+    throw new Error("La calidad JPEG debe estar entre 0 y 1");
+  }
+
+  return { format, quality };
+};
+
+/**
+ * Obtiene el tipo MIME de una codificación resuelta
+ * @param {string} format - 'png' o 'jpeg'
+ * @returns {string}
+ */
+export const getMimeType = (format) =>
+  format === "jpeg" ? "image/jpeg" : "image/png";
+
+/**
+ * Calcula los bytes de datos de un data URL en base64
+ * @param {string} dataURL - Data URL
+ * @returns {number}
+ */
+export const getDataURLSize = (dataURL) => {
+  const data = dataURL.slice(dataURL.indexOf(",") + 1);
+  const padding = data.endsWith("==") ? 2 : data.endsWith("=") ? 1 : 0;
+  return (data.length * 3) / 4 - padding;
+};
+
+/**
+ * Codifica un canvas como data URL. JPEG no admite transparencia, así que
+ * se compone sobre blanco, el color del papel. Sirve para cualquier canvas
+ * con toDataURL: el del DOM o el de una implementación para Node
+ * @param {Object} canvas - Canvas a codificar
+ * @param {Object} encoding - Codificación resuelta {format, quality}
+ * @param {Function} createCanvas - (width, height) => canvas para aplanar el JPEG
+ * @returns {string}
+ */
+export const encodeCanvasToDataURL = (
+  canvas,
+  { format, quality },
+  createCanvas
+) => {
+  if (format !== "jpeg") {
+    return canvas.toDataURL(getMimeType(format));
+  }
+
+  const flattened = createCanvas(canvas.width, canvas.height);
+  const ctx = flattened.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, flattened.width, flattened.height);
+  ctx.drawImage(canvas, 0, 0);
+  return flattened.toDataURL(getMimeType(format), quality);
+};
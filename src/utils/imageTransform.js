@@ -0,0 +1,213 @@
+// src/utils/imageTransform.js
+import {
+  DEFAULT_TRANSFORM,
+  TRANSFORM_LIMITS,
+  FIT_MODES,
+  MAX_CANVAS_SIZE,
+  MAX_CANVAS_AREA,
+} from "./constants.js";
+
+/**
+ * Limita un valor a un rango
+ * @param {number} value - Valor
+ * @param {number} min - Mínimo
+ * @param {number} max - Máximo
+ * @returns {number}
+ */
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Crea una transformación completa a partir de valores parciales. El zoom
+ * y el desplazamiento se limitan a TRANSFORM_LIMITS
+ * @param {Object} overrides - Valores a cambiar sobre DEFAULT_TRANSFORM
+ * @returns {Object} Transformación independiente de la original
+ */
+export const createTransform = (overrides = {}) => {
+  const transform = { ...DEFAULT_TRANSFORM, ...overrides };
+
+  if (!FIT_MODES[transform.fitMode]) {
+    throw new Error(`Modo de ajuste no soportado: ${transform.fitMode}`);
+  }
+  if (!(transform.zoom > 0)) {
+    throw new Error("El zoom debe ser mayor que cero");
+  }
+
+  const { zoom, pan } = TRANSFORM_LIMITS;
+  const { x, y } = { ...DEFAULT_TRANSFORM.pan, ...transform.pan };
+  return {
+    ...transform,
+    rotation: normalizeAngle(Number(transform.rotation) || 0),
+    crop: transform.crop ? { ...transform.crop } : null,
+    zoom: clamp(transform.zoom, zoom.min, zoom.max),
+    pan: {
+      x: clamp(Number(x) || 0, -pan, pan),
+      y: clamp(Number(y) || 0, -pan, pan),
+    },
+  };
+};
+
+/**
+ * Lleva un ángulo al rango (-180, 180]
+ * @param {number} angle - Ángulo en grados
+ * @returns {number}
+ */
+export const normalizeAngle = (angle) => {
+  const normalized = ((angle % 360) + 360) % 360;
+  return normalized > 180 ? normalized - 360 : normalized;
+};
+
+/**
+ * Indica si la transformación deja la imagen tal cual
+ * @param {Object} transform - Transformación
+ * @returns {boolean}
+ */
+export const isIdentityTransform = (transform) => {
+  const { crop, rotation, flipH, flipV, zoom, pan, fitMode } = transform;
+  return (
+    !crop &&
+    rotation === 0 &&
+    !flipH &&
+    !flipV &&
+    zoom === 1 &&
+    pan.x === 0 &&
+    pan.y === 0 &&
+    fitMode === "original"
+  );
+};
+
+/**
+ * Ajusta el recorte a los límites de la imagen; sin recorte se usa entera
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ * @param {Object|null} crop - {x, y, width, height} en px
+ * @returns {Object} Recorte válido en px enteros
+ */
+export const getCropRect = (imageInfo, crop) => {
+  if (!crop) {
+    return { x: 0, y: 0, width: imageInfo.width, height: imageInfo.height };
+  }
+
+  const x = Math.min(Math.max(Math.round(crop.x), 0), imageInfo.width - 1);
+  const y = Math.min(Math.max(Math.round(crop.y), 0), imageInfo.height - 1);
+  const right = Math.min(Math.round(crop.x + crop.width), imageInfo.width);
+  const bottom = Math.min(Math.round(crop.y + crop.height), imageInfo.height);
+
+  return {
+    x,
+    y,
+    width: Math.max(right - x, 1),
+    height: Math.max(bottom - y, 1),
+  };
+};
+
+/**
+ * Calcula la caja que ocupa un rectángulo girado
+ * @param {Object} size - {width, height}
+ * @param {number} angle - Ángulo en grados
+ * @returns {Object} {width, height}
+ */
+export const getRotatedSize = ({ width, height }, angle) => {
+  const radians = (angle * Math.PI) / 180;
+  // Redondear evita cajas de 1e-13 px de más en los giros de 90°
+  const cos = Math.abs(Number(Math.cos(radians).toFixed(12)));
+  const sin = Math.abs(Number(Math.sin(radians).toFixed(12)));
+  return {
+    width: width * cos + height * sin,
+    height: width * sin + height * cos,
+  };
+};
+
+/**
+ * Calcula el marco de salida y cómo se coloca la imagen dentro de él.
+ * El marco conserva la resolución de la imagen recortada y girada; con
+ * fit, fill y stretch toma la proporción del póster
+ * @param {Object} imageInfo - {width, height} de la imagen original en px
+ * @param {Object} transform - Transformación (createTransform)
+ * @param {number|null} frameAspect - Proporción ancho/alto del póster; null la ignora
+ * @returns {Object} {crop, width, height, centerX, centerY, scaleX, scaleY, angle, flipH, flipV}
+ */
+export const getTransformGeometry = (imageInfo, transform, frameAspect = null) => {
+  const crop = getCropRect(imageInfo, transform.crop);
+  const rotated = getRotatedSize(crop, transform.rotation);
+  const rotatedAspect = rotated.width / rotated.height;
+  const fitMode = frameAspect ? transform.fitMode : "original";
+
+  let width = rotated.width;
+  let height = rotated.height;
+  let scaleY = 1;
+
+  if (fitMode === "fit") {
+    // El marco contiene la imagen entera
+    if (rotatedAspect > frameAspect) {
+      height = width / frameAspect;
+    } else {
+      width = height * frameAspect;
+    }
+  } else if (fitMode === "fill") {
+    // La imagen cubre el marco entero
+    if (rotatedAspect > frameAspect) {
+      width = height * frameAspect;
+    } else {
+      height = width / frameAspect;
+    }
+  } else if (fitMode === "stretch") {
+    height = width / frameAspect;
+    scaleY = height / rotated.height;
+  }
+
+  // Respetar los límites del canvas reduciendo la resolución si hace falta
+  const limit = Math.min(
+    MAX_CANVAS_SIZE / width,
+    MAX_CANVAS_SIZE / height,
+    Math.sqrt(MAX_CANVAS_AREA / (width * height)),
+    1
+  );
+
+  const outputWidth = Math.max(Math.round(width * limit), 1);
+  const outputHeight = Math.max(Math.round(height * limit), 1);
+
+  return {
+    crop,
+    width: outputWidth,
+    height: outputHeight,
+    centerX: outputWidth * (0.5 + transform.pan.x),
+    centerY: outputHeight * (0.5 + transform.pan.y),
+    scaleX: limit * transform.zoom,
+    scaleY: scaleY * limit * transform.zoom,
+    angle: (transform.rotation * Math.PI) / 180,
+    flipH: transform.flipH,
+    flipV: transform.flipV,
+  };
+};
+
+/**
+ * Dibuja la imagen transformada en un contexto 2D cuyo canvas mide
+ * geometry.width × geometry.height multiplicado por scale
+ * @param {CanvasRenderingContext2D} ctx - Contexto de destino
+ * @param {CanvasImageSource} image - Imagen original o una copia reducida
+ * @param {Object} geometry - Resultado de getTransformGeometry
+ * @param {Object} options - {scale, sourceScale: tamaño de image respecto a la original}
+ */
+export const drawTransformed = (ctx, image, geometry, options = {}) => {
+  const { scale = 1, sourceScale = 1 } = options;
+  const { crop } = geometry;
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.translate(geometry.centerX * scale, geometry.centerY * scale);
+  ctx.scale(geometry.scaleX * scale, geometry.scaleY * scale);
+  ctx.rotate(geometry.angle);
+  ctx.scale(geometry.flipH ? -1 : 1, geometry.flipV ? -1 : 1);
+  ctx.drawImage(
+    image,
+    crop.x * sourceScale,
+    crop.y * sourceScale,
+    crop.width * sourceScale,
+    crop.height * sourceScale,
+    -crop.width / 2,
+    -crop.height / 2,
+    crop.width,
+    crop.height
+  );
+  ctx.restore();
+};
@@ -0,0 +1,152 @@
+// src/utils/layoutOptimizer.js
+import {
+  MIN_EFFECTIVE_DPI,
+  MAX_SHEETS,
+  MAX_LAYOUT_SUGGESTIONS,
+} from "./constants.js";
+import { getAllPaperSizes, getPaperSize } from "./paperRegistry.js";
+import {
+  calculatePosterSize,
+  normalizeOverlap,
+  getSheetGrid,
+  getLayoutMargin,
+} from "./posterLayout.js";
+import { getQualityLevel } from "./qualityAnalysis.js";
+
+/**
+ * Calcula el tamaño final que se busca: el indicado o, con un DPI mínimo,
+ * el póster más grande que lo mantiene (redondeado hacia abajo al mm)
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ * @param {Object} goal - {type: 'size'|'dpi', target {dimension, value, unit}, minDpi}
+ * @returns {Object} {target, posterSize} listos para el modo de tamaño final
+ */
+export const getGoalPosterSize = (imageInfo, goal) => {
+  if (goal.type !== "dpi") {
+    return {
+      target: goal.target,
+      posterSize: calculatePosterSize(imageInfo, goal.target),
+    };
+  }
+
+  const minDpi = Number(goal.minDpi);
+  if (!(minDpi > 0)) {
+    throw new Error("El DPI mínimo debe ser mayor que cero");
+  }
+
+  const widthCm = Math.floor((imageInfo.width * 25.4) / minDpi) / 10;
+  const target = { dimension: "width", value: widthCm, unit: "cm" };
+  return { target, posterSize: calculatePosterSize(imageInfo, target) };
+};
+
+/**
+ * Indica si un papel no es más grande que otro en ninguno de sus lados
+ * @param {Object} paper - Papel a comprobar
+ * @param {Object} limit - Papel más grande admitido
+ * @returns {boolean}
+ */
+const fitsPaper = (paper, limit) => {
+  const [short, long] = [paper.width, paper.height].sort((a, b) => a - b);
+  const [maxShort, maxLong] = [limit.width, limit.height].sort((a, b) => a - b);
+  return short <= maxShort && long <= maxLong;
+};
+
+/**
+ * Prueba cada papel en las dos orientaciones con la grilla mínima que cubre
+ * el póster y ordena las combinaciones por hojas o por papel desperdiciado
+ * (la parte de las hojas que no lleva imagen: márgenes, solapamiento y lo
+ * que sobra en la última fila y columna)
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ * @param {Object} goal - {type: 'size'|'dpi', target {dimension, value, unit}, minDpi}
+ * @param {Object} options - {margin, overlap, printer, maxPaperSize (clave; sin ella, cualquier papel), sortBy: 'sheets'|'waste', limit}
+ * @returns {Object} {target, posterSize, effectiveDpi, quality, suggestions [{paperSize, landscape, rows, cols, sheets, step, paperSheet {width, height}, waste}]}
+ */
+export const optimizeLayouts = (imageInfo, goal, options = {}) => {
+  const {
+    maxPaperSize = null,
+    sortBy = "sheets",
+    limit = MAX_LAYOUT_SUGGESTIONS,
+  } = options;
+  const margin = getLayoutMargin(options.margin, options.printer);
+  const overlap = normalizeOverlap(options.overlap);
+  const maxPaper = maxPaperSize ? getPaperSize(maxPaperSize) : null;
+
+  const { target, posterSize } = getGoalPosterSize(imageInfo, goal);
+  const posterArea = posterSize.width * posterSize.height;
+  const effectiveDpi = Math.round(
+    Math.min(
+      (imageInfo.width * 25.4) / posterSize.width,
+      (imageInfo.height * 25.4) / posterSize.height
+    )
+  );
+
+  const suggestions = Object.entries(getAllPaperSizes())
+    .filter(([, paper]) => !maxPaper || fitsPaper(paper, maxPaper))
+    .flatMap(([paperSize, paper]) =>
+      [false, true].flatMap((landscape) => {
+        let grid;
+        try {
+          grid = getSheetGrid(posterSize, {
+            paperSize,
+            landscape,
+            margin,
+            overlap,
+          });
+        } catch {
+          // Papeles demasiado chicos para el margen o el solapamiento
+          return [];
+        }
+        if (grid.sheets > MAX_SHEETS) return [];
+
+        const { rows, cols, sheets, step } = grid;
+        return [
+          {
+            paperSize,
+            landscape,
+            rows,
+            cols,
+            sheets,
+            step,
+            paperSheet: landscape
+              ? { width: paper.height, height: paper.width }
+              : { width: paper.width, height: paper.height },
+            waste: 1 - posterArea / (sheets * paper.width * paper.height),
+          },
+        ];
+      })
+    );
+
+  if (suggestions.length === 0) {
+    throw new Error(
+      `Ningún papel cubre el póster con ${MAX_SHEETS} hojas o menos`
+    );
+  }
+
+  // Una orientación que no ahorra hojas ni papel solo repite la otra
+  const unique = suggestions.filter(
+    (suggestion) =>
+      !suggestion.landscape ||
+      !suggestions.some(
+        (other) =>
+          other.paperSize === suggestion.paperSize &&
+          !other.landscape &&
+          other.sheets === suggestion.sheets
+      )
+  );
+  const criteria =
+    sortBy === "waste" ? ["waste", "sheets"] : ["sheets", "waste"];
+  unique.sort((a, b) => {
+    for (const key of criteria) {
+      if (a[key] !== b[key]) return a[key] - b[key];
+    }
+    return 0;
+  });
+
+  return {
+    target,
+    posterSize,
+    effectiveDpi,
+    quality: getQualityLevel(effectiveDpi),
+    isLowQuality: effectiveDpi < MIN_EFFECTIVE_DPI,
+    suggestions: unique.slice(0, limit),
+  };
+};
@@ -0,0 +1,138 @@
+// src/utils/paperRegistry.js
+import {
+  PAPER_SIZES,
+  ROLL_SIZES,
+  CUSTOM_PAPER_LIMITS,
+  convertToMm,
+  convertMmToPx,
+} from "./constants.js";
+import { getStorage, createRegistryKey } from "./storage.js";
+
+const STORAGE_KEY = "imagen-printer:custom-papers";
+
+// Papeles personalizados definidos por el usuario
+const customPapers = new Map();
+
+/**
+ * Obtiene un tamaño de papel, predefinido o personalizado, por su clave
+ * @param {string} key - Clave del papel
+ * @returns {Object|null}
+ */
+export const getPaperSize = (key) => {
+  return PAPER_SIZES[key] || customPapers.get(key) || null;
+};
+
+/**
+ * Nombre para mostrar de un papel o de un rollo
+ * @param {string} key - Clave del papel o de ROLL_SIZES
+ * @returns {string}
+ */
+export const getMediaName = (key) => {
+  const media = getPaperSize(key) || ROLL_SIZES[key];
+  return media ? media.name : key;
+};
+
+/**
+ * Obtiene todos los tamaños de papel disponibles
+ * @returns {Object} Papeles predefinidos y personalizados por clave
+ */
+export const getAllPaperSizes = () => {
+  return { ...PAPER_SIZES, ...Object.fromEntries(customPapers) };
+};
+
+/**
+ * Crea un papel personalizado a partir de sus medidas
+ * @param {Object} config - {name, width, height, unit: 'mm'|'cm'|'in'}
+ * @returns {Object} Papel con el mismo formato que PAPER_SIZES
+ */
+export const createCustomPaper = ({ name, width, height, unit = "mm" }) => {
+  const label = String(name || "").trim();
+  if (!label) {
+    throw new Error("El papel personalizado necesita un nombre");
+  }
+
+  // Se guarda siempre en vertical, como los papeles predefinidos
+  const [widthMm, heightMm] = [
+    convertToMm(Number(width), unit),
+    convertToMm(Number(height), unit),
+  ].sort((a, b) => a - b);
+
+  const { min, max } = CUSTOM_PAPER_LIMITS;
+  if (!(widthMm >= min) || !(heightMm <= max)) {
+    throw new Error(
+      `Las medidas del papel deben estar entre ${min} y ${max} mm`
+    );
+  }
+
+  return {
+    name: label,
+    width: widthMm,
+    height: heightMm,
+    widthPx: convertMmToPx(widthMm),
+    heightPx: convertMmToPx(heightMm),
+    group: "custom",
+  };
+};
+
+/**
+ * Genera la clave de registro de un papel personalizado
+ * @param {string} name - Nombre del papel
+ * @returns {string}
+ */
+export const getCustomPaperKey = (name) => {
+  return createRegistryKey("USER", name);
+};
+
+/**
+ * Registra un papel personalizado y lo guarda para próximas sesiones
+ * @param {Object} paper - Papel creado con createCustomPaper
+ * @returns {string} Clave registrada
+ */
+export const registerPaperSize = (paper) => {
+  const key = getCustomPaperKey(paper.name);
+  customPapers.set(key, paper);
+  saveCustomPapers();
+  return key;
+};
+
+/**
+ * Elimina un papel personalizado
+ * @param {string} key - Clave del papel
+ */
+export const removePaperSize = (key) => {
+  customPapers.delete(key);
+  saveCustomPapers();
+};
+
+/**
+ * Guarda los papeles personalizados en localStorage
+ */
+const saveCustomPapers = () => {
+  const storage = getStorage();
+  if (!storage) return;
+
+  storage.setItem(
+    STORAGE_KEY,
+    JSON.stringify(Object.fromEntries(customPapers))
+  );
+};
+
+/**
+ * Carga los papeles personalizados guardados en sesiones anteriores
+ * @returns {Object} Papeles cargados por clave
+ */
+export const loadCustomPapers = () => {
+  const storage = getStorage();
+  if (!storage) return {};
+
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY) || "{}");
+    Object.entries(saved).forEach(([key, paper]) => {
+      customPapers.set(key, createCustomPaper(paper));
+    });
+  } catch (error) {
+    console.error("No se pudieron cargar los papeles personalizados:", error);
+  }
+
+  return Object.fromEntries(customPapers);
+};
@@ -0,0 +1,115 @@
+// src/utils/patternRegistry.js
+import {
+  DIVISION_PATTERNS,
+  DEFAULT_SETTINGS,
+  MAX_GRID_SIZE,
+} from "./constants.js";
+import { getPaperSize } from "./paperRegistry.js";
+
+// Patrones personalizados registrados durante la sesión
+const customPatterns = new Map();
+
+/**
+ * Obtiene un patrón, predefinido o personalizado, por su clave
+ * @param {string} key - Clave del patrón
+ * @returns {Object|null}
+ */
+export const getPattern = (key) => {
+  return DIVISION_PATTERNS[key] || customPatterns.get(key) || null;
+};
+
+/**
+ * Obtiene todos los patrones disponibles
+ * @returns {Object} Patrones predefinidos y personalizados por clave
+ */
+export const getAllPatterns = () => {
+  return { ...DIVISION_PATTERNS, ...Object.fromEntries(customPatterns) };
+};
+
+/**
+ * Obtiene solo los patrones personalizados
+ * @returns {Object} Patrones personalizados por clave
+ */
+export const getCustomPatterns = () => {
+  return Object.fromEntries(customPatterns);
+};
+
+/**
+ * Resuelve un patrón a partir de su clave u objeto. Las claves desconocidas
+ * usan el patrón por defecto
+ * @param {string|Object} pattern - Clave, patrón o layout calculado
+ * @returns {Object}
+ */
+export const resolvePattern = (pattern) => {
+  if (pattern && typeof pattern === "object") {
+    return pattern;
+  }
+  return getPattern(pattern) || getPattern(DEFAULT_SETTINGS.divisionPattern);
+};
+
+/**
+ * Crea un patrón con cualquier número de filas, columnas, papel y orientación
+ * @param {Object} config - {rows, cols, paperSize, landscape}
+ * @returns {Object} Patrón con el mismo formato que DIVISION_PATTERNS
+ */
+export const createCustomPattern = ({
+  rows,
+  cols,
+  paperSize = DEFAULT_SETTINGS.paperSize,
+  landscape = false,
+}) => {
+  rows = Number(rows);
+  cols = Number(cols);
+
+  const isValidSize = (value) =>
+    Number.isInteger(value) && value >= 1 && value <= MAX_GRID_SIZE;
+
+  if (!isValidSize(rows) || !isValidSize(cols)) {
+    throw new Error(
+      `Las filas y columnas deben ser números enteros entre 1 y ${MAX_GRID_SIZE}`
+    );
+  }
+
+  const paper = getPaperSize(paperSize);
+  if (!paper) {
+    throw new Error(`Tamaño de papel no soportado: ${paperSize}`);
+  }
+
+  const sheets = rows * cols;
+  const orientation = landscape ? "horizontal" : "vertical";
+
+  return {
+    name: `${sheets} ${sheets === 1 ? "Hoja" : "Hojas"} ${paper.name} (${rows}x${cols}, ${orientation})`,
+    rows,
+    cols,
+    paperSize,
+    description: `Divide la imagen en ${sheets} ${
+      sheets === 1 ? "hoja" : "hojas"
+    } ${paper.name} (${rows}x${cols}) en orientación ${orientation}`,
+    landscape,
+    custom: true,
+  };
+};
+
+/**
+ * Genera la clave de registro de un patrón personalizado
+ * @param {Object} pattern - Patrón personalizado
+ * @returns {string}
+ */
+export const getCustomPatternKey = ({ rows, cols, paperSize, landscape }) => {
+  return `CUSTOM_${paperSize}_${rows}x${cols}${landscape ? "_H" : ""}`;
+};
+
+/**
+ * Registra un patrón personalizado para que se use igual que los predefinidos
+ * @param {Object} pattern - Patrón creado con createCustomPattern
+ * @param {string} key - Clave opcional (por defecto se genera)
+ * @returns {string} Clave registrada
+ */
+export const registerPattern = (pattern, key = getCustomPatternKey(pattern)) => {
+  if (DIVISION_PATTERNS[key]) {
+    throw new Error(`No se puede reemplazar el patrón predefinido ${key}`);
+  }
+  customPatterns.set(key, pattern);
+  return key;
+};
@@ -0,0 +1,59 @@
+// src/utils/pdfMerge.js
+import { PDFDocument, PDFName, PDFHexString } from "pdf-lib";
+
+/**
+ * Copia todas las páginas de un PDF al final de otro
+ * @param {PDFDocument} target - Documento de destino
+ * @param {Uint8Array} bytes - PDF a agregar
+ * @returns {Promise<number>} Índice en el destino de la primera página copiada
+ */
+export const appendPdf = async (target, bytes) => {
+  const firstPage = target.getPageCount();
+  const source = await PDFDocument.load(bytes);
+  const pages = await target.copyPages(source, source.getPageIndices());
+  pages.forEach((page) => target.addPage(page));
+  return firstPage;
+};
+
+/**
+ * Agrega marcadores de primer nivel al documento. pdf-lib no tiene una API
+ * para el índice, así que se arma con los diccionarios /Outlines del PDF
+ * @param {PDFDocument} pdfDoc - Documento
+ * @param {Array} entries - [{title, pageIndex}] en orden
+ */
+export const addOutline = (pdfDoc, entries) => {
+  if (entries.length === 0) return;
+
+  const { context } = pdfDoc;
+  const outlinesRef = context.nextRef();
+  const refs = entries.map(() => context.nextRef());
+
+  entries.forEach(({ title, pageIndex }, index) => {
+    const item = context.obj({
+      Title: PDFHexString.fromText(title),
+      Parent: outlinesRef,
+      Dest: [pdfDoc.getPage(pageIndex).ref, PDFName.of("Fit")],
+    });
+    if (index > 0) {
+      item.set(PDFName.of("Prev"), refs[index - 1]);
+    }
+    if (index < refs.length - 1) {
+      item.set(PDFName.of("Next"), refs[index + 1]);
+    }
+    context.assign(refs[index], item);
+  });
+
+  context.assign(
+    outlinesRef,
+    context.obj({
+      Type: "Outlines",
+      First: refs[0],
+      Last: refs[refs.length - 1],
+      Count: refs.length,
+    })
+  );
+
+  // Abrir el PDF con el panel de marcadores visible
+  pdfDoc.catalog.set(PDFName.of("Outlines"), outlinesRef);
+  pdfDoc.catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+};
@@ -0,0 +1,204 @@
+// src/utils/photoSheet.js
+import { DEFAULT_SETTINGS, MAX_SHEETS } from "./constants.js";
+import { getPaperSize } from "./paperRegistry.js";
+import { getPrintableArea, getLayoutMargin } from "./posterLayout.js";
+
+// Tolerancia para que una foto que entra justa no se descarte por redondeo
+const EPSILON = 1e-6;
+
+/**
+ * Cuántas fotos caben en una longitud con una separación entre ellas
+ * @param {number} length - Longitud disponible en mm
+ * @param {number} size - Lado de la foto en mm
+ * @param {number} spacing - Separación en mm
+ * @returns {number}
+ */
+const fitCount = (length, size, spacing) =>
+  Math.max(Math.floor((length + spacing + EPSILON) / (size + spacing)), 0);
+
+/**
+ * Llena un área con una grilla de fotos de un mismo sentido
+ * @param {Object} origin - Esquina superior izquierda {x, y} en mm
+ * @param {Object} area - {width, height} disponible en mm
+ * @param {Object} size - Tamaño de la foto {width, height} en mm
+ * @param {number} spacing - Separación en mm
+ * @param {boolean} rotated - La foto está girada 90°
+ * @returns {Array<Object>} Celdas {x, y, width, height, rotated}
+ */
+const fillGrid = (origin, area, size, spacing, rotated) => {
+  const cols = fitCount(area.width, size.width, spacing);
+  const rows = fitCount(area.height, size.height, spacing);
+  const cells = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      cells.push({
+        x: origin.x + col * (size.width + spacing),
+        y: origin.y + row * (size.height + spacing),
+        width: size.width,
+        height: size.height,
+        rotated,
+      });
+    }
+  }
+  return cells;
+};
+
+/**
+ * Acomoda la mayor cantidad de fotos en un área: una grilla principal y,
+ * si se permite girar, fotos giradas en la franja que sobra a la derecha o
+ * abajo
+ * @param {Object} area - {width, height} en mm
+ * @param {Object} photoSize - {width, height} en mm
+ * @param {number} spacing - Separación en mm
+ * @param {boolean} allowRotate - Permitir fotos giradas 90°
+ * @returns {Array<Object>} Celdas {x, y, width, height, rotated}
+ */
+export const packPhotos = (area, photoSize, spacing, allowRotate = true) => {
+  const turned = { width: photoSize.height, height: photoSize.width };
+  const candidates = [];
+
+  (allowRotate ? [false, true] : [false]).forEach((rotated) => {
+    const size = rotated ? turned : photoSize;
+    const other = rotated ? photoSize : turned;
+    const main = fillGrid({ x: 0, y: 0 }, area, size, spacing, rotated);
+    candidates.push(main);
+    if (!allowRotate || main.length === 0) return;
+
+    const usedWidth =
+      fitCount(area.width, size.width, spacing) * (size.width + spacing);
+    const usedHeight =
+      fitCount(area.height, size.height, spacing) * (size.height + spacing);
+
+    candidates.push(
+      main.concat(
+        fillGrid(
+          { x: usedWidth, y: 0 },
+          { width: area.width - usedWidth, height: area.height },
+          other,
+          spacing,
+          !rotated
+        )
+      ),
+      main.concat(
+        fillGrid(
+          { x: 0, y: usedHeight },
+          { width: area.width, height: area.height - usedHeight },
+          other,
+          spacing,
+          !rotated
+        )
+      )
+    );
+  });
+
+  // Ante un empate gana la opción con menos fotos giradas (la primera)
+  return candidates.reduce((best, cells) =>
+    cells.length > best.length ? cells : best
+  );
+};
+
+/**
+ * Calcula la hoja de fotos: cuántas fotos de un tamaño fijo entran en el
+ * papel y dónde va cada una. Prueba las dos orientaciones del papel y
+ * centra el conjunto en el área imprimible
+ * @param {Object} options - {paperSize, margin, printer, photoSize {width, height} en mm, spacing, allowRotate}
+ * @returns {Object} Layout {mode, paperSize, landscape, pageSize, margin, photoSize, spacing, cells, perSheet, description}
+ */
+export const calculatePhotoSheetLayout = (options = {}) => {
+  const {
+    paperSize = DEFAULT_SETTINGS.paperSize,
+    photoSize,
+    spacing = 0,
+    allowRotate = true,
+  } = options;
+  const margin = getLayoutMargin(options.margin, options.printer);
+
+  const paper = getPaperSize(paperSize);
+  if (!paper) {
+    throw new Error(`Tamaño de papel no soportado: ${paperSize}`);
+  }
+  if (!photoSize || !(photoSize.width > 0 && photoSize.height > 0)) {
+    throw new Error("El tamaño de la foto debe ser mayor que cero");
+  }
+  if (!(spacing >= 0)) {
+    throw new Error("La separación no puede ser negativa");
+  }
+
+  let best = null;
+  // La orientación horizontal solo gana si entran más fotos
+  [false, true].forEach((landscape) => {
+    const area = getPrintableArea(paperSize, landscape, margin);
+    const cells = packPhotos(area, photoSize, spacing, allowRotate);
+    if (!best || cells.length > best.cells.length) {
+      best = { landscape, area, cells };
+    }
+  });
+
+  if (best.cells.length === 0) {
+    throw new Error("La foto no cabe en el área imprimible de la hoja");
+  }
+
+  // Centrar el bloque de fotos en el área imprimible
+  const usedWidth = Math.max(...best.cells.map((cell) => cell.x + cell.width));
+  const usedHeight = Math.max(
+    ...best.cells.map((cell) => cell.y + cell.height)
+  );
+  const offsetX = margin + (best.area.width - usedWidth) / 2;
+  const offsetY = margin + (best.area.height - usedHeight) / 2;
+  const cells = best.cells.map((cell) => ({
+    ...cell,
+    x: cell.x + offsetX,
+    y: cell.y + offsetY,
+  }));
+
+  return {
+    mode: "photos",
+    paperSize,
+    landscape: best.landscape,
+    pageSize: best.landscape
+      ? { width: paper.height, height: paper.width }
+      : { width: paper.width, height: paper.height },
+    margin,
+    photoSize: { ...photoSize },
+    spacing,
+    cells,
+    perSheet: cells.length,
+    description: `${cells.length} fotos de ${+photoSize.width.toFixed(
+      1
+    )} × ${+photoSize.height.toFixed(1)} mm por hoja ${paper.name} ${
+      best.landscape ? "horizontal" : "vertical"
+    }`,
+  };
+};
+
+/**
+ * Reparte las copias de cada imagen en hojas
+ * @param {number} perSheet - Fotos por hoja
+ * @param {number} imageCount - Cantidad de imágenes distintas
+ * @param {number} copies - Copias de cada imagen; 0 reparte una hoja entre todas
+ * @returns {Array<Array<number>>} Por hoja, el índice de imagen de cada celda
+ */
+export const distributePhotos = (perSheet, imageCount, copies = 0) => {
+  if (imageCount < 1) {
+    throw new Error("No hay imágenes para la hoja de fotos");
+  }
+
+  const perImage =
+    copies > 0 ? copies : Math.max(Math.floor(perSheet / imageCount), 1);
+  const total = perImage * imageCount;
+  if (total > perSheet * MAX_SHEETS) {
+    throw new Error(
+      `Demasiadas copias: se necesitarían más de ${MAX_SHEETS} hojas`
+    );
+  }
+
+  const sheets = [];
+  for (let index = 0; index < total; index++) {
+    if (index % perSheet === 0) {
+      sheets.push([]);
+    }
+    sheets[sheets.length - 1].push(Math.floor(index / perImage));
+  }
+  return sheets;
+};
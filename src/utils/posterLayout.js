@@ -0,0 +1,513 @@
+// src/utils/posterLayout.js
+import {
+  DEFAULT_SETTINGS,
+  DEFAULT_ROLL,
+  ROLL_SIZES,
+  MAX_SHEETS,
+  MAX_PAGE_LENGTH,
+  convertToMm,
+} from "./constants.js";
+import { getPaperSize } from "./paperRegistry.js";
+import { getMinimumMargin } from "./printerProfiles.js";
+
+// Tolerancia para evitar hojas extra por errores de redondeo
+const EPSILON = 1e-6;
+
+const EDGES = ["top", "right", "bottom", "left"];
+
+/**
+ * Normaliza el solapamiento a un valor en mm por borde
+ * @param {number|Object} overlap - Valor global o {top, right, bottom, left}
+ * @returns {Object} {top, right, bottom, left} en mm
+ */
+export const normalizeOverlap = (overlap = 0) => {
+  const values =
+    typeof overlap === "object" && overlap !== null
+      ? overlap
+      : { top: overlap, right: overlap, bottom: overlap, left: overlap };
+
+  return EDGES.reduce((result, edge) => {
+    const value = Number(values[edge]) || 0;
+    if (value < 0) {
+      throw new Error("El solapamiento no puede ser negativo");
+    }
+    result[edge] = value;
+    return result;
+  }, {});
+};
+
+/**
+ * Margen del layout: el elegido o, si es menor, el que necesita la
+ * impresora para no cortar la imagen
+ * @param {number} margin - Margen elegido en mm
+ * @param {Object|null} printer - Perfil de impresora (createPrinterProfile)
+ * @returns {number} mm
+ */
+export const getLayoutMargin = (
+  margin = DEFAULT_SETTINGS.margin,
+  printer = null
+) => {
+  return printer ? Math.max(margin, getMinimumMargin(printer)) : margin;
+};
+
+/**
+ * Obtiene el identificador de una parte al estilo hoja de cálculo:
+ * letra de columna y número de fila (A1, B2, ..., AA10)
+ * @param {Object} position - {row, col} empezando en 0
+ * @returns {string}
+ */
+export const getTileId = ({ row, col }) => {
+  let letters = "";
+  for (let n = col + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return `${letters}${row + 1}`;
+};
+
+/**
+ * Calcula el tamaño físico final del póster a partir de una sola medida
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ * @param {Object} target - {dimension: 'width'|'height', value, unit: 'cm'|'in'}
+ * @returns {Object} {width, height} en mm
+ */
+export const calculatePosterSize = (imageInfo, target) => {
+  const { dimension = "width", value, unit = "cm" } = target;
+  const sizeMm = convertToMm(Number(value), unit);
+
+  if (!Number.isFinite(sizeMm) || sizeMm <= 0) {
+    throw new Error("El tamaño final debe ser mayor que cero");
+  }
+
+  const aspectRatio = imageInfo.width / imageInfo.height;
+
+  return dimension === "height"
+    ? { width: sizeMm * aspectRatio, height: sizeMm }
+    : { width: sizeMm, height: sizeMm / aspectRatio };
+};
+
+/**
+ * Obtiene el tamaño de una hoja en su orientación
+ * @param {string} paperSize - Clave del papel (p. ej. 'A4')
+ * @param {boolean} landscape - Orientación horizontal
+ * @returns {Object} {width, height} en mm
+ */
+export const getSheetSize = (paperSize, landscape) => {
+  const paper = getPaperSize(paperSize);
+  if (!paper) {
+    throw new Error(`Tamaño de papel no soportado: ${paperSize}`);
+  }
+
+  return landscape
+    ? { width: paper.height, height: paper.width }
+    : { width: paper.width, height: paper.height };
+};
+
+/**
+ * Obtiene el área imprimible de una hoja. Se comprueba antes que el
+ * solapamiento para que el error culpe al margen cuando es él el que
+ * ocupa toda la hoja
+ * @param {string} paperSize - Clave del papel (p. ej. 'A4')
+ * @param {boolean} landscape - Orientación horizontal
+ * @param {number} margin - Margen en mm
+ * @returns {Object} {width, height} en mm
+ */
+export const getPrintableArea = (paperSize, landscape, margin) => {
+  const { width, height } = getSheetSize(paperSize, landscape);
+  const area = { width: width - margin * 2, height: height - margin * 2 };
+
+  if (!(area.width > 0 && area.height > 0)) {
+    throw new Error(
+      `El margen de ${margin} mm no deja área imprimible en la hoja`
+    );
+  }
+
+  return area;
+};
+
+/**
+ * Calcula el avance entre hojas consecutivas: el área imprimible menos
+ * el solapamiento que comparte con sus vecinas
+ * @param {Object} tileSize - Área imprimible {width, height} en mm
+ * @param {Object} overlap - Solapamiento normalizado en mm
+ * @returns {Object} {width, height} en mm
+ */
+const getTileStep = (tileSize, overlap) => {
+  const step = {
+    width: tileSize.width - overlap.left - overlap.right,
+    height: tileSize.height - overlap.top - overlap.bottom,
+  };
+
+  if (step.width <= 0 || step.height <= 0) {
+    throw new Error("El solapamiento es mayor que el área imprimible");
+  }
+
+  return step;
+};
+
+/**
+ * Solapamiento máximo que puede tener una parte en un eje
+ * @param {number} count - Partes en el eje
+ * @param {number} before - Solapamiento del borde inicial (izquierdo/superior)
+ * @param {number} after - Solapamiento del borde final (derecho/inferior)
+ * @returns {number} mm
+ */
+const getMaxTileOverlap = (count, before, after) => {
+  if (count > 2) return before + after;
+  if (count === 2) return Math.max(before, after);
+  return 0;
+};
+
+/**
+ * Construye las partes de un póster: celda propia más el solapamiento
+ * con cada vecina, en mm y en píxeles de la imagen original. Los bordes de
+ * origen se redondean una sola vez, así que partes vecinas comparten el
+ * mismo borde en píxeles y entre todas cubren la imagen completa
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ * @param {Object} posterSize - {width, height} del póster en mm
+ * @param {Object} grid - {rows, cols, step, overlap, margin}
+ * @returns {Array<Object>} Partes con posición, origen, tamaño impreso, área en el póster y lugar en la hoja
+ */
+const buildTiles = (
+  imageInfo,
+  posterSize,
+  { rows, cols, step, overlap, margin }
+) => {
+  const pxPerMm = imageInfo.width / posterSize.width;
+  const tiles = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      // Solo se solapan los bordes que tienen una hoja vecina
+      const tileOverlap = {
+        top: row > 0 ? overlap.top : 0,
+        right: col < cols - 1 ? overlap.right : 0,
+        bottom: row < rows - 1 ? overlap.bottom : 0,
+        left: col > 0 ? overlap.left : 0,
+      };
+
+      // Área del póster cubierta por esta hoja (la última fila/columna puede ser parcial)
+      const x = Math.max(col * step.width - tileOverlap.left, 0);
+      const y = Math.max(row * step.height - tileOverlap.top, 0);
+      const right = Math.min(
+        (col + 1) * step.width + tileOverlap.right,
+        posterSize.width
+      );
+      const bottom = Math.min(
+        (row + 1) * step.height + tileOverlap.bottom,
+        posterSize.height
+      );
+
+      // Redondear los bordes (no los tamaños) para no perder píxeles entre
+      // partes; una parte de menos de medio píxel repite el último en vez
+      // de quedar vacía
+      const sourceX = Math.min(Math.round(x * pxPerMm), imageInfo.width - 1);
+      const sourceY = Math.min(Math.round(y * pxPerMm), imageInfo.height - 1);
+      const sourceRight = Math.max(
+        Math.min(Math.round(right * pxPerMm), imageInfo.width),
+        sourceX + 1
+      );
+      const sourceBottom = Math.max(
+        Math.min(Math.round(bottom * pxPerMm), imageInfo.height),
+        sourceY + 1
+      );
+
+      tiles.push({
+        position: { row, col },
+        source: {
+          x: sourceX,
+          y: sourceY,
+          width: sourceRight - sourceX,
+          height: sourceBottom - sourceY,
+        },
+        printSize: { width: right - x, height: bottom - y },
+        // Posición en el póster en mm, incluyendo el solapamiento
+        area: { x, y, width: right - x, height: bottom - y },
+        // Rectángulo de la imagen en la hoja, en mm desde la esquina
+        // superior izquierda: alineado al margen para que las hojas encajen
+        placement: {
+          x: margin,
+          y: margin,
+          width: right - x,
+          height: bottom - y,
+        },
+        overlap: tileOverlap,
+      });
+    }
+  }
+
+  return tiles;
+};
+
+/**
+ * Formatea el tamaño del póster en cm para descripciones
+ * @param {Object} posterSize - {width, height} en mm
+ * @returns {string}
+ */
+const formatPosterSize = (posterSize) =>
+  `${(posterSize.width / 10).toFixed(1)} × ${(posterSize.height / 10).toFixed(
+    1
+  )} cm`;
+
+/**
+ * Calcula la grilla mínima de hojas de un papel y una orientación que
+ * cubre un póster
+ * @param {Object} posterSize - {width, height} del póster en mm
+ * @param {Object} options - {paperSize, landscape, margin (mm), overlap (normalizado, mm)}
+ * @returns {Object} {landscape, tileSize, step, rows, cols, sheets}
+ */
+export const getSheetGrid = (posterSize, options) => {
+  const { paperSize, landscape, margin, overlap } = options;
+  const tileSize = getPrintableArea(paperSize, landscape, margin);
+  const step = getTileStep(tileSize, overlap);
+  const cols = Math.ceil(posterSize.width / step.width - EPSILON);
+  const rows = Math.ceil(posterSize.height / step.height - EPSILON);
+  return { landscape, tileSize, step, rows, cols, sheets: rows * cols };
+};
+
+/**
+ * Calcula la grilla de hojas necesaria para un póster de tamaño final dado,
+ * eligiendo la orientación que usa menos hojas salvo que se fije una
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ * @param {Object} target - {dimension, value, unit, orientation: 'auto'|'portrait'|'landscape'}
+ * @param {Object} options - {paperSize, margin (mm), overlap (mm), printer (perfil que puede exigir más margen)}
+ * @returns {Object} Layout compatible con los patrones de división
+ */
+export const calculateTargetLayout = (imageInfo, target, options = {}) => {
+  const { paperSize = DEFAULT_SETTINGS.paperSize } = options;
+  const margin = getLayoutMargin(options.margin, options.printer);
+  const overlap = normalizeOverlap(options.overlap);
+
+  const posterSize = calculatePosterSize(imageInfo, target);
+
+  const orientations =
+    !target.orientation || target.orientation === "auto"
+      ? [false, true]
+      : [target.orientation === "landscape"];
+  const candidates = orientations.map((landscape) =>
+    getSheetGrid(posterSize, { paperSize, landscape, margin, overlap })
+  );
+
+  // En caso de empate se mantiene la orientación vertical
+  const best = candidates.reduce((a, b) => (b.sheets < a.sheets ? b : a));
+
+  if (best.sheets > MAX_SHEETS) {
+    throw new Error(
+      `El póster requiere ${best.sheets} hojas (máximo ${MAX_SHEETS})`
+    );
+  }
+
+  const { rows, cols, landscape, tileSize, step } = best;
+  const size = formatPosterSize(posterSize);
+  const orientation = landscape ? "horizontal" : "vertical";
+  const sheets = rows * cols;
+
+  return {
+    name: `Póster ${size}`,
+    rows,
+    cols,
+    paperSize,
+    landscape,
+    margin,
+    overlap,
+    posterSize,
+    tileSize,
+    pageSize: getSheetSize(paperSize, landscape),
+    tiles: buildTiles(imageInfo, posterSize, {
+      rows,
+      cols,
+      step,
+      overlap,
+      margin,
+    }),
+    description: `Póster final de ${size} en ${sheets} ${
+      sheets === 1 ? "hoja" : "hojas"
+    } ${getPaperSize(paperSize).name} en orientación ${orientation} (${rows} ${
+      rows === 1 ? "fila" : "filas"
+    } × ${cols} ${cols === 1 ? "columna" : "columnas"})`,
+  };
+};
+
+/**
+ * Calcula las tiras de un póster impreso en rollo: cada tira ocupa todo el
+ * ancho útil del rollo y mide lo que el póster a lo largo, así que cada
+ * página tiene su propio largo. Si el póster cabe en el ancho del rollo,
+ * sale en una sola página larga
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ * @param {Object} target - {dimension, value, unit}
+ * @param {Object} options - {rollSize (clave de ROLL_SIZES), direction ('vertical'|'horizontal'), margin (mm), overlap (mm), printer}
+ * @returns {Object} Layout con pageSize {width, height} en mm y roll {name, width, direction, stripLength}
+ */
+export const calculateRollLayout = (imageInfo, target, options = {}) => {
+  const {
+    rollSize = DEFAULT_ROLL.rollSize,
+    direction = DEFAULT_ROLL.direction,
+  } = options;
+  const margin = getLayoutMargin(options.margin, options.printer);
+  const roll = ROLL_SIZES[rollSize];
+  if (!roll) {
+    throw new Error(`Rollo no soportado: ${rollSize}`);
+  }
+
+  const posterSize = calculatePosterSize(imageInfo, target);
+  const vertical = direction !== "horizontal";
+  const stripLength = vertical ? posterSize.height : posterSize.width;
+  const pageLength = stripLength + margin * 2;
+  if (pageLength > MAX_PAGE_LENGTH) {
+    throw new Error(
+      `Cada tira mediría ${(pageLength / 10).toFixed(
+        1
+      )} cm; una página PDF admite hasta ${MAX_PAGE_LENGTH / 10} cm`
+    );
+  }
+
+  // Las tiras solo se solapan con sus vecinas de al lado
+  const overlap = normalizeOverlap(options.overlap);
+  if (vertical) {
+    overlap.top = 0;
+    overlap.bottom = 0;
+  } else {
+    overlap.left = 0;
+    overlap.right = 0;
+  }
+
+  const across = roll.width - margin * 2;
+  if (!(across > 0)) {
+    throw new Error(
+      `El margen de ${margin} mm no deja área imprimible en el rollo`
+    );
+  }
+  const tileSize = vertical
+    ? { width: across, height: stripLength }
+    : { width: stripLength, height: across };
+  const step = getTileStep(tileSize, overlap);
+  const strips = Math.ceil(
+    (vertical
+      ? posterSize.width / step.width
+      : posterSize.height / step.height) - EPSILON
+  );
+
+  if (strips > MAX_SHEETS) {
+    throw new Error(
+      `El póster requiere ${strips} tiras (máximo ${MAX_SHEETS})`
+    );
+  }
+
+  const rows = vertical ? 1 : strips;
+  const cols = vertical ? strips : 1;
+  const size = formatPosterSize(posterSize);
+  const length = `${(pageLength / 10).toFixed(1)} cm de largo`;
+
+  return {
+    mode: "roll",
+    name: `Rollo ${size}`,
+    rows,
+    cols,
+    paperSize: rollSize,
+    landscape: !vertical,
+    margin,
+    overlap,
+    posterSize,
+    tileSize,
+    pageSize: vertical
+      ? { width: roll.width, height: pageLength }
+      : { width: pageLength, height: roll.width },
+    roll: { ...roll, direction, stripLength },
+    tiles: buildTiles(imageInfo, posterSize, {
+      rows,
+      cols,
+      step,
+      overlap,
+      margin,
+    }),
+    description:
+      strips === 1
+        ? `Póster final de ${size} en una sola página de ${roll.name} de ${length}`
+        : `Póster final de ${size} en ${strips} tiras ${
+            vertical ? "verticales" : "horizontales"
+          } de ${roll.name}, de ${length} cada una`,
+  };
+};
+
+/**
+ * Calcula la proporción ancho/alto del póster más grande que llena por
+ * completo la grilla de un patrón, para adaptar la imagen a ella
+ * @param {Object} pattern - Patrón con rows, cols, paperSize y landscape
+ * @param {Object} options - {margin (mm), overlap (mm), printer}
+ * @returns {number}
+ */
+export const getPatternFrameAspect = (pattern, options = {}) => {
+  const margin = getLayoutMargin(options.margin, options.printer);
+  const overlap = normalizeOverlap(options.overlap);
+  const { rows, cols, paperSize } = pattern;
+  const tileSize = getPrintableArea(paperSize, pattern.landscape === true, margin);
+
+  const width =
+    cols * (tileSize.width - getMaxTileOverlap(cols, overlap.left, overlap.right));
+  const height =
+    rows * (tileSize.height - getMaxTileOverlap(rows, overlap.top, overlap.bottom));
+
+  if (!(width > 0 && height > 0)) {
+    throw new Error("El solapamiento es mayor que el área imprimible");
+  }
+
+  return width / height;
+};
+
+/**
+ * Calcula el layout físico de un patrón predefinido: la imagen se escala
+ * para que la parte más grande (incluyendo solapamiento) quepa en la hoja
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ * @param {Object} pattern - Patrón de DIVISION_PATTERNS
+ * @param {Object} options - {margin (mm), overlap (mm), printer}
+ * @returns {Object} Layout con el mismo formato que calculateTargetLayout
+ */
+export const calculatePatternLayout = (imageInfo, pattern, options = {}) => {
+  const margin = getLayoutMargin(options.margin, options.printer);
+  const overlap = normalizeOverlap(options.overlap);
+  const { rows, cols, paperSize } = pattern;
+  const landscape = pattern.landscape === true;
+
+  const tileSize = getPrintableArea(paperSize, landscape, margin);
+  const extraWidth = getMaxTileOverlap(cols, overlap.left, overlap.right);
+  const extraHeight = getMaxTileOverlap(rows, overlap.top, overlap.bottom);
+
+  const cellWidthPx = imageInfo.width / cols;
+  const cellHeightPx = imageInfo.height / rows;
+  const mmPerPx = Math.min(
+    (tileSize.width - extraWidth) / cellWidthPx,
+    (tileSize.height - extraHeight) / cellHeightPx
+  );
+
+  if (!(mmPerPx > 0)) {
+    throw new Error("El solapamiento es mayor que el área imprimible");
+  }
+
+  const posterSize = {
+    width: imageInfo.width * mmPerPx,
+    height: imageInfo.height * mmPerPx,
+  };
+  const step = { width: posterSize.width / cols, height: posterSize.height / rows };
+
+  return {
+    name: pattern.name,
+    rows,
+    cols,
+    paperSize,
+    landscape,
+    margin,
+    overlap,
+    posterSize,
+    tileSize,
+    pageSize: getSheetSize(paperSize, landscape),
+    tiles: buildTiles(imageInfo, posterSize, {
+      rows,
+      cols,
+      step,
+      overlap,
+      margin,
+    }),
+    description: pattern.description
+      ? `${pattern.description}. Tamaño final: ${formatPosterSize(posterSize)}`
+      : `Tamaño final: ${formatPosterSize(posterSize)}`,
+  };
+};
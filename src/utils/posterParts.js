@@ -0,0 +1,100 @@
+// src/utils/posterParts.js
+import {
+  convertMmToPx,
+  MAX_CANVAS_SIZE,
+  MAX_CANVAS_AREA,
+} from "./constants.js";
+import { calculatePatternLayout } from "./posterLayout.js";
+import { resolvePattern } from "./patternRegistry.js";
+
+/**
+ * Obtiene el layout físico de un patrón: los layouts ya calculados se usan
+ * tal cual y los patrones predefinidos se calculan para la imagen
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ * @param {string|Object} pattern - Clave del registro de patrones, patrón o layout
+ * @param {Object} options - {margin, overlap} en mm y printer (perfil que puede exigir más margen)
+ * @returns {Object} Layout con las partes del póster
+ */
+export const resolveLayout = (imageInfo, pattern, options = {}) => {
+  const grid = resolvePattern(pattern);
+  if (grid.tiles) {
+    return grid;
+  }
+  return calculatePatternLayout(imageInfo, grid, options);
+};
+
+/**
+ * Describe las partes de un layout sin generar sus píxeles
+ * @param {Object} layout - Layout calculado (con tiles)
+ * @param {number|null} dpi - DPI para la exportación; null conserva los píxeles originales
+ * @returns {Array<Object>} Partes con posición, origen, tamaños, lugar en la hoja y DPI
+ */
+export const getPartsInfo = (layout, dpi = 300) => {
+  const { rows, cols, paperSize, tiles } = layout;
+
+  // Cada parte trae su área de origen, incluyendo el solapamiento
+  return tiles.map((tile, index) => {
+    const { source, printSize } = tile;
+
+    // Tamaño en píxeles de la parte impresa a los DPI elegidos; las
+    // tiras de rollo pueden pasar del tamaño máximo de un canvas
+    const requested = dpi
+      ? {
+          width: Math.max(convertMmToPx(printSize.width, dpi), 1),
+          height: Math.max(convertMmToPx(printSize.height, dpi), 1),
+        }
+      : source;
+    const limit = Math.min(
+      MAX_CANVAS_SIZE / requested.width,
+      MAX_CANVAS_SIZE / requested.height,
+      Math.sqrt(MAX_CANVAS_AREA / (requested.width * requested.height)),
+      1
+    );
+    const width = Math.max(Math.floor(requested.width * limit), 1);
+    const height = Math.max(Math.floor(requested.height * limit), 1);
+
+    return {
+      position: tile.position,
+      source,
+      dimensions: { width, height },
+      printSize,
+      area: tile.area,
+      placement: tile.placement,
+      overlap: tile.overlap,
+      paperSize,
+      // DPI realmente usados tras redondear el tamaño en píxeles
+      dpi: Math.round((width * 25.4) / printSize.width),
+      grid: { rows, cols },
+      partNumber: index + 1,
+      totalParts: rows * cols,
+    };
+  });
+};
+
+/**
+ * Calcula el tamaño de la imagen completa para incrustarla una sola vez
+ * en el PDF. Solo se reduce cuando tiene más píxeles de los que piden los DPI
+ * @param {Object} layout - Layout calculado
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ * @param {number} dpi - DPI de exportación
+ * @returns {Object} {width, height, posterSize, dpi}
+ */
+export const getSourceExportSize = (layout, imageInfo, dpi = 300) => {
+  const { posterSize } = layout;
+  const { width: sourceWidth, height: sourceHeight } = imageInfo;
+  const limit = Math.min(
+    MAX_CANVAS_SIZE / sourceWidth,
+    MAX_CANVAS_SIZE / sourceHeight,
+    Math.sqrt(MAX_CANVAS_AREA / (sourceWidth * sourceHeight)),
+    convertMmToPx(posterSize.width, dpi) / sourceWidth,
+    1
+  );
+  const width = Math.max(Math.round(sourceWidth * limit), 1);
+
+  return {
+    width,
+    height: Math.max(Math.round(sourceHeight * limit), 1),
+    posterSize,
+    dpi: Math.round((width * 25.4) / posterSize.width),
+  };
+};
@@ -0,0 +1,156 @@
+// src/utils/printerProfiles.js
+import {
+  DEFAULT_PRINTER_PROFILE,
+  CALIBRATION_PAGE,
+  CALIBRATION_LIMITS,
+} from "./constants.js";
+import { getStorage, createRegistryKey } from "./storage.js";
+
+const STORAGE_KEY = "imagen-printer:printer-profiles";
+const MARGIN_SIDES = ["top", "right", "bottom", "left"];
+
+// Perfiles de impresora calibrados por el usuario
+const printerProfiles = new Map();
+
+/**
+ * Crea un perfil a partir de lo medido en la página de prueba
+ * @param {Object} calibration - {name, measured {width, height} del cuadrado en mm, margins {top, right, bottom, left} en mm}
+ * @returns {Object} Perfil {name, margins, scale {x, y}}
+ */
+export const createPrinterProfile = ({ name, measured = {}, margins = {} }) => {
+  const label = String(name || "").trim();
+  if (!label) {
+    throw new Error("El perfil de impresora necesita un nombre");
+  }
+
+  // Si la impresora imprime el cuadrado más chico, hay que agrandar en la
+  // misma proporción
+  const { squareSize } = CALIBRATION_PAGE;
+  const { minScale, maxScale, maxMargin } = CALIBRATION_LIMITS;
+  const scale = {
+    x: squareSize / Number(measured.width),
+    y: squareSize / Number(measured.height),
+  };
+  if (
+    !Object.values(scale).every(
+      (value) => value >= minScale && value <= maxScale
+    )
+  ) {
+    throw new Error(
+      `El cuadrado medido debe estar entre ${Math.ceil(
+        squareSize / maxScale
+      )} y ${Math.floor(squareSize / minScale)} mm`
+    );
+  }
+
+  const hardwareMargins = {};
+  MARGIN_SIDES.forEach((side) => {
+    const value = Number(margins[side] || 0);
+    if (!(value >= 0 && value <= maxMargin)) {
+      throw new Error(`Los márgenes deben estar entre 0 y ${maxMargin} mm`);
+    }
+    hardwareMargins[side] = value;
+  });
+
+  return { name: label, margins: hardwareMargins, scale };
+};
+
+/**
+ * Genera la clave de registro de un perfil
+ * @param {string} name - Nombre del perfil
+ * @returns {string}
+ */
+export const getPrinterProfileKey = (name) => {
+  return createRegistryKey("PRINTER", name);
+};
+
+/**
+ * Obtiene un perfil por su clave
+ * @param {string|null} key - Clave del perfil; sin clave, el perfil sin calibrar
+ * @returns {Object}
+ */
+export const getPrinterProfile = (key) => {
+  return printerProfiles.get(key) || DEFAULT_PRINTER_PROFILE;
+};
+
+/**
+ * Obtiene los perfiles guardados
+ * @returns {Object} Perfiles por clave
+ */
+export const getAllPrinterProfiles = () => {
+  return Object.fromEntries(printerProfiles);
+};
+
+/**
+ * Margen mínimo del layout para que nada caiga en la zona que la impresora
+ * no alcanza a imprimir
+ * @param {Object} profile - Perfil de impresora
+ * @returns {number} mm
+ */
+export const getMinimumMargin = (profile) => {
+  return Math.max(...MARGIN_SIDES.map((side) => profile.margins[side]));
+};
+
+/**
+ * Registra un perfil y lo guarda para próximas sesiones
+ * @param {Object} profile - Perfil creado con createPrinterProfile
+ * @returns {string} Clave registrada
+ */
+export const registerPrinterProfile = (profile) => {
+  const key = getPrinterProfileKey(profile.name);
+  printerProfiles.set(key, profile);
+  savePrinterProfiles();
+  return key;
+};
+
+/**
+ * Elimina un perfil
+ * @param {string} key - Clave del perfil
+ */
+export const removePrinterProfile = (key) => {
+  printerProfiles.delete(key);
+  savePrinterProfiles();
+};
+
+/**
+ * Guarda los perfiles en localStorage
+ */
+const savePrinterProfiles = () => {
+  const storage = getStorage();
+  if (!storage) return;
+
+  storage.setItem(
+    STORAGE_KEY,
+    JSON.stringify(Object.fromEntries(printerProfiles))
+  );
+};
+
+/**
+ * Carga los perfiles guardados en sesiones anteriores
+ * @returns {Object} Perfiles cargados por clave
+ */
+export const loadPrinterProfiles = () => {
+  const storage = getStorage();
+  if (!storage) return {};
+
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY) || "{}");
+    Object.entries(saved).forEach(([key, { name, margins, scale }]) => {
+      printerProfiles.set(
+        key,
+        createPrinterProfile({
+          name,
+          margins,
+          measured: {
+            width: CALIBRATION_PAGE.squareSize / scale.x,
+            height: CALIBRATION_PAGE.squareSize / scale.y,
+          },
+        })
+      );
+    });
+  } catch (error) {
+    console.error("No se pudieron cargar los perfiles de impresora:", error);
+  }
+
+  return Object.fromEntries(printerProfiles);
+};
@@ -0,0 +1,94 @@
+// src/utils/qualityAnalysis.js
+import { QUALITY_LEVELS, MIN_EFFECTIVE_DPI } from "./constants.js";
+import { calculatePatternLayout } from "./posterLayout.js";
+import { getAllPatterns } from "./patternRegistry.js";
+
+/**
+ * Obtiene el nivel de calidad correspondiente a unos DPI efectivos
+ * @param {number} dpi - DPI efectivos
+ * @returns {Object} Nivel de QUALITY_LEVELS
+ */
+export const getQualityLevel = (dpi) => {
+  return QUALITY_LEVELS.find((level) => dpi >= level.minDpi);
+};
+
+/**
+ * Calcula los DPI efectivos de una parte: píxeles de la imagen original
+ * por pulgada impresa, tomando el eje más desfavorable
+ * @param {Object} tile - Parte del layout con source (px) y printSize (mm)
+ * @returns {number}
+ */
+export const calculateEffectiveDpi = (tile) => {
+  const { source, printSize } = tile;
+  return Math.min(
+    (source.width * 25.4) / printSize.width,
+    (source.height * 25.4) / printSize.height
+  );
+};
+
+/**
+ * Analiza la resolución efectiva de cada parte de un layout
+ * @param {Object} layout - Layout calculado (con tiles y posterSize)
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ * @param {number} minDpi - Umbral por debajo del cual se avisa
+ * @returns {Object} Calidad por parte, calidad global y tamaño máximo recomendado
+ */
+export const analyzeLayoutQuality = (
+  layout,
+  imageInfo,
+  minDpi = MIN_EFFECTIVE_DPI
+) => {
+  const tiles = layout.tiles.map((tile, index) => {
+    const effectiveDpi = Math.round(calculateEffectiveDpi(tile));
+    return {
+      partNumber: index + 1,
+      position: tile.position,
+      effectiveDpi,
+      quality: getQualityLevel(effectiveDpi),
+    };
+  });
+
+  const effectiveDpi = Math.min(...tiles.map((tile) => tile.effectiveDpi));
+
+  return {
+    tiles,
+    effectiveDpi,
+    quality: getQualityLevel(effectiveDpi),
+    isLowQuality: effectiveDpi < minDpi,
+    minDpi,
+    // Tamaño máximo del póster que mantiene el umbral de calidad
+    maxPosterSize: {
+      width: (imageInfo.width * 25.4) / minDpi,
+      height: (imageInfo.height * 25.4) / minDpi,
+    },
+  };
+};
+
+/**
+ * Busca los patrones registrados que alcanzan el umbral de calidad,
+ * ordenados del póster más grande al más pequeño
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ * @param {Object} options - {margin, overlap, minDpi}
+ * @returns {Array<Object>} [{key, pattern, effectiveDpi, posterSize}]
+ */
+export const suggestPatterns = (imageInfo, options = {}) => {
+  const { minDpi = MIN_EFFECTIVE_DPI, ...layoutOptions } = options;
+
+  return Object.entries(getAllPatterns())
+    .flatMap(([key, pattern]) => {
+      try {
+        const layout = calculatePatternLayout(imageInfo, pattern, layoutOptions);
+        const { effectiveDpi } = analyzeLayoutQuality(layout, imageInfo, minDpi);
+        return [{ key, pattern, effectiveDpi, posterSize: layout.posterSize }];
+      } catch {
+        // Patrones incompatibles con el margen o solapamiento actual
+        return [];
+      }
+    })
+    .filter((suggestion) => suggestion.effectiveDpi >= minDpi)
+    .sort(
+      (a, b) =>
+        b.posterSize.width * b.posterSize.height -
+        a.posterSize.width * a.posterSize.height
+    );
+};
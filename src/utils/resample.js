@@ -0,0 +1,59 @@
+// src/utils/resample.js
+
+/**
+ * Dibuja un área de una imagen en un canvas con el tamaño indicado. Las
+ * reducciones grandes se hacen a la mitad en pasos sucesivos para evitar
+ * el aliasing del escalado directo. Funciona con canvas del DOM y con
+ * OffscreenCanvas en un worker
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas de destino; se redimensiona
+ * @param {CanvasImageSource} image - Imagen de origen
+ * @param {Object} source - Área de origen {x, y, width, height} en px
+ * @param {number} width - Ancho de destino en px
+ * @param {number} height - Alto de destino en px
+ * @param {Function} createCanvas - (width, height) => canvas para los pasos intermedios
+ */
+export const drawResampled = (
+  canvas,
+  image,
+  source,
+  width,
+  height,
+  createCanvas
+) => {
+  let current = image;
+  let { x, y, width: sourceWidth, height: sourceHeight } = source;
+
+  while (sourceWidth / 2 >= width && sourceHeight / 2 >= height) {
+    const stepCanvas = createCanvas(
+      Math.ceil(sourceWidth / 2),
+      Math.ceil(sourceHeight / 2)
+    );
+
+    const stepCtx = stepCanvas.getContext("2d");
+    stepCtx.imageSmoothingEnabled = true;
+    stepCtx.imageSmoothingQuality = "high";
+    stepCtx.drawImage(
+      current,
+      x, y, sourceWidth, sourceHeight,
+      0, 0, stepCanvas.width, stepCanvas.height
+    );
+
+    current = stepCanvas;
+    x = 0;
+    y = 0;
+    sourceWidth = stepCanvas.width;
+    sourceHeight = stepCanvas.height;
+  }
+
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, width, height);
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(
+    current,
+    x, y, sourceWidth, sourceHeight, // Área de origen
+    0, 0, width, height // Área de destino
+  );
+};
@@ -0,0 +1,37 @@
+// src/utils/storage.js
+// Persistencia de los registros del usuario (papeles, perfiles de impresora)
+
+/**
+ * Obtiene el almacenamiento persistente si está disponible (no existe en Node)
+ * @returns {Storage|null}
+ */
+export const getStorage = () => {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Genera la clave de registro de un elemento a partir de su nombre, sin
+ * acentos ni símbolos. Un nombre que se queda sin letras ni números no
+ * tendría clave propia y pisaría a otro con el mismo problema
+ * @param {string} prefix - Prefijo del registro (p. ej. 'USER')
+ * @param {string} name - Nombre del elemento
+ * @returns {string}
+ */
+export const createRegistryKey = (prefix, name) => {
+  const slug = name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-zA-Z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .toUpperCase();
+  if (!slug) {
+    throw new Error(
+      `El nombre "${name}" debe tener al menos una letra o un número`
+    );
+  }
+  return `${prefix}_${slug}`;
+};
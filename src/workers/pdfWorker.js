@@ -0,0 +1,94 @@
+// src/workers/pdfWorker.js
+// Genera el PDF fuera del hilo principal: cada parte se recorta de un
+// ImageBitmap en un OffscreenCanvas, se codifica, se escribe en el PDF y se
+// libera antes de pasar a la siguiente
+import PDFGenerator from "../modules/pdfGenerator.js";
+import { registerPaperSize } from "../utils/paperRegistry.js";
+import { getMimeType } from "../utils/imageEncoding.js";
+import { drawResampled } from "../utils/resample.js";
+
+const createCanvas = (width, height) => new OffscreenCanvas(width, height);
+
+/**
+ * Codifica un OffscreenCanvas; JPEG se compone sobre blanco
+ * @param {OffscreenCanvas} canvas - Canvas a codificar
+ * @param {Object} encoding - Codificación resuelta {format, quality}
+ * @returns {Promise<Object>} {bytes, format}
+ */
+const encodeCanvas = async (canvas, { format, quality }) => {
+  let output = canvas;
+
+  if (format === "jpeg") {
+    output = createCanvas(canvas.width, canvas.height);
+    const ctx = output.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, output.width, output.height);
+    ctx.drawImage(canvas, 0, 0);
+  }
+
+  const blob = await output.convertToBlob({ type: getMimeType(format), quality });
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), format };
+};
+
+/**
+ * Recorta, reescala y codifica un área de la imagen
+ * @param {ImageBitmap} bitmap - Imagen completa
+ * @param {Object} source - Área de origen en px
+ * @param {Object} dimensions - Tamaño de destino {width, height} en px
+ * @param {Object} encoding - Codificación resuelta
+ * @returns {Promise<Object>} {bytes, format}
+ */
+const renderRegion = async (bitmap, source, { width, height }, encoding) => {
+  const canvas = createCanvas(width, height);
+  drawResampled(canvas, bitmap, source, width, height, createCanvas);
+  const encoded = await encodeCanvas(canvas, encoding);
+
+  // Liberar la memoria del canvas sin esperar al recolector
+  canvas.width = 0;
+  canvas.height = 0;
+  return encoded;
+};
+
+self.onmessage = async ({ data }) => {
+  const { bitmap, parts, encoding, source, customPapers, pdfOptions } = data;
+  const total = parts.length;
+
+  try {
+    // Los papeles personalizados viven en localStorage, que no existe aquí
+    customPapers.forEach((paper) => registerPaperSize(paper));
+
+    const onProgress = (progress) =>
+      self.postMessage({ type: "progress", ...progress });
+
+    // El paso se informa antes de dibujar la imagen compartida; el
+    // generador no lo repite
+    onProgress({ step: "prepare", current: 0, total });
+    let sharedSource = null;
+    if (source) {
+      sharedSource = {
+        ...source,
+        image: await renderRegion(
+          bitmap,
+          { x: 0, y: 0, width: bitmap.width, height: bitmap.height },
+          source,
+          encoding
+        ),
+      };
+    }
+
+    const bytes = await new PDFGenerator().generatePDF(parts, {
+      ...pdfOptions,
+      source: sharedSource,
+      onProgress: (progress) => {
+        if (progress.step !== "prepare") onProgress(progress);
+      },
+      renderPart: (part) =>
+        renderRegion(bitmap, part.source, part.dimensions, encoding),
+    });
+
+    bitmap.close();
+    self.postMessage({ type: "done", buffer: bytes.buffer }, [bytes.buffer]);
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};
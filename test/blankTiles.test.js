@@ -0,0 +1,156 @@
+// test/blankTiles.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  countInk,
+  isBlankRegion,
+  isBlankSource,
+} from "../src/utils/blankTiles.js";
+import { BLANK_TILE_TOLERANCE } from "../src/utils/constants.js";
+
+/**
+ * Crea una imagen RGBA de un solo color
+ * @param {number} width - Ancho en px
+ * @param {number} height - Alto en px
+ * @param {number} value - Gris 0-255
+ * @param {number} alpha - Opacidad 0-255
+ * @returns {Object} {width, height, data}
+ */
+const createImage = (width, height, value = 255, alpha = 255) => {
+  const data = new Uint8ClampedArray(width * height * 4).fill(value);
+  for (let offset = 3; offset < data.length; offset += 4) data[offset] = alpha;
+  return { width, height, data };
+};
+
+/**
+ * Pinta un píxel de gris
+ * @param {Object} image - Imagen de createImage
+ * @param {number} x - Columna
+ * @param {number} y - Fila
+ * @param {number} value - Gris 0-255
+ */
+const setPixel = (image, x, y, value) => {
+  const offset = (y * image.width + x) * 4;
+  image.data.fill(value, offset, offset + 3);
+};
+
+/**
+ * Reduce una imagen promediando bloques, como la muestra de la vista previa
+ * @param {Object} image - Imagen de createImage
+ * @param {number} factor - Lado del bloque en px
+ * @returns {Object} Imagen reducida
+ */
+const downsample = (image, factor) => {
+  const sample = createImage(image.width / factor, image.height / factor);
+  for (let y = 0; y < sample.height; y++) {
+    for (let x = 0; x < sample.width; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < factor; dy++) {
+        for (let dx = 0; dx < factor; dx++) {
+          const offset = (y * factor + dy) * image.width + x * factor + dx;
+          sum += image.data[offset * 4];
+        }
+      }
+      setPixel(sample, x, y, Math.round(sum / factor ** 2));
+    }
+  }
+  return sample;
+};
+
+/**
+ * Lector de filas para isBlankSource sobre una imagen en memoria
+ * @param {Object} image - Imagen de createImage
+ * @param {Object} source - Área {x, y, width, height} en px
+ * @param {Array<number>} reads - Recibe la cantidad de filas de cada lectura
+ * @returns {Function}
+ */
+const createRowReader = (image, source, reads = []) => (y, rows) => {
+  reads.push(rows);
+  const band = createImage(source.width, rows);
+  for (let row = 0; row < rows; row++) {
+    const start = ((source.y + y + row) * image.width + source.x) * 4;
+    band.data.set(
+      image.data.subarray(start, start + source.width * 4),
+      row * source.width * 4
+    );
+  }
+  return band;
+};
+
+describe("isBlankRegion", () => {
+  it("tolera unas pocas motas sueltas", () => {
+    const image = createImage(400, 300);
+    [
+      [10, 10],
+      [200, 150],
+      [390, 290],
+    ].forEach(([x, y]) => setPixel(image, x, y, 0));
+    const rect = { x: 0, y: 0, width: 400, height: 300 };
+
+    assert.equal(countInk(image, rect), 3);
+    assert.equal(isBlankRegion(image, rect), true);
+  });
+
+  it("cuenta una línea fina en una hoja grande como contenido", () => {
+    const image = createImage(2000, 1500);
+    for (let x = 0; x < 2000; x++) setPixel(image, x, 700, 60);
+
+    assert.equal(
+      isBlankRegion(image, { x: 0, y: 0, width: 2000, height: 1500 }),
+      false
+    );
+    // Solo mira el área pedida
+    assert.equal(
+      isBlankRegion(image, { x: 0, y: 0, width: 2000, height: 700 }),
+      true
+    );
+  });
+
+  it("trata como vacío lo transparente y lo casi blanco", () => {
+    const rect = { x: 0, y: 0, width: 10, height: 10 };
+    assert.equal(isBlankRegion(createImage(10, 10, 0, 0), rect), true);
+
+    const paper = createImage(10, 10, 255 - BLANK_TILE_TOLERANCE.color);
+    assert.equal(isBlankRegion(paper, rect), true);
+  });
+});
+
+describe("isBlankSource", () => {
+  // Una línea gris de 1 px en una hoja casi vacía
+  const image = createImage(512, 256);
+  for (let x = 0; x < 512; x++) setPixel(image, x, 100, 200);
+  const source = { x: 0, y: 0, width: 512, height: 256 };
+
+  it("encuentra la línea que la muestra reducida confunde con blanco", () => {
+    const sample = downsample(image, 8);
+    assert.equal(
+      isBlankRegion(sample, { x: 0, y: 0, width: 64, height: 32 }),
+      true,
+      "la muestra ya no debería ver la línea"
+    );
+    assert.equal(isBlankSource(source, createRowReader(image, source)), false);
+  });
+
+  it("confirma una parte vacía leyendo por franjas", () => {
+    const empty = { x: 0, y: 128, width: 512, height: 128 };
+    const reads = [];
+    assert.equal(
+      isBlankSource(empty, createRowReader(image, empty, reads)),
+      true
+    );
+    assert.equal(
+      reads.reduce((total, rows) => total + rows, 0),
+      empty.height
+    );
+  });
+
+  it("deja de leer en cuanto supera la tinta tolerada", () => {
+    const dark = createImage(2048, 4096, 0);
+    const area = { x: 0, y: 0, width: 2048, height: 4096 };
+    const reads = [];
+    const reader = createRowReader(dark, area, reads);
+    assert.equal(isBlankSource(area, reader), false);
+    assert.equal(reads.length, 1);
+    assert.ok(reads[0] < area.height);
+  });
+});
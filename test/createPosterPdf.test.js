@@ -0,0 +1,61 @@
+// test/createPosterPdf.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createPosterPdf } from "../src/node/createPosterPdf.js";
+
+// Las opciones se validan antes de cargar la imagen, así que no hace falta una
+const image = Buffer.alloc(0);
+const target = { dimension: "width", value: 50, unit: "cm" };
+
+describe("createPosterPdf", () => {
+  it("rechaza DPI que no sean positivos", async () => {
+    for (const dpi of [0, -300, NaN]) {
+      await assert.rejects(createPosterPdf(image, { dpi }), /DPI deben ser/);
+    }
+  });
+
+  it("rechaza márgenes negativos", async () => {
+    await assert.rejects(
+      createPosterPdf(image, { margin: -5 }),
+      /margen no puede ser negativo/
+    );
+  });
+
+  it("rechaza una calidad fuera de 0 a 1", async () => {
+    for (const quality of [0, 1.5]) {
+      await assert.rejects(
+        createPosterPdf(image, { encoding: { format: "jpeg", quality } }),
+        /calidad JPEG debe estar entre 0 y 1/
+      );
+    }
+  });
+
+  it("rechaza tamaños finales y unidades inválidos", async () => {
+    for (const value of [0, -20, NaN]) {
+      await assert.rejects(
+        createPosterPdf(image, { target: { ...target, value } }),
+        /tamaño final debe ser mayor que cero/
+      );
+    }
+    await assert.rejects(
+      createPosterPdf(image, { target: { ...target, unit: "furlong" } }),
+      /Unidad no soportada: furlong \(mm, cm, in\)/
+    );
+  });
+
+  it("rechaza orientaciones y sentidos de tiras desconocidos", async () => {
+    await assert.rejects(
+      createPosterPdf(image, {
+        target: { ...target, orientation: "sideways" },
+      }),
+      /Orientación no soportada: sideways/
+    );
+    await assert.rejects(
+      createPosterPdf(image, {
+        target,
+        roll: { rollSize: "ROLL_610", direction: "diagonal" },
+      }),
+      /Sentido de tiras no soportado: diagonal/
+    );
+  });
+});
@@ -0,0 +1,291 @@
+// test/imageTransform.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createTransform,
+  normalizeAngle,
+  isIdentityTransform,
+  getCropRect,
+  getRotatedSize,
+  getTransformGeometry,
+  drawTransformed,
+} from "../src/utils/imageTransform.js";
+import {
+  TRANSFORM_LIMITS,
+  MAX_CANVAS_SIZE,
+  MAX_CANVAS_AREA,
+} from "../src/utils/constants.js";
+
+// Tolerancia para comparar px
+const TOLERANCE = 1e-9;
+
+const imageInfo = { width: 400, height: 300 };
+const crop = { x: 50, y: 20, width: 200, height: 100 };
+
+/**
+ * Contexto 2D mínimo que sigue la matriz de transformación y anota dónde
+ * caen las esquinas de cada imagen dibujada
+ * @returns {Object} Contexto con draws [{source, corners}]
+ */
+const createRecordingContext = () => {
+  let matrix = [1, 0, 0, 1, 0, 0];
+  const stack = [];
+  const draws = [];
+  const multiply = (a, b, c, d, e, f) => {
+    const [A, B, C, D, E, F] = matrix;
+    matrix = [
+      A * a + C * b,
+      B * a + D * b,
+      A * c + C * d,
+      B * c + D * d,
+      A * e + C * f + E,
+      B * e + D * f + F,
+    ];
+  };
+  const apply = (x, y) => [
+    matrix[0] * x + matrix[2] * y + matrix[4],
+    matrix[1] * x + matrix[3] * y + matrix[5],
+  ];
+
+  return {
+    draws,
+    save: () => stack.push(matrix),
+    restore: () => (matrix = stack.pop()),
+    translate: (x, y) => multiply(1, 0, 0, 1, x, y),
+    scale: (x, y) => multiply(x, 0, 0, y, 0, 0),
+    rotate: (angle) => {
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      multiply(cos, sin, -sin, cos, 0, 0);
+    },
+    drawImage: (image, sx, sy, sw, sh, dx, dy, dw, dh) => {
+      draws.push({
+        source: { x: sx, y: sy, width: sw, height: sh },
+        corners: {
+          topLeft: apply(dx, dy),
+          topRight: apply(dx + dw, dy),
+          bottomLeft: apply(dx, dy + dh),
+          bottomRight: apply(dx + dw, dy + dh),
+        },
+      });
+    },
+  };
+};
+
+/**
+ * Dibuja el recorte con una transformación y devuelve dónde quedan sus
+ * esquinas en el marco de salida
+ * @param {Object} overrides - Valores de createTransform
+ * @returns {Object} {geometry, source, corners}
+ */
+const drawCorners = (overrides) => {
+  const geometry = getTransformGeometry(imageInfo, createTransform(overrides));
+  const ctx = createRecordingContext();
+  drawTransformed(ctx, null, geometry);
+  return { geometry, ...ctx.draws[0] };
+};
+
+/**
+ * Compara un punto con tolerancia
+ * @param {Array<number>} actual - [x, y]
+ * @param {Array<number>} expected - [x, y]
+ */
+const assertPoint = (actual, expected) => {
+  assert.ok(
+    Math.abs(actual[0] - expected[0]) < 1e-6 &&
+      Math.abs(actual[1] - expected[1]) < 1e-6,
+    `${actual} no es ${expected}`
+  );
+};
+
+describe("createTransform", () => {
+  it("normaliza el giro y copia el recorte", () => {
+    const transform = createTransform({ rotation: 270, crop });
+    assert.equal(transform.rotation, -90);
+    assert.deepEqual(transform.crop, crop);
+    assert.notEqual(transform.crop, crop);
+    assert.equal(normalizeAngle(-180), 180);
+    assert.equal(normalizeAngle(540), 180);
+  });
+
+  it("limita el zoom a su rango", () => {
+    const { min, max } = TRANSFORM_LIMITS.zoom;
+    assert.equal(createTransform({ zoom: 50 }).zoom, max);
+    assert.equal(createTransform({ zoom: 0.001 }).zoom, min);
+    assert.equal(createTransform({ zoom: 1.5 }).zoom, 1.5);
+    assert.throws(() => createTransform({ zoom: 0 }), /mayor que cero/);
+    assert.throws(() => createTransform({ zoom: NaN }), /mayor que cero/);
+  });
+
+  it("no deja que el centro de la imagen salga del marco", () => {
+    const limit = TRANSFORM_LIMITS.pan;
+    const { pan } = createTransform({ pan: { x: 3, y: -2 } });
+    assert.deepEqual(pan, { x: limit, y: -limit });
+    assert.deepEqual(createTransform({ pan: { x: 0.25 } }).pan, {
+      x: 0.25,
+      y: 0,
+    });
+
+    // En el límite el centro queda justo en el borde del marco
+    const geometry = getTransformGeometry(
+      imageInfo,
+      createTransform({ pan: { x: 10, y: 10 } })
+    );
+    assert.equal(geometry.centerX, geometry.width);
+    assert.equal(geometry.centerY, geometry.height);
+  });
+
+  it("rechaza modos de ajuste desconocidos", () => {
+    assert.throws(
+      () => createTransform({ fitMode: "zoom" }),
+      /Modo de ajuste no soportado: zoom/
+    );
+  });
+
+  it("reconoce la transformación que no cambia nada", () => {
+    assert.equal(isIdentityTransform(createTransform()), true);
+    assert.equal(isIdentityTransform(createTransform({ flipV: true })), false);
+    assert.equal(
+      isIdentityTransform(createTransform({ pan: { x: 0.1 } })),
+      false
+    );
+  });
+});
+
+describe("getCropRect", () => {
+  it("usa la imagen entera sin recorte", () => {
+    assert.deepEqual(getCropRect(imageInfo, null), {
+      x: 0,
+      y: 0,
+      width: 400,
+      height: 300,
+    });
+  });
+
+  it("redondea y recorta a los bordes de la imagen", () => {
+    assert.deepEqual(
+      getCropRect(imageInfo, { x: -10.4, y: 250.6, width: 500, height: 80 }),
+      { x: 0, y: 251, width: 400, height: 49 }
+    );
+    // Nunca queda vacío, aunque empiece fuera de la imagen
+    assert.deepEqual(
+      getCropRect(imageInfo, { x: 900, y: 900, width: 10, height: 10 }),
+      { x: 399, y: 299, width: 1, height: 1 }
+    );
+  });
+});
+
+describe("getTransformGeometry", () => {
+  it("gira el recorte: 90° intercambia los lados", () => {
+    const geometry = getTransformGeometry(
+      imageInfo,
+      createTransform({ crop, rotation: 90 })
+    );
+    assert.deepEqual(geometry.crop, crop);
+    assert.equal(geometry.width, 100);
+    assert.equal(geometry.height, 200);
+    assert.equal(geometry.centerX, 50);
+    assert.equal(geometry.centerY, 100);
+  });
+
+  it("da al giro libre la caja que lo contiene", () => {
+    const size = getRotatedSize(crop, 30);
+    const cos = Math.cos(Math.PI / 6);
+    const sin = Math.sin(Math.PI / 6);
+    assert.ok(Math.abs(size.width - (200 * cos + 100 * sin)) < TOLERANCE);
+    assert.ok(Math.abs(size.height - (200 * sin + 100 * cos)) < TOLERANCE);
+
+    const geometry = getTransformGeometry(
+      imageInfo,
+      createTransform({ crop, rotation: 30 })
+    );
+    assert.equal(geometry.width, Math.round(size.width));
+    assert.equal(geometry.height, Math.round(size.height));
+  });
+
+  it("ajusta el marco a la proporción del póster", () => {
+    // Imagen 4:3 en un póster cuadrado
+    const frame = (fitMode) =>
+      getTransformGeometry(imageInfo, createTransform({ fitMode }), 1);
+
+    assert.deepEqual([frame("fit").width, frame("fit").height], [400, 400]);
+    assert.deepEqual([frame("fill").width, frame("fill").height], [300, 300]);
+    const stretch = frame("stretch");
+    assert.deepEqual([stretch.width, stretch.height], [400, 400]);
+    assert.equal(stretch.scaleX, 1);
+    assert.ok(Math.abs(stretch.scaleY - 4 / 3) < TOLERANCE);
+    // Sin proporción del póster manda la imagen
+    const original = getTransformGeometry(
+      imageInfo,
+      createTransform({ fitMode: "fit" })
+    );
+    assert.deepEqual([original.width, original.height], [400, 300]);
+  });
+
+  it("reduce la resolución a los límites del canvas", () => {
+    const huge = { width: MAX_CANVAS_SIZE * 3, height: MAX_CANVAS_SIZE };
+    const geometry = getTransformGeometry(huge, createTransform({ zoom: 2 }));
+    assert.ok(geometry.width <= MAX_CANVAS_SIZE);
+    assert.ok(geometry.width * geometry.height <= MAX_CANVAS_AREA);
+    // El zoom se mantiene relativo al marco reducido
+    const limit = geometry.width / huge.width;
+    assert.ok(Math.abs(geometry.scaleX - 2 * limit) < 1e-4);
+  });
+});
+
+describe("drawTransformed", () => {
+  it("sin giro ni volteo dibuja el recorte llenando el marco", () => {
+    const { geometry, source, corners } = drawCorners({ crop });
+    assert.deepEqual(source, crop);
+    assertPoint(corners.topLeft, [0, 0]);
+    assertPoint(corners.bottomRight, [geometry.width, geometry.height]);
+  });
+
+  it("gira 90° en sentido horario", () => {
+    const { corners } = drawCorners({ crop, rotation: 90 });
+    // La esquina superior izquierda pasa a la superior derecha
+    assertPoint(corners.topLeft, [100, 0]);
+    assertPoint(corners.topRight, [100, 200]);
+    assertPoint(corners.bottomLeft, [0, 0]);
+  });
+
+  it("voltea antes de girar", () => {
+    const { corners } = drawCorners({ crop, rotation: 90, flipH: true });
+    // Volteada en horizontal y girada, la superior izquierda acaba abajo a
+    // la derecha
+    assertPoint(corners.topLeft, [100, 200]);
+    assertPoint(corners.topRight, [100, 0]);
+    assertPoint(corners.bottomLeft, [0, 200]);
+
+    // Es lo mismo que voltear en vertical y girar -90°
+    const same = drawCorners({ crop, rotation: -90, flipV: true });
+    Object.keys(corners).forEach((corner) =>
+      assertPoint(same.corners[corner], corners[corner])
+    );
+  });
+
+  it("voltear en los dos sentidos equivale a girar 180°", () => {
+    const flipped = drawCorners({ crop, flipH: true, flipV: true });
+    const rotated = drawCorners({ crop, rotation: 180 });
+    Object.keys(flipped.corners).forEach((corner) =>
+      assertPoint(flipped.corners[corner], rotated.corners[corner])
+    );
+    assertPoint(flipped.corners.topLeft, [200, 100]);
+  });
+
+  it("desplaza y escala con el zoom y la escala de la copia", () => {
+    const geometry = getTransformGeometry(
+      imageInfo,
+      createTransform({ zoom: 2, pan: { x: 0.25, y: 0 } })
+    );
+    const ctx = createRecordingContext();
+    drawTransformed(ctx, null, geometry, { scale: 0.5, sourceScale: 0.25 });
+    const [{ source, corners }] = ctx.draws;
+
+    // La copia mide un cuarto de la original
+    assert.deepEqual(source, { x: 0, y: 0, width: 100, height: 75 });
+    // Centro en 0.75 del marco y el doble de grande, en una vista a la mitad
+    assertPoint(corners.topLeft, [(300 - 400) * 0.5, (150 - 300) * 0.5]);
+    assertPoint(corners.bottomRight, [(300 + 400) * 0.5, (150 + 300) * 0.5]);
+  });
+});
@@ -0,0 +1,155 @@
+// test/layoutOptimizer.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getGoalPosterSize,
+  optimizeLayouts,
+} from "../src/utils/layoutOptimizer.js";
+import { getSheetGrid, normalizeOverlap } from "../src/utils/posterLayout.js";
+import { getAllPaperSizes, getPaperSize } from "../src/utils/paperRegistry.js";
+import { MAX_SHEETS } from "../src/utils/constants.js";
+
+const imageInfo = { width: 4000, height: 3000 };
+const sizeGoal = {
+  type: "size",
+  target: { dimension: "width", value: 100, unit: "cm" },
+};
+
+describe("getGoalPosterSize", () => {
+  it("usa el tamaño final indicado", () => {
+    const { target, posterSize } = getGoalPosterSize(imageInfo, sizeGoal);
+    assert.equal(target, sizeGoal.target);
+    assert.deepEqual(posterSize, { width: 1000, height: 750 });
+  });
+
+  it("busca el póster más grande que mantiene el DPI mínimo", () => {
+    const { target, posterSize } = getGoalPosterSize(imageInfo, {
+      type: "dpi",
+      minDpi: 150,
+    });
+    // 4000 px a 150 DPI son 677,3 mm: se redondea hacia abajo al mm
+    assert.deepEqual(target, { dimension: "width", value: 67.7, unit: "cm" });
+    assert.ok(Math.abs(posterSize.width - 677) < 1e-9);
+    assert.ok((imageInfo.width * 25.4) / posterSize.width >= 150);
+  });
+
+  it("rechaza un DPI mínimo que no sea positivo", () => {
+    [0, -50, "abc"].forEach((minDpi) => {
+      assert.throws(
+        () => getGoalPosterSize(imageInfo, { type: "dpi", minDpi }),
+        /DPI mínimo debe ser mayor que cero/
+      );
+    });
+  });
+});
+
+describe("optimizeLayouts", () => {
+  const options = { margin: 10, overlap: 0, limit: Infinity };
+
+  it("ordena por hojas y desempata por desperdicio", () => {
+    const { suggestions } = optimizeLayouts(imageInfo, sizeGoal, options);
+    suggestions.slice(1).forEach((suggestion, index) => {
+      const previous = suggestions[index];
+      assert.ok(previous.sheets <= suggestion.sheets);
+      if (previous.sheets === suggestion.sheets) {
+        assert.ok(previous.waste <= suggestion.waste);
+      }
+    });
+  });
+
+  it("ordena por desperdicio y desempata por hojas", () => {
+    const { suggestions } = optimizeLayouts(imageInfo, sizeGoal, {
+      ...options,
+      sortBy: "waste",
+    });
+    suggestions.slice(1).forEach((suggestion, index) => {
+      const previous = suggestions[index];
+      assert.ok(previous.waste <= suggestion.waste);
+      if (previous.waste === suggestion.waste) {
+        assert.ok(previous.sheets <= suggestion.sheets);
+      }
+    });
+  });
+
+  it("devuelve como mucho limit propuestas", () => {
+    const { suggestions } = optimizeLayouts(imageInfo, sizeGoal, {
+      margin: 10,
+      limit: 3,
+    });
+    assert.equal(suggestions.length, 3);
+  });
+
+  it("descarta la orientación horizontal que no ahorra hojas", () => {
+    // En un póster cuadrado las dos orientaciones suelen usar las mismas hojas
+    const square = { width: 3000, height: 3000 };
+    const { suggestions, posterSize } = optimizeLayouts(
+      square,
+      sizeGoal,
+      options
+    );
+    const overlap = normalizeOverlap(0);
+    let dropped = 0;
+
+    Object.keys(getAllPaperSizes()).forEach((paperSize) => {
+      const grid = (landscape) =>
+        getSheetGrid(posterSize, { paperSize, landscape, margin: 10, overlap });
+      const portrait = grid(false);
+      const landscape = grid(true);
+      const listed = suggestions.filter((s) => s.paperSize === paperSize);
+      const repeated =
+        portrait.sheets <= MAX_SHEETS && landscape.sheets === portrait.sheets;
+
+      if (portrait.sheets <= MAX_SHEETS) {
+        assert.ok(listed.some((s) => !s.landscape));
+      }
+      assert.equal(
+        listed.some((s) => s.landscape),
+        landscape.sheets <= MAX_SHEETS && !repeated
+      );
+      if (repeated) dropped++;
+    });
+    assert.ok(dropped > 0);
+  });
+
+  it("solo propone papeles que caben en el máximo", () => {
+    const maxPaper = getPaperSize("A3");
+    const { suggestions } = optimizeLayouts(imageInfo, sizeGoal, {
+      ...options,
+      maxPaperSize: "A3",
+    });
+
+    assert.ok(suggestions.length > 0);
+    suggestions.forEach(({ paperSize }) => {
+      const paper = getPaperSize(paperSize);
+      assert.ok(Math.min(paper.width, paper.height) <= maxPaper.width);
+      assert.ok(Math.max(paper.width, paper.height) <= maxPaper.height);
+    });
+    assert.ok(suggestions.some(({ paperSize }) => paperSize === "A3"));
+    assert.ok(!suggestions.some(({ paperSize }) => paperSize === "A2"));
+  });
+
+  it("informa los DPI efectivos del objetivo por DPI", () => {
+    const result = optimizeLayouts(
+      imageInfo,
+      { type: "dpi", minDpi: 200 },
+      options
+    );
+    assert.ok(result.effectiveDpi >= 200);
+    assert.equal(result.isLowQuality, false);
+  });
+
+  it("falla si ningún papel cubre el póster con el máximo de hojas", () => {
+    assert.throws(
+      () =>
+        optimizeLayouts(
+          imageInfo,
+          {
+            type: "size",
+            target: { dimension: "width", value: 1000, unit: "cm" },
+          },
+          { margin: 10, maxPaperSize: "A6" }
+        ),
+      new RegExp(`Ningún papel cubre el póster con ${MAX_SHEETS} hojas`)
+    );
+  });
+});
@@ -0,0 +1,167 @@
+// test/photoSheet.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  packPhotos,
+  calculatePhotoSheetLayout,
+} from "../src/utils/photoSheet.js";
+
+// Tolerancia para comparar medidas en mm
+const TOLERANCE = 1e-6;
+
+/**
+ * Comprueba que las celdas quedan dentro del área, con la separación
+ * pedida entre ellas y con el tamaño de la foto (girada o no)
+ * @param {Array<Object>} cells - Celdas {x, y, width, height, rotated}
+ * @param {Object} bounds - {x, y, width, height} disponible en mm
+ * @param {Object} photoSize - {width, height} en mm
+ * @param {number} spacing - Separación en mm
+ */
+const assertCells = (cells, bounds, photoSize, spacing) => {
+  cells.forEach((cell) => {
+    const size = cell.rotated
+      ? { width: photoSize.height, height: photoSize.width }
+      : photoSize;
+    assert.equal(cell.width, size.width);
+    assert.equal(cell.height, size.height);
+    assert.ok(cell.x >= bounds.x - TOLERANCE);
+    assert.ok(cell.y >= bounds.y - TOLERANCE);
+    assert.ok(cell.x + cell.width <= bounds.x + bounds.width + TOLERANCE);
+    assert.ok(cell.y + cell.height <= bounds.y + bounds.height + TOLERANCE);
+  });
+
+  cells.forEach((a, index) => {
+    cells.slice(index + 1).forEach((b) => {
+      const apart =
+        a.x + a.width + spacing <= b.x + TOLERANCE ||
+        b.x + b.width + spacing <= a.x + TOLERANCE ||
+        a.y + a.height + spacing <= b.y + TOLERANCE ||
+        b.y + b.height + spacing <= a.y + TOLERANCE;
+      assert.ok(apart, "dos fotos se pisan");
+    });
+  });
+};
+
+describe("packPhotos", () => {
+  it("cuenta la foto que entra justa aunque la suma flotante se pase", () => {
+    // 3 × 30,1 da 90,30000000000001 en coma flotante
+    const photo = { width: 30.1, height: 30.1 };
+    const area = { width: 90.3, height: 30.1 };
+    const cells = packPhotos(area, photo, 0, false);
+    assert.equal(cells.length, 3);
+    assertCells(cells, { x: 0, y: 0, ...area }, photo, 0);
+
+    // Una centésima menos ya no alcanza
+    const short = { width: 90.29, height: 30.1 };
+    assert.equal(packPhotos(short, photo, 0, false).length, 2);
+  });
+
+  it("aprovecha la franja que sobra con fotos giradas", () => {
+    const photo = { width: 40, height: 60 };
+    const area = { width: 100, height: 100 };
+    const cells = packPhotos(area, photo, 0);
+
+    // La grilla sin girar deja una franja de 40 mm donde entra una girada
+    assert.equal(cells.length, 3);
+    assert.equal(cells.filter((cell) => cell.rotated).length, 1);
+    assertCells(cells, { x: 0, y: 0, ...area }, photo, 0);
+  });
+
+  it("respeta la separación también en la franja girada", () => {
+    const photo = { width: 40, height: 60 };
+    const area = { width: 100, height: 105 };
+    const cells = packPhotos(area, photo, 5);
+    assert.equal(cells.length, 3);
+    assertCells(cells, { x: 0, y: 0, ...area }, photo, 5);
+  });
+
+  it("sin permitir giros usa solo la grilla derecha", () => {
+    const photo = { width: 40, height: 60 };
+    const area = { width: 100, height: 100 };
+    const cells = packPhotos(area, photo, 0, false);
+    assert.equal(cells.length, 2);
+    assert.ok(cells.every((cell) => !cell.rotated));
+  });
+
+  it("no devuelve celdas si la foto no entra", () => {
+    const area = { width: 50, height: 50 };
+    assert.deepEqual(packPhotos(area, { width: 60, height: 40 }, 0), []);
+  });
+});
+
+describe("calculatePhotoSheetLayout", () => {
+  it("llena justo el área imprimible de la hoja", () => {
+    // A4 con 10 mm de margen deja 190 × 277: entran 2 × 2 justas
+    const photoSize = { width: 95, height: 138.5 };
+    const layout = calculatePhotoSheetLayout({
+      paperSize: "A4",
+      margin: 10,
+      photoSize,
+    });
+    assert.equal(layout.perSheet, 4);
+    assert.equal(layout.landscape, false);
+    assertCells(
+      layout.cells,
+      { x: 10, y: 10, width: 190, height: 277 },
+      photoSize,
+      0
+    );
+  });
+
+  it("centra las fotos cuando sobra lugar", () => {
+    const photoSize = { width: 90, height: 130 };
+    const layout = calculatePhotoSheetLayout({
+      paperSize: "A4",
+      margin: 10,
+      photoSize,
+      allowRotate: false,
+    });
+    const left = Math.min(...layout.cells.map((cell) => cell.x));
+    const right = Math.max(...layout.cells.map((cell) => cell.x + cell.width));
+    const top = Math.min(...layout.cells.map((cell) => cell.y));
+    const bottom = Math.max(
+      ...layout.cells.map((cell) => cell.y + cell.height)
+    );
+    assert.ok(Math.abs(left - (210 - right)) < TOLERANCE);
+    assert.ok(Math.abs(top - (297 - bottom)) < TOLERANCE);
+  });
+
+  it("elige la orientación horizontal si entran más fotos", () => {
+    const layout = calculatePhotoSheetLayout({
+      paperSize: "A4",
+      margin: 10,
+      photoSize: { width: 130, height: 90 },
+      allowRotate: false,
+    });
+    assert.equal(layout.landscape, true);
+    assert.deepEqual(layout.pageSize, { width: 297, height: 210 });
+    assert.equal(layout.perSheet, 4);
+  });
+
+  it("falla si la foto es más grande que el área imprimible", () => {
+    assert.throws(
+      () =>
+        calculatePhotoSheetLayout({
+          paperSize: "A4",
+          margin: 10,
+          photoSize: { width: 200, height: 300 },
+        }),
+      /La foto no cabe en el área imprimible/
+    );
+  });
+
+  it("rechaza tamaños y separaciones inválidos", () => {
+    assert.throws(
+      () => calculatePhotoSheetLayout({ photoSize: { width: 0, height: 10 } }),
+      /tamaño de la foto debe ser mayor que cero/
+    );
+    assert.throws(
+      () =>
+        calculatePhotoSheetLayout({
+          photoSize: { width: 10, height: 10 },
+          spacing: -1,
+        }),
+      /separación no puede ser negativa/
+    );
+  });
+});
@@ -0,0 +1,479 @@
+// test/posterLayout.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeOverlap,
+  getTileId,
+  getSheetSize,
+  getPrintableArea,
+  getPatternFrameAspect,
+  getLayoutMargin,
+  calculatePatternLayout,
+  calculateTargetLayout,
+  calculateRollLayout,
+} from "../src/utils/posterLayout.js";
+import { DIVISION_PATTERNS, MAX_SHEETS } from "../src/utils/constants.js";
+import { createPrinterProfile } from "../src/utils/printerProfiles.js";
+
+// Tolerancia para comparar medidas en mm
+const TOLERANCE = 1e-6;
+
+const IMAGE_SIZES = [
+  { width: 4000, height: 3000 },
+  { width: 3000, height: 4000 },
+  { width: 1999, height: 1333 },
+  { width: 7, height: 5 },
+  { width: 1, height: 1 },
+];
+
+const OVERLAPS = [0, 10, { top: 0, right: 5, bottom: 12, left: 0 }];
+
+/**
+ * Comprueba que las partes de un eje cubren la imagen de punta a punta:
+ * la primera empieza en 0, la última termina en el borde y entre vecinas
+ * no queda ningún píxel afuera
+ * @param {Array<Object>} spans - {start, end} en px y solapamiento {before, after} en mm, en orden
+ * @param {number} size - Lado de la imagen en px
+ */
+const assertAxisCoverage = (spans, size) => {
+  assert.equal(spans[0].start, 0);
+  assert.equal(spans[spans.length - 1].end, size);
+  for (let index = 1; index < spans.length; index++) {
+    const previous = spans[index - 1];
+    const current = spans[index];
+    assert.ok(current.start <= previous.end, "hay píxeles sin cubrir");
+    // Sin solapamiento comparten el borde exacto, salvo una parte final de
+    // menos de un píxel, que repite el último
+    const sliver = current.end === size && current.end - current.start === 1;
+    if (!previous.after && !current.before && !sliver) {
+      assert.equal(current.start, previous.end);
+    }
+  }
+};
+
+/**
+ * Comprueba las invariantes de cualquier layout: grilla completa, orígenes
+ * enteros dentro de la imagen que la cubren sin perder píxeles y cada
+ * imagen dentro del área imprimible de su hoja
+ * @param {Object} layout - Layout calculado
+ * @param {Object} imageInfo - {width, height} de la imagen en px
+ */
+const assertLayout = (layout, imageInfo) => {
+  const { rows, cols, tiles, margin, pageSize, posterSize } = layout;
+  assert.equal(tiles.length, rows * cols);
+
+  tiles.forEach((tile, index) => {
+    assert.deepEqual(tile.position, {
+      row: Math.floor(index / cols),
+      col: index % cols,
+    });
+
+    const { source, printSize, placement } = tile;
+    [source.x, source.y, source.width, source.height].forEach((value) =>
+      assert.ok(Number.isInteger(value), "el origen debe ser entero")
+    );
+    assert.ok(source.width >= 1 && source.height >= 1, "parte vacía");
+    assert.ok(source.x >= 0 && source.y >= 0);
+    assert.ok(source.x + source.width <= imageInfo.width);
+    assert.ok(source.y + source.height <= imageInfo.height);
+
+    assert.ok(printSize.width <= layout.tileSize.width + TOLERANCE);
+    assert.ok(printSize.height <= layout.tileSize.height + TOLERANCE);
+    assert.equal(placement.x, margin);
+    assert.equal(placement.y, margin);
+    assert.equal(placement.width, printSize.width);
+    assert.equal(placement.height, printSize.height);
+    assert.ok(
+      placement.x + placement.width <= pageSize.width - margin + TOLERANCE
+    );
+    assert.ok(
+      placement.y + placement.height <= pageSize.height - margin + TOLERANCE
+    );
+  });
+
+  // Las partes de una misma columna (o fila) toman la misma franja
+  const tileAt = (row, col) => tiles[row * cols + col];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      assert.equal(tileAt(row, col).source.x, tileAt(0, col).source.x);
+      assert.equal(
+        tileAt(row, col).source.width,
+        tileAt(0, col).source.width
+      );
+      assert.equal(tileAt(row, col).source.y, tileAt(row, 0).source.y);
+      assert.equal(
+        tileAt(row, col).source.height,
+        tileAt(row, 0).source.height
+      );
+    }
+  }
+
+  assertAxisCoverage(
+    Array.from({ length: cols }, (_, col) => {
+      const { source, overlap } = tileAt(0, col);
+      return {
+        start: source.x,
+        end: source.x + source.width,
+        before: overlap.left,
+        after: overlap.right,
+      };
+    }),
+    imageInfo.width
+  );
+  assertAxisCoverage(
+    Array.from({ length: rows }, (_, row) => {
+      const { source, overlap } = tileAt(row, 0);
+      return {
+        start: source.y,
+        end: source.y + source.height,
+        before: overlap.top,
+        after: overlap.bottom,
+      };
+    }),
+    imageInfo.height
+  );
+
+  // Las áreas en mm llegan al borde del póster
+  const last = tiles[tiles.length - 1];
+  assert.ok(
+    Math.abs(last.area.x + last.area.width - posterSize.width) < TOLERANCE
+  );
+  assert.ok(
+    Math.abs(last.area.y + last.area.height - posterSize.height) < TOLERANCE
+  );
+};
+
+describe("normalizeOverlap", () => {
+  it("reparte un valor global en los cuatro bordes", () => {
+    assert.deepEqual(normalizeOverlap(8), {
+      top: 8,
+      right: 8,
+      bottom: 8,
+      left: 8,
+    });
+  });
+
+  it("completa con 0 los bordes que faltan", () => {
+    assert.deepEqual(normalizeOverlap({ right: 4 }), {
+      top: 0,
+      right: 4,
+      bottom: 0,
+      left: 0,
+    });
+  });
+
+  it("rechaza valores negativos", () => {
+    assert.throws(() => normalizeOverlap(-1), /no puede ser negativo/);
+  });
+});
+
+describe("getTileId", () => {
+  it("usa letra de columna y número de fila", () => {
+    assert.equal(getTileId({ row: 0, col: 0 }), "A1");
+    assert.equal(getTileId({ row: 9, col: 25 }), "Z10");
+    assert.equal(getTileId({ row: 1, col: 26 }), "AA2");
+    assert.equal(getTileId({ row: 0, col: 701 }), "ZZ1");
+    assert.equal(getTileId({ row: 0, col: 702 }), "AAA1");
+  });
+});
+
+describe("getSheetSize y getPrintableArea", () => {
+  it("giran la hoja en horizontal", () => {
+    assert.deepEqual(getSheetSize("A4", false), { width: 210, height: 297 });
+    assert.deepEqual(getSheetSize("A4", true), { width: 297, height: 210 });
+    assert.deepEqual(getPrintableArea("A4", true, 10), {
+      width: 277,
+      height: 190,
+    });
+  });
+
+  it("rechazan papeles desconocidos", () => {
+    assert.throws(() => getSheetSize("A11", false), /no soportado: A11/);
+  });
+
+  it("culpan al margen cuando ocupa toda la hoja", () => {
+    const imageInfo = { width: 4000, height: 3000 };
+    const target = { dimension: "width", value: 100, unit: "cm" };
+    // Más de la mitad de una hoja A4 y de un rollo de 610 mm
+    const options = { margin: 310, overlap: 0 };
+    const margin = /margen de 310 mm no deja área imprimible/;
+
+    assert.throws(() => getPrintableArea("A4", false, 310), margin);
+    [
+      () => getPatternFrameAspect(DIVISION_PATTERNS.A4_2x2, options),
+      () =>
+        calculatePatternLayout(imageInfo, DIVISION_PATTERNS.A4_2x2, options),
+      () => calculateTargetLayout(imageInfo, target, options),
+      () =>
+        calculateRollLayout(imageInfo, target, {
+          ...options,
+          rollSize: "ROLL_610",
+        }),
+    ].forEach((calculate) => assert.throws(calculate, margin));
+
+    // Con un margen que deja lugar, el culpable sigue siendo el solapamiento
+    assert.throws(
+      () =>
+        calculatePatternLayout(imageInfo, DIVISION_PATTERNS.A4_2x2, {
+          margin: 10,
+          overlap: 200,
+        }),
+      /solapamiento es mayor que el área imprimible/
+    );
+  });
+});
+
+describe("getLayoutMargin", () => {
+  const printer = createPrinterProfile({
+    name: "Oficina",
+    measured: { width: 100, height: 100 },
+    margins: { top: 4, right: 3, bottom: 12, left: 3 },
+  });
+
+  it("sube el margen al mínimo que imprime la impresora", () => {
+    assert.equal(getLayoutMargin(5, printer), 12);
+    assert.equal(getLayoutMargin(15, printer), 15);
+    assert.equal(getLayoutMargin(5, null), 5);
+  });
+
+  it("se aplica a todos los layouts", () => {
+    const imageInfo = { width: 4000, height: 3000 };
+    const target = { dimension: "width", value: 100, unit: "cm" };
+    const options = { margin: 5, printer };
+    [
+      calculatePatternLayout(imageInfo, DIVISION_PATTERNS.A4_2x2, options),
+      calculateTargetLayout(imageInfo, target, options),
+      calculateRollLayout(imageInfo, target, options),
+    ].forEach((layout) => {
+      assert.equal(layout.margin, 12);
+      layout.tiles.forEach(({ placement }) => {
+        assert.equal(placement.x, 12);
+        assert.equal(placement.y, 12);
+      });
+      assertLayout(layout, imageInfo);
+    });
+  });
+});
+
+describe("calculatePatternLayout", () => {
+  Object.entries(DIVISION_PATTERNS).forEach(([key, pattern]) => {
+    describe(key, () => {
+      IMAGE_SIZES.forEach((imageInfo) => {
+        OVERLAPS.forEach((overlap) => {
+          const name = `cubre ${imageInfo.width}×${
+            imageInfo.height
+          } px con solapamiento ${JSON.stringify(overlap)}`;
+          it(name, () => {
+            const layout = calculatePatternLayout(imageInfo, pattern, {
+              margin: 10,
+              overlap,
+            });
+            assert.equal(layout.rows, pattern.rows);
+            assert.equal(layout.cols, pattern.cols);
+            assert.deepEqual(
+              layout.pageSize,
+              getSheetSize(pattern.paperSize, pattern.landscape === true)
+            );
+            assertLayout(layout, imageInfo);
+          });
+        });
+      });
+    });
+  });
+
+  it("llena todas las hojas con una imagen de la proporción del patrón", () => {
+    const pattern = DIVISION_PATTERNS.A4_2x2;
+    const options = { margin: 10, overlap: 10 };
+    const aspect = getPatternFrameAspect(pattern, options);
+    const imageInfo = { width: 3000, height: Math.round(3000 / aspect) };
+    const layout = calculatePatternLayout(imageInfo, pattern, options);
+
+    layout.tiles.forEach(({ printSize }) => {
+      assert.ok(Math.abs(printSize.width - layout.tileSize.width) < 0.1);
+      assert.ok(Math.abs(printSize.height - layout.tileSize.height) < 0.1);
+    });
+  });
+
+  it("solapa solo los bordes con hoja vecina", () => {
+    const layout = calculatePatternLayout(
+      { width: 3000, height: 3000 },
+      DIVISION_PATTERNS.A4_2x2,
+      { margin: 10, overlap: 10 }
+    );
+    assert.deepEqual(
+      layout.tiles.map(({ overlap }) => overlap),
+      [
+        { top: 0, right: 10, bottom: 10, left: 0 },
+        { top: 0, right: 0, bottom: 10, left: 10 },
+        { top: 10, right: 10, bottom: 0, left: 0 },
+        { top: 10, right: 0, bottom: 0, left: 10 },
+      ]
+    );
+  });
+
+  it("rechaza un solapamiento mayor que el área imprimible", () => {
+    assert.throws(
+      () =>
+        calculatePatternLayout(
+          { width: 100, height: 100 },
+          DIVISION_PATTERNS.A4_2x2,
+          { margin: 10, overlap: 200 }
+        ),
+      /mayor que el área imprimible/
+    );
+  });
+});
+
+describe("calculateTargetLayout", () => {
+  const imageInfo = { width: 4000, height: 3000 };
+
+  it("usa la grilla mínima y la orientación con menos hojas", () => {
+    const layout = calculateTargetLayout(
+      imageInfo,
+      { dimension: "width", value: 100, unit: "cm" },
+      { paperSize: "A4", margin: 10, overlap: 0 }
+    );
+    assert.deepEqual(layout.posterSize, { width: 1000, height: 750 });
+    // 1000/190 → 6 columnas y 750/277 → 3 filas en vertical (18 hojas);
+    // 1000/277 → 4 y 750/190 → 4 en horizontal (16 hojas)
+    assert.equal(layout.landscape, true);
+    assert.equal(layout.rows * layout.cols, 16);
+    assertLayout(layout, imageInfo);
+  });
+
+  it("respeta la orientación fijada", () => {
+    const layout = calculateTargetLayout(
+      imageInfo,
+      { dimension: "width", value: 100, unit: "cm", orientation: "portrait" },
+      { paperSize: "A4", margin: 10, overlap: 0 }
+    );
+    assert.equal(layout.landscape, false);
+    assert.deepEqual([layout.rows, layout.cols], [3, 6]);
+    assertLayout(layout, imageInfo);
+  });
+
+  it("no agrega hojas cuando el póster llena la grilla justo", () => {
+    // 3 columnas de 190 mm y 2 filas de 277 mm exactas
+    const layout = calculateTargetLayout(
+      { width: 570, height: 554 },
+      { dimension: "width", value: 57, unit: "cm", orientation: "portrait" },
+      { paperSize: "A4", margin: 10, overlap: 0 }
+    );
+    assert.deepEqual([layout.rows, layout.cols], [2, 3]);
+    assertLayout(layout, { width: 570, height: 554 });
+  });
+
+  it("no deja partes vacías cuando sobra menos de medio píxel", () => {
+    // La última columna mide 0,3 mm, menos de medio píxel del original
+    const info = { width: 381, height: 200 };
+    const layout = calculateTargetLayout(
+      info,
+      { dimension: "width", value: 38.03, unit: "cm", orientation: "portrait" },
+      { paperSize: "A4", margin: 10, overlap: 0 }
+    );
+    assert.equal(layout.cols, 3);
+    assert.deepEqual(layout.tiles[2].source, {
+      x: 380,
+      y: 0,
+      width: 1,
+      height: 200,
+    });
+    assertLayout(layout, info);
+  });
+
+  it("funciona con solapamiento por borde y en pulgadas", () => {
+    const layout = calculateTargetLayout(
+      { width: 1999, height: 1333 },
+      { dimension: "height", value: 30, unit: "in" },
+      {
+        paperSize: "LETTER",
+        margin: 6.35,
+        overlap: { top: 5, right: 0, bottom: 0, left: 15 },
+      }
+    );
+    assertLayout(layout, { width: 1999, height: 1333 });
+  });
+
+  it("describe en singular un póster de una sola hoja", () => {
+    const layout = calculateTargetLayout(
+      imageInfo,
+      { dimension: "width", value: 15, unit: "cm" },
+      { paperSize: "A4", margin: 10 }
+    );
+    assert.match(layout.description, / en 1 hoja A4 /);
+    assert.match(layout.description, /\(1 fila × 1 columna\)$/);
+  });
+
+  it("rechaza pósters con más hojas que el máximo", () => {
+    assert.throws(
+      () =>
+        calculateTargetLayout(
+          imageInfo,
+          { dimension: "width", value: 1000, unit: "cm" },
+          { paperSize: "A4", margin: 10 }
+        ),
+      new RegExp(`máximo ${MAX_SHEETS}`)
+    );
+  });
+
+  it("rechaza tamaños no positivos", () => {
+    assert.throws(
+      () => calculateTargetLayout(imageInfo, { value: 0, unit: "cm" }),
+      /mayor que cero/
+    );
+  });
+});
+
+describe("calculateRollLayout", () => {
+  const imageInfo = { width: 4000, height: 3000 };
+  const target = { dimension: "width", value: 150, unit: "cm" };
+
+  it("divide en tiras verticales del ancho del rollo", () => {
+    const layout = calculateRollLayout(imageInfo, target, {
+      rollSize: "ROLL_610",
+      direction: "vertical",
+      margin: 5,
+      overlap: 10,
+    });
+    assert.equal(layout.rows, 1);
+    assert.equal(layout.cols, 3);
+    assert.deepEqual(layout.pageSize, { width: 610, height: 1135 });
+    layout.tiles.forEach(({ overlap }) => {
+      assert.equal(overlap.top, 0);
+      assert.equal(overlap.bottom, 0);
+    });
+    assertLayout(layout, imageInfo);
+  });
+
+  it("divide en tiras horizontales", () => {
+    const layout = calculateRollLayout(imageInfo, target, {
+      rollSize: "ROLL_914",
+      direction: "horizontal",
+      margin: 5,
+      overlap: 10,
+    });
+    assert.equal(layout.cols, 1);
+    assert.equal(layout.rows, 2);
+    assert.deepEqual(layout.pageSize, { width: 1510, height: 914 });
+    assertLayout(layout, imageInfo);
+  });
+
+  it("rechaza tiras más largas que una página PDF", () => {
+    assert.throws(
+      () =>
+        calculateRollLayout(
+          { width: 1000, height: 4000 },
+          { dimension: "width", value: 200, unit: "cm" },
+          { rollSize: "ROLL_610" }
+        ),
+      /una página PDF admite/
+    );
+  });
+
+  it("rechaza rollos desconocidos", () => {
+    assert.throws(
+      () => calculateRollLayout(imageInfo, target, { rollSize: "ROLL_1" }),
+      /Rollo no soportado/
+    );
+  });
+});
@@ -0,0 +1,84 @@
+// test/posterParts.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  resolveLayout,
+  getPartsInfo,
+  getSourceExportSize,
+} from "../src/utils/posterParts.js";
+import { calculateRollLayout } from "../src/utils/posterLayout.js";
+import { MAX_CANVAS_SIZE, MAX_CANVAS_AREA } from "../src/utils/constants.js";
+
+const imageInfo = { width: 4000, height: 3000 };
+
+describe("resolveLayout", () => {
+  it("calcula los patrones por clave y deja los layouts tal cual", () => {
+    const layout = resolveLayout(imageInfo, "A4_2x2", { margin: 10 });
+    assert.equal(layout.tiles.length, 4);
+    assert.equal(resolveLayout(imageInfo, layout), layout);
+  });
+});
+
+describe("getPartsInfo", () => {
+  it("lleva el origen, el área y el lugar en la hoja de cada parte", () => {
+    const layout = resolveLayout(
+      imageInfo,
+      { name: "A4 3 × 3", rows: 3, cols: 3, paperSize: "A4" },
+      { margin: 10, overlap: 5 }
+    );
+    const parts = getPartsInfo(layout, 150);
+
+    assert.equal(parts.length, 9);
+    parts.forEach((part, index) => {
+      const tile = layout.tiles[index];
+      assert.equal(part.partNumber, index + 1);
+      assert.equal(part.totalParts, 9);
+      assert.deepEqual(part.grid, { rows: 3, cols: 3 });
+      assert.equal(part.source, tile.source);
+      assert.equal(part.placement, tile.placement);
+      assert.ok(Math.abs(part.dpi - 150) <= 1);
+    });
+  });
+
+  it("conserva los píxeles de origen sin DPI", () => {
+    const layout = resolveLayout(imageInfo, "A4_2x1", { margin: 10 });
+    getPartsInfo(layout, null).forEach((part) => {
+      assert.deepEqual(part.dimensions, {
+        width: part.source.width,
+        height: part.source.height,
+      });
+    });
+  });
+
+  it("limita las tiras largas al tamaño máximo de un canvas", () => {
+    const layout = calculateRollLayout(
+      imageInfo,
+      { dimension: "width", value: 300, unit: "cm" },
+      { rollSize: "ROLL_914", margin: 5 }
+    );
+    getPartsInfo(layout, 600).forEach(({ dimensions }) => {
+      assert.ok(dimensions.width <= MAX_CANVAS_SIZE);
+      assert.ok(dimensions.height <= MAX_CANVAS_SIZE);
+      assert.ok(dimensions.width * dimensions.height <= MAX_CANVAS_AREA);
+    });
+  });
+});
+
+describe("getSourceExportSize", () => {
+  it("no agranda la imagen por encima de sus píxeles", () => {
+    const layout = resolveLayout(imageInfo, "A4_2x2", { margin: 10 });
+    const size = getSourceExportSize(layout, imageInfo, 1200);
+    assert.deepEqual([size.width, size.height], [4000, 3000]);
+  });
+
+  it("reduce la imagen a los DPI pedidos", () => {
+    const layout = resolveLayout(imageInfo, "A4_2x2", { margin: 10 });
+    const size = getSourceExportSize(layout, imageInfo, 72);
+    assert.ok(size.width < imageInfo.width);
+    assert.ok(Math.abs(size.dpi - 72) <= 1);
+    assert.ok(
+      Math.abs(size.width / size.height - imageInfo.width / imageInfo.height) <
+        0.01
+    );
+  });
+});
@@ -0,0 +1,125 @@
+// test/printerProfiles.test.js
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createPrinterProfile,
+  getPrinterProfileKey,
+  getPrinterProfile,
+  getAllPrinterProfiles,
+  registerPrinterProfile,
+  removePrinterProfile,
+  loadPrinterProfiles,
+} from "../src/utils/printerProfiles.js";
+import PDFGenerator from "../src/modules/pdfGenerator.js";
+import {
+  DEFAULT_PRINTER_PROFILE,
+  convertMmToPt,
+} from "../src/utils/constants.js";
+
+const STORAGE_KEY = "imagen-printer:printer-profiles";
+const TOLERANCE = 1e-9;
+
+/**
+ * localStorage mínimo en memoria para Node
+ * @returns {Object}
+ */
+const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+const calibration = {
+  name: "Oficina Láser",
+  measured: { width: 98, height: 102 },
+  margins: { top: 4, right: 3, bottom: 12, left: 3 },
+};
+
+describe("createPrinterProfile", () => {
+  it("calcula la corrección de escala a partir del cuadrado medido", () => {
+    const { name, margins, scale } = createPrinterProfile(calibration);
+    assert.equal(name, "Oficina Láser");
+    assert.deepEqual(margins, calibration.margins);
+    assert.ok(Math.abs(scale.x - 100 / 98) < TOLERANCE);
+    assert.ok(Math.abs(scale.y - 100 / 102) < TOLERANCE);
+  });
+
+  it("rechaza medidas y márgenes fuera de rango", () => {
+    assert.throws(
+      () => createPrinterProfile({ ...calibration, measured: { width: 80 } }),
+      /cuadrado medido debe estar entre 91 y 111 mm/
+    );
+    assert.throws(
+      () => createPrinterProfile({ ...calibration, margins: { bottom: 31 } }),
+      /márgenes deben estar entre 0 y 30 mm/
+    );
+    assert.throws(
+      () => createPrinterProfile({ ...calibration, name: "  " }),
+      /necesita un nombre/
+    );
+  });
+});
+
+describe("getPrinterProfileKey", () => {
+  it("quita acentos y símbolos del nombre", () => {
+    assert.equal(
+      getPrinterProfileKey("Oficina Láser"),
+      "PRINTER_OFICINA_LASER"
+    );
+    assert.equal(
+      getPrinterProfileKey("  HP #2 (color) "),
+      "PRINTER_HP_2_COLOR"
+    );
+  });
+});
+
+describe("registro de perfiles", () => {
+  beforeEach(() => {
+    globalThis.localStorage = createMemoryStorage();
+    Object.keys(getAllPrinterProfiles()).forEach(removePrinterProfile);
+  });
+
+  it("guarda los perfiles y los vuelve a cargar iguales", () => {
+    const profile = createPrinterProfile(calibration);
+    const key = registerPrinterProfile(profile);
+    assert.equal(key, "PRINTER_OFICINA_LASER");
+    assert.equal(getPrinterProfile(key), profile);
+
+    // Simula una sesión nueva: el registro vacío y lo guardado intacto
+    const saved = localStorage.getItem(STORAGE_KEY);
+    removePrinterProfile(key);
+    assert.equal(getPrinterProfile(key), DEFAULT_PRINTER_PROFILE);
+    localStorage.setItem(STORAGE_KEY, saved);
+
+    const loaded = loadPrinterProfiles();
+    assert.deepEqual(Object.keys(loaded), [key]);
+    assert.equal(loaded[key].name, profile.name);
+    assert.deepEqual(loaded[key].margins, profile.margins);
+    assert.ok(Math.abs(loaded[key].scale.x - profile.scale.x) < TOLERANCE);
+    assert.ok(Math.abs(loaded[key].scale.y - profile.scale.y) < TOLERANCE);
+  });
+
+  it("sin clave usa el perfil sin calibrar", () => {
+    assert.equal(getPrinterProfile(null), DEFAULT_PRINTER_PROFILE);
+  });
+});
+
+describe("corrección de escala en el PDF", () => {
+  it("escala el tamaño de cada parte pero no su lugar en la hoja", () => {
+    const generator = new PDFGenerator();
+    generator.printer = createPrinterProfile(calibration);
+    const page = { getHeight: () => 842 };
+    const placement = { x: 12, y: 12, width: 186, height: 273 };
+
+    const rect = generator.getPlacementRect(page, placement);
+    const height = convertMmToPt(273) * (100 / 102);
+    assert.ok(Math.abs(rect.x - convertMmToPt(12)) < TOLERANCE);
+    assert.ok(Math.abs(rect.width - convertMmToPt(186) * (100 / 98)) < 1e-6);
+    assert.ok(Math.abs(rect.height - height) < 1e-6);
+    // El borde superior queda en el margen, con origen PDF abajo
+    assert.ok(Math.abs(rect.y + height - (842 - convertMmToPt(12))) < 1e-6);
+  });
+});
@@ -0,0 +1,29 @@
+// test/storage.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createRegistryKey } from "../src/utils/storage.js";
+import { getCustomPaperKey } from "../src/utils/paperRegistry.js";
+import { getPrinterProfileKey } from "../src/utils/printerProfiles.js";
+
+describe("createRegistryKey", () => {
+  it("quita acentos y símbolos del nombre", () => {
+    assert.equal(
+      createRegistryKey("USER", "Póster ñ 50×70"),
+      "USER_POSTER_N_50_70"
+    );
+  });
+
+  it("rechaza nombres sin letras ni números", () => {
+    ["★", " ¡¿? ", "——"].forEach((name) => {
+      assert.throws(
+        () => createRegistryKey("USER", name),
+        /debe tener al menos una letra o un número/
+      );
+    });
+  });
+
+  it("se aplica a papeles y perfiles de impresora", () => {
+    assert.throws(() => getCustomPaperKey("★"), /al menos una letra/);
+    assert.throws(() => getPrinterProfileKey("★"), /al menos una letra/);
+  });
+});